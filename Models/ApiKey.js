@@ -0,0 +1,53 @@
+const mongoose = require("mongoose");
+
+// A key for server-to-server integrations. It acts for the user who created
+// it, limited to its scopes. Only a hash of the key is stored.
+const apiKeySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Start of the key, to recognise it in lists
+  prefix: {
+    type: String,
+    required: true,
+  },
+  keyHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  scopes: {
+    type: [{
+      type: String,
+      enum: ["events:read", "sales:read", "tickets:scan"],
+    }],
+    validate: {
+      validator: (scopes) => scopes.length > 0,
+      message: "At least one scope is required",
+    },
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  // No expiry when unset
+  expiresAt: Date,
+  lastUsedAt: Date,
+  lastUsedIp: String,
+  revokedAt: Date,
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+apiKeySchema.index({ createdBy: 1, createdAt: -1 });
+
+module.exports = mongoose.model("ApiKey", apiKeySchema);
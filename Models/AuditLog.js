@@ -0,0 +1,38 @@
+const mongoose = require("mongoose");
+
+// Append-only record of a sensitive action, e.g. a role change
+const auditLogSchema = new mongoose.Schema({
+  // Null for actions taken by scripts, e.g. bootstrapping the first admin
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // e.g. "user.role_changed"
+  action: {
+    type: String,
+    required: true,
+  },
+  targetType: {
+    type: String,
+    required: true,
+  },
+  targetId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
+  // { field: { from, to } }
+  changes: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  reason: String,
+  ip: String,
+  userAgent: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+module.exports = mongoose.model("AuditLog", auditLogSchema);
@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { moneyField, moneyJSONTransform } = require("../services/money");
 
 const ticketTypeSchema = new mongoose.Schema({
   name: {
@@ -6,11 +7,11 @@ const ticketTypeSchema = new mongoose.Schema({
     required: true,
     trim: true
   },
-  price: {
-    type: Number,
+  // In minor units of currency
+  price: moneyField({
     required: true,
     min: 0
-  },
+  }),
   currency: {
     type: String,
     required: true,
@@ -27,15 +28,56 @@ const ticketTypeSchema = new mongoose.Schema({
     default: 0,
     min: 0
   },
+  // Tickets held by checkouts that haven't been paid yet
+  reserved: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
   description: {
     type: String,
     default: ""
   },
   benefits: [{
     type: String
-  }]
+  }],
+  // How often a ticket gets in (see services/entryService.js)
+  entryPolicy: {
+    type: String,
+    enum: ["single", "reentry", "limited", "per_day"],
+    default: "single"
+  },
+  // For the "limited" policy
+  maxEntries: {
+    type: Number,
+    min: 1
+  }
+}, {
+  toJSON: { transform: moneyJSONTransform({ price: "currency" }) }
 });
 
+// A role on a single event, e.g. a volunteer scanning tickets at the door
+const teamMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ["manager", "finance", "scanner"],
+    required: true,
+  },
+  addedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  addedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const eventSchema = new mongoose.Schema({
   title: {
     type: String,
@@ -64,10 +106,33 @@ const eventSchema = new mongoose.Schema({
       message: 'At least one ticket type is required'
     }
   },
+  // When the event starts; the same as startsAt
   date: {
     type: Date,
     required: true,
   },
+  // Schedule (see services/eventScheduleService.js). Events from before it
+  // only have date.
+  doorsOpenAt: Date,
+  startsAt: Date,
+  endsAt: Date,
+  // IANA timezone the event takes place in, e.g. "Africa/Banjul"
+  timezone: {
+    type: String,
+    default: "UTC",
+  },
+  // Minutes around doors and end when tickets can be scanned in, instead of
+  // the defaults
+  scanWindow: {
+    opensBeforeDoorsMinutes: {
+      type: Number,
+      min: 0,
+    },
+    closesAfterEndMinutes: {
+      type: Number,
+      min: 0,
+    },
+  },
   image: {
     type: String,
   },
@@ -81,6 +146,18 @@ const eventSchema = new mongoose.Schema({
     ref: "User",
     required: true,
   },
+  // Members of the organisation get their organisation role on the event
+  organization: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Organization",
+  },
+  // Per-event roles, on top of the organisation's
+  team: [teamMemberSchema],
+  // Only accept rotating QR codes from the app at the door, not screenshots
+  rotatingQrCodes: {
+    type: Boolean,
+    default: false,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -89,8 +166,15 @@ const eventSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // 2 once ticket prices are stored in minor units (see scripts/migrateMoneyToMinorUnits.js).
+  // No default: legacy documents saved before the migration must stay unmarked.
+  moneyVersion: Number,
 });
 
+eventSchema.index({ createdBy: 1 });
+eventSchema.index({ organization: 1 });
+eventSchema.index({ "team.user": 1 });
+
 // Check if event is sold out before saving
 eventSchema.pre("save", function (next) {
   if (!this.ticketTypes || this.ticketTypes.length === 0) {
@@ -0,0 +1,48 @@
+const mongoose = require("mongoose");
+
+// A rate pinned by an admin for a currency pair, used instead of market rates
+const exchangeRateOverrideSchema = new mongoose.Schema({
+  fromCurrency: {
+    type: String,
+    enum: ["USD", "XOF", "GMD", "EUR", "GBP"],
+    required: true,
+  },
+  toCurrency: {
+    type: String,
+    enum: ["USD", "XOF", "GMD", "EUR", "GBP"],
+    required: true,
+  },
+  // Units of toCurrency per 1 unit of fromCurrency
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  note: String,
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  setBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  deactivatedAt: Date,
+  deactivatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+});
+
+// Only one pinned rate per pair is active at a time; older ones are kept as history
+exchangeRateOverrideSchema.index(
+  { fromCurrency: 1, toCurrency: 1 },
+  { unique: true, partialFilterExpression: { active: true } }
+);
+
+module.exports = mongoose.model("ExchangeRateOverride", exchangeRateOverrideSchema);
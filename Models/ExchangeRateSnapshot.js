@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// Market exchange rates fetched at one point in time, relative to the base currency
+const exchangeRateSnapshotSchema = new mongoose.Schema({
+  base: {
+    type: String,
+    default: "USD",
+  },
+  // Units of each currency per 1 unit of the base currency
+  rates: {
+    type: Map,
+    of: Number,
+    required: true,
+  },
+  // "api" for rates from the provider, "fallback" for the built-in defaults
+  source: {
+    type: String,
+    enum: ["api", "fallback"],
+    required: true,
+  },
+  provider: String,
+  fetchedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+exchangeRateSnapshotSchema.index({ fetchedAt: -1 });
+
+module.exports = mongoose.model("ExchangeRateSnapshot", exchangeRateSnapshotSchema);
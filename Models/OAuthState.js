@@ -0,0 +1,42 @@
+const mongoose = require("mongoose");
+
+// A sign-in with an external identity provider that has been started but not
+// finished. Holds what the callback needs to check the provider's answer.
+const oauthStateSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: true,
+  },
+  // Sent to the provider and echoed back to the callback
+  state: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Must come back inside the ID token
+  nonce: {
+    type: String,
+    required: true,
+  },
+  // PKCE verifier for the code exchange
+  codeVerifier: {
+    type: String,
+    required: true,
+  },
+  redirectUri: {
+    type: String,
+    required: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+oauthStateSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("OAuthState", oauthStateSchema);
@@ -1,20 +1,65 @@
 const mongoose = require("mongoose");
+const { getGatewayNames } = require("../services/gateways");
+const { moneyField, moneyJSONTransform } = require("../services/money");
+
+// Amounts are in minor units: amount/refundedAmount in currency (charged by
+// the gateway), originalAmount in originalCurrency (the ticket price currency)
+const refundSchema = new mongoose.Schema({
+  amount: moneyField(),
+  currency: String,
+  originalAmount: moneyField(),
+  originalCurrency: String,
+  tickets: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+  }],
+  reason: String,
+  gatewayRefundId: String,
+  // Mobile money refunds stay pending until the provider confirms them
+  status: {
+    type: String,
+    enum: ["pending", "succeeded", "failed"],
+    default: "succeeded",
+  },
+  completedAt: Date,
+  failureReason: String,
+  refundedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, {
+  toJSON: {
+    transform: moneyJSONTransform({ amount: "currency", originalAmount: "originalCurrency" })
+  }
+});
 
 const paymentSchema = new mongoose.Schema({
+  // Null once the buyer deleted their account
   user: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
-    required: true,
+  },
+  anonymizedAt: Date,
+  // Verified email address or mobile number of a guest buyer (no user)
+  guestContact: {
+    type: {
+      type: String,
+      enum: ["email", "mobile"],
+    },
+    value: String,
   },
   event: {
     type: mongoose.Schema.Types.ObjectId,
     ref: "Event",
     required: true,
   },
-  amount: {
-    type: Number,
+  amount: moneyField({
     required: true,
-  },
+  }),
   reference: {
     type: String,
     required: true,
@@ -28,28 +73,30 @@ const paymentSchema = new mongoose.Schema({
   ],
   status: {
     type: String,
-    enum: ["pending", "success", "failed"],
+    enum: ["pending", "success", "failed", "partially_refunded", "refunded"],
     default: "pending",
   },
   paymentGateway: {
     type: String,
-    enum: ["stripe", "wave"],
+    enum: getGatewayNames(),
     required: true,
   },
+  // Id of the gateway's checkout session for this payment
+  gatewaySessionId: String,
   waveSessionId: String,
   wavePaymentId: String,
   waveTransactionId: String,
   waveStatus: String,
   stripePaymentIntent: String,
+  momoTransactionId: String,
   currency: {
     type: String,
     enum: ["USD", "XOF", "GMD", "EUR", "GBP"],
     default: "GMD",
   },
-  originalAmount: {
-    type: Number,
+  originalAmount: moneyField({
     required: true,
-  },
+  }),
   originalCurrency: {
     type: String,
     enum: ["USD", "XOF", "GMD", "EUR", "GBP"],
@@ -59,6 +106,20 @@ const paymentSchema = new mongoose.Schema({
     type: Number,
     default: 1,
   },
+  // Where exchangeRate came from: the rate snapshot in use at checkout and,
+  // when an admin had pinned the rate, the override that was applied
+  exchangeRateSnapshot: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ExchangeRateSnapshot",
+  },
+  exchangeRateSource: {
+    type: String,
+    enum: ["api", "fallback", "override"],
+  },
+  exchangeRateOverride: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ExchangeRateOverride",
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -70,7 +131,35 @@ const paymentSchema = new mongoose.Schema({
   lastStatusCheck: {
     type: Date,
     default: Date.now,
+  },
+  // Set once, when the payment is moved from pending to success
+  fulfilledAt: Date,
+  // Why the payment failed, e.g. "reservation_expired"
+  failureReason: String,
+  // Paid after its tickets sold out, and the refund still has to be sent
+  refundDue: Boolean,
+  // Last attempt the gateway declined while the buyer could still retry
+  lastDeclinedAt: Date,
+  lastDeclineReason: String,
+  // Total refunded so far, in the gateway currency (same unit as amount)
+  refundedAmount: moneyField({
+    default: 0,
+  }),
+  refunds: [refundSchema],
+  // 2 once amounts are stored in minor units (see scripts/migrateMoneyToMinorUnits.js).
+  // No default: legacy documents saved before the migration must stay unmarked.
+  moneyVersion: Number,
+}, {
+  toJSON: {
+    transform: moneyJSONTransform({
+      amount: "currency",
+      refundedAmount: "currency",
+      originalAmount: "originalCurrency",
+    })
   }
 });
 
+// Guest purchases are claimed by contact
+paymentSchema.index({ "guestContact.value": 1 }, { sparse: true });
+
 module.exports = mongoose.model("Payment", paymentSchema);
\ No newline at end of file
@@ -0,0 +1,68 @@
+const mongoose = require("mongoose");
+
+// One pass of the payment reconciler over stale pending payments
+const reconciliationRunSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ["schedule", "manual"],
+    required: true,
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  status: {
+    type: String,
+    enum: ["running", "completed", "failed"],
+    default: "running",
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  finishedAt: Date,
+  checked: {
+    type: Number,
+    default: 0,
+  },
+  fulfilled: {
+    type: Number,
+    default: 0,
+  },
+  failed: {
+    type: Number,
+    default: 0,
+  },
+  stillPending: {
+    type: Number,
+    default: 0,
+  },
+  errored: {
+    type: Number,
+    default: 0,
+  },
+  // Pending gateway refunds settled in this run
+  refunds: {
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    pending: { type: Number, default: 0 },
+  },
+  // Outcome per payment checked in this run
+  results: [{
+    _id: false,
+    reference: String,
+    paymentGateway: String,
+    previousStatus: String,
+    outcome: {
+      type: String,
+      enum: ["fulfilled", "failed", "pending", "error"],
+    },
+    error: String,
+  }],
+  // Why the whole run failed, e.g. the database was unreachable
+  error: String,
+});
+
+reconciliationRunSchema.index({ startedAt: -1 });
+
+module.exports = mongoose.model("ReconciliationRun", reconciliationRunSchema);
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+// A server-side refresh token. Only a hash of the token is stored.
+const refreshTokenSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: true,
+  },
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  // Tokens rotated from the same login share a family, so a reused token can
+  // revoke every token descended from it
+  family: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "rotated", "revoked"],
+    default: "active",
+  },
+  replacedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "RefreshToken",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  // The session was started with a second factor
+  twoFactorVerified: {
+    type: Boolean,
+    default: false,
+  },
+  rotatedAt: Date,
+  revokedAt: Date,
+  // e.g. "logout", "reuse_detected", "logout_all"
+  revokedReason: String,
+  createdByIp: String,
+  userAgent: String,
+});
+
+refreshTokenSchema.index({ family: 1 });
+refreshTokenSchema.index({ user: 1, status: 1 });
+// Expired tokens are useless, even for reuse detection
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("RefreshToken", refreshTokenSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+// A temporary hold on ticket inventory while the buyer completes checkout
+const reservationSchema = new mongoose.Schema({
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Event",
+    required: true,
+  },
+  ticketType: {
+    type: String,
+    required: true,
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  paymentReference: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  status: {
+    type: String,
+    enum: ["active", "converted", "released"],
+    default: "active",
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  convertedAt: Date,
+  releasedAt: Date,
+  releaseReason: String,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reservationSchema.index({ status: 1, expiresAt: 1 });
+reservationSchema.index({ event: 1, status: 1 });
+
+module.exports = mongoose.model("Reservation", reservationSchema);
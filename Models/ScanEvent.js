@@ -0,0 +1,71 @@
+const mongoose = require("mongoose");
+
+// One scan of a ticket at a gate, accepted or not. Scan events are never
+// changed or removed; a ticket's entries and whether its holder is inside
+// follow from its accepted ones (see services/entryService.js).
+const scanEventSchema = new mongoose.Schema({
+  ticket: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Ticket",
+    required: true,
+  },
+  event: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Event",
+    required: true,
+  },
+  direction: {
+    type: String,
+    enum: ["in", "out"],
+    required: true,
+  },
+  gate: String,
+  deviceId: String,
+  // User who scanned (or whose API key did)
+  operator: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  // When the ticket was scanned; earlier than createdAt for offline scans
+  scannedAt: {
+    type: Date,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ["online", "offline"],
+    default: "online",
+  },
+  accepted: {
+    type: Boolean,
+    required: true,
+  },
+  // Why it was refused
+  reason: String,
+  // Why an organiser let the ticket in outside the scan window
+  overrideReason: String,
+  // Later accepted scans this (offline, uploaded late) scan invalidated, e.g.
+  // the online entry of a single-entry ticket; they no longer count
+  supersedes: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "ScanEvent",
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+scanEventSchema.index({ ticket: 1, scannedAt: 1 });
+scanEventSchema.index({ event: 1, scannedAt: -1 });
+scanEventSchema.index({ supersedes: 1 }, { sparse: true });
+
+// Append-only
+scanEventSchema.pre(
+  ["updateOne", "updateMany", "findOneAndUpdate", "replaceOne", "deleteOne", "deleteMany", "findOneAndDelete"],
+  function (next) {
+    next(new Error("Scan events can't be changed"));
+  }
+);
+
+module.exports = mongoose.model("ScanEvent", scanEventSchema);
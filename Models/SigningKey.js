@@ -0,0 +1,51 @@
+const mongoose = require("mongoose");
+
+// An Ed25519 key pair for signing ticket QR codes (see
+// services/signingKeyService.js). New codes are signed with the active key;
+// retired keys still verify the codes they signed until they are revoked.
+const signingKeySchema = new mongoose.Schema({
+  kid: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  algorithm: {
+    type: String,
+    enum: ["Ed25519"],
+    default: "Ed25519",
+  },
+  // PEM (SPKI), shared with scanners
+  publicKey: {
+    type: String,
+    required: true,
+  },
+  // Encrypted PEM (PKCS#8)
+  privateKey: {
+    type: String,
+    required: true,
+    select: false,
+  },
+  status: {
+    type: String,
+    enum: ["active", "retired", "revoked"],
+    default: "active",
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  retiredAt: Date,
+  revokedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Only one key signs at a time
+signingKeySchema.index(
+  { status: 1 },
+  { unique: true, partialFilterExpression: { status: "active" } }
+);
+
+module.exports = mongoose.model("SigningKey", signingKeySchema);
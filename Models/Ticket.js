@@ -1,4 +1,5 @@
 const mongoose = require("mongoose");
+const { moneyField, moneyJSONTransform } = require("../services/money");
 
 const ticketSchema = new mongoose.Schema({
   event: {
@@ -10,6 +11,8 @@ const ticketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  // Set when the holder's account was deleted and their details removed
+  anonymizedAt: Date,
   recipientInfo: {
     type: {
       type: String,
@@ -27,9 +30,13 @@ const ticketSchema = new mongoose.Schema({
     required: true,
     // Remove the enum restriction to allow any ticket type name
   },
-  price: {
-    type: Number,
+  // In minor units of currency
+  price: moneyField({
     required: true,
+  }),
+  currency: {
+    type: String,
+    enum: ["USD", "XOF", "GMD", "EUR", "GBP"],
   },
   reference: {
     type: String,
@@ -42,13 +49,30 @@ const ticketSchema = new mongoose.Schema({
   },
   qrCode: {
     data: String,
+    // Signed token in the QR code (see services/qrCodeService.js)
+    token: String,
+    // Signing key that signed the token
+    keyId: String,
+    version: Number,
+    // When the code can be scanned (see qrCodeService.getValidityWindow)
+    validFrom: Date,
+    validUntil: Date,
     generatedAt: Date
   },
+  // Bumped whenever the QR code is replaced, so older codes are refused
+  qrVersion: {
+    type: Number,
+    default: 1,
+  },
   status: {
     type: String,
-    enum: ["pending", "success", "failed"],
+    // refund_pending: the refund was sent to the gateway, waiting for it to go through
+    enum: ["pending", "success", "failed", "refund_pending", "refunded"],
     default: "pending",
   },
+  refundedAt: {
+    type: Date,
+  },
   scanned: {
     type: Boolean,
     default: false,
@@ -60,6 +84,13 @@ const ticketSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: "User",
   },
+  // Gate device of the first entry, if it said
+  scannedDevice: String,
+  // Accepted scans in the scan log (see services/entryService.js)
+  scanCount: {
+    type: Number,
+    default: 0,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -85,7 +116,15 @@ const ticketSchema = new mongoose.Schema({
       type: Date,
       default: Date.now,
     }
-  }]
+  }],
+  // 2 once price is stored in minor units (see scripts/migrateMoneyToMinorUnits.js).
+  // No default: legacy documents saved before the migration must stay unmarked.
+  moneyVersion: Number,
+}, {
+  toJSON: { transform: moneyJSONTransform({ price: "currency" }) }
 });
 
+// Scanner manifests list an event's paid tickets
+ticketSchema.index({ event: 1, status: 1 });
+
 module.exports = mongoose.model("Ticket", ticketSchema); 
\ No newline at end of file
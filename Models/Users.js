@@ -11,19 +11,98 @@ const userSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Users who signed up with an identity provider may not have a password or
+  // mobile number yet
   password: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.identities?.length;
+    },
   },
   mobileNumber: {
     type: String,
-    required: true,
+    required: function () {
+      return !this.identities?.length;
+    },
+  },
+  // External identities (see services/oidcService.js)
+  identities: [{
+    provider: {
+      type: String,
+      required: true,
+    },
+    // The provider's ID for the user ("sub" claim)
+    subject: {
+      type: String,
+      required: true,
+    },
+    email: String,
+    linkedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    _id: false,
+  }],
+  emailVerified: {
+    type: Boolean,
+    default: false,
+  },
+  emailVerifiedAt: Date,
+  mobileVerified: {
+    type: Boolean,
+    default: false,
   },
+  mobileVerifiedAt: Date,
   role: {
     type: String,
     enum: ["user", "admin"],
     default: "user",
   },
+  // Failed logins since the last successful one or lockout
+  failedLoginAttempts: {
+    type: Number,
+    default: 0,
+  },
+  lastFailedLoginAt: Date,
+  // Lockouts in a row; each one lasts twice as long as the previous
+  lockCount: {
+    type: Number,
+    default: 0,
+  },
+  lockUntil: Date,
+  // TOTP two-factor authentication (see services/twoFactorService.js)
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false,
+    },
+    enabledAt: Date,
+    // Encrypted TOTP secret
+    secret: {
+      type: String,
+      select: false,
+    },
+    // Secret being enrolled, until the user confirms a code for it
+    pendingSecret: {
+      type: String,
+      select: false,
+    },
+    // Time step of the last accepted code, so codes can't be replayed
+    lastUsedStep: Number,
+    recoveryCodes: {
+      type: [{
+        codeHash: String,
+        usedAt: Date,
+        _id: false,
+      }],
+      select: false,
+    },
+  },
+  // Incremented to invalidate every access token issued to the user
+  tokenVersion: {
+    type: Number,
+    default: 0,
+  },
   tickets: [
     {
       type: mongoose.Schema.Types.ObjectId,
@@ -36,6 +115,11 @@ const userSchema = new mongoose.Schema({
   },
 });
 
+userSchema.index(
+  { "identities.provider": 1, "identities.subject": 1 },
+  { unique: true, partialFilterExpression: { "identities.subject": { $exists: true } } }
+);
+
 // Hash password before saving
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
@@ -45,6 +129,7 @@ userSchema.pre("save", async function (next) {
 
 // Method to compare passwords
 userSchema.methods.comparePassword = async function (candidatePassword) {
+  if (!this.password) return false;
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
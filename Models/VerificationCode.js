@@ -0,0 +1,52 @@
+const mongoose = require("mongoose");
+
+// Secrets sent to guests, who have no account
+const GUEST_PURPOSES = ["guest_checkout", "ticket_claim"];
+
+// A single-use secret sent to a user: a password reset token or a
+// verification code. Only a hash of the secret is stored.
+const verificationCodeSchema = new mongoose.Schema({
+  // For guest secrets, the user who used it (if any)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: function () {
+      return !GUEST_PURPOSES.includes(this.purpose);
+    },
+  },
+  purpose: {
+    type: String,
+    enum: ["password_reset", "verify_email", "verify_mobile", ...GUEST_PURPOSES],
+    required: true,
+  },
+  // Email address or phone number the secret was sent to
+  target: {
+    type: String,
+    required: true,
+  },
+  codeHash: {
+    type: String,
+    required: true,
+  },
+  // Wrong guesses so far
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+  },
+  usedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+verificationCodeSchema.index({ user: 1, purpose: 1, createdAt: -1 });
+verificationCodeSchema.index({ codeHash: 1 });
+verificationCodeSchema.index({ purpose: 1, target: 1, createdAt: -1 });
+verificationCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model("VerificationCode", verificationCodeSchema);
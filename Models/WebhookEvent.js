@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+const { getGatewayNames } = require("../services/gateways");
+
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: getGatewayNames(),
+    required: true,
+  },
+  eventId: {
+    type: String,
+    required: true,
+  },
+  type: {
+    type: String,
+    required: true,
+  },
+  reference: String,
+  status: {
+    type: String,
+    enum: ["processing", "processed", "failed"],
+    default: "processing",
+  },
+  attempts: {
+    type: Number,
+    default: 1,
+  },
+  error: String,
+  receivedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  processedAt: Date,
+});
+
+// A gateway event is only ever processed once per provider
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model("WebhookEvent", webhookEventSchema);
@@ -2,14 +2,52 @@ const mongoose = require("mongoose");
 const Event = require("../Models/EventModel");
 const Ticket = require("../Models/Ticket");
 const Payment = require("../Models/Payments");
+const User = require("../Models/Users");
 const { getEventTicketsInfo } = require('./eventController');
-const { ObjectId } = mongoose.Types;
 const qrCodeService = require("../services/qrCodeService");
+const paymentService = require("../services/paymentService");
+const exchangeRateService = require("../services/exchangeRateService");
+const money = require("../services/money");
+const reportingService = require("../services/reportingService");
+const reconciliationService = require("../services/reconciliationService");
+const auditService = require("../services/auditService");
+const permissionService = require("../services/permissionService");
+const accountLockoutService = require("../services/accountLockoutService");
+const twoFactorService = require("../services/twoFactorService");
+const apiKeyService = require("../services/apiKeyService");
+const signingKeyService = require("../services/signingKeyService");
+const ticketService = require("../services/ticketService");
+const scanSyncService = require("../services/scanSyncService");
+const entryService = require("../services/entryService");
+const eventScheduleService = require("../services/eventScheduleService");
+
+// Payments that still hold (some) paid tickets
+const PAID_PAYMENT_STATUSES = ["success", "partially_refunded"];
+
+// Aggregation results skip the models' toJSON, so convert their amounts here
+const presentPaymentAmounts = money.moneyJSONTransform({
+  amount: "currency",
+  originalAmount: "originalCurrency",
+});
+const presentTicketPrice = money.moneyJSONTransform({ price: "currency" });
+
+// ?reportingCurrency=EUR, or the configured default; null when unsupported
+const getReportingCurrency = (req) => {
+  const currency = String(req.query.reportingCurrency || reportingService.DEFAULT_REPORTING_CURRENCY).toUpperCase();
+  return reportingService.isReportingCurrency(currency) ? currency : null;
+};
+
+const invalidReportingCurrency = (res) =>
+  res.status(400).json({
+    message: "Unsupported reporting currency",
+    supportedCurrencies: Object.keys(money.CURRENCY_EXPONENTS),
+  });
 
 /**
- * Helper aggregation stages to filter Payments or Tickets for events created by this admin
+ * Helper aggregation stages to filter Payments or Tickets to some events (req.eventIds)
  */
-const getAdminEventsFilter = (adminId) => [
+const getEventsFilter = (eventIds) => [
+  { $match: { event: { $in: eventIds } } },
   {
     $lookup: {
       from: "events",
@@ -19,21 +57,14 @@ const getAdminEventsFilter = (adminId) => [
     },
   },
   { $unwind: "$eventDetails" },
-  {
-    $match: {
-      "eventDetails.createdBy": new ObjectId(adminId),
-    },
-  },
 ];
 
 /**
- * Fetch all events created by the logged-in admin
+ * Fetch all events the logged-in user helps run
  */
 exports.fetchAdminEvents = async (req, res) => {
   try {
-    const adminId = req.user.id;
-
-    const events = await Event.find({ createdBy: adminId }).sort({
+    const events = await Event.find({ _id: { $in: req.eventIds } }).sort({
       createdAt: -1,
     });
 
@@ -52,20 +83,21 @@ exports.fetchAdminEvents = async (req, res) => {
 
 /**
  * Get dashboard stats for admin: tickets sold, revenue, scanned tickets, etc.
+ * Revenue totals are in ?reportingCurrency (default REPORTING_CURRENCY, or USD)
  */
 exports.getDashboardStats = async (req, res) => {
   try {
-    const adminId = req.user.id;
+    const reportingCurrency = getReportingCurrency(req);
+    if (!reportingCurrency) {
+      return invalidReportingCurrency(res);
+    }
 
-    // Count total events created by admin
-    const totalEvents = await Event.countDocuments({
-      createdBy: new ObjectId(adminId),
-    });
+    const totalEvents = req.eventIds.length;
 
     // Aggregate tickets sold, grouped by unique ticket to avoid duplicates
     const ticketStats = await Payment.aggregate([
-      ...getAdminEventsFilter(adminId),
-      { $match: { status: "success" } },
+      ...getEventsFilter(req.eventIds),
+      { $match: { status: { $in: PAID_PAYMENT_STATUSES } } },
       { $unwind: "$tickets" },
       {
         $lookup: {
@@ -76,6 +108,7 @@ exports.getDashboardStats = async (req, res) => {
         },
       },
       { $unwind: "$ticketDetails" },
+      { $match: { "ticketDetails.status": "success" } },
       {
         $group: {
           _id: "$ticketDetails._id", // Group by ticket id to remove duplicates
@@ -93,16 +126,15 @@ exports.getDashboardStats = async (req, res) => {
       },
     ]);
 
-    // Aggregate total revenue from successful payments (using original amounts)
-    const revenueResult = await Payment.aggregate([
-      ...getAdminEventsFilter(adminId),
-      { $match: { status: "success" } },
-      { $group: { _id: null, total: { $sum: "$originalAmount" } } },
-    ]);
+    // Revenue per currency, totalled in the reporting currency
+    const revenue = await reportingService.getRevenueReport(
+      getEventsFilter(req.eventIds),
+      reportingCurrency
+    );
 
-    // Aggregate scanned tickets stats for admin's events
+    // Aggregate scanned tickets stats for the user's events
     const scannedStats = await Ticket.aggregate([
-      ...getAdminEventsFilter(adminId),
+      ...getEventsFilter(req.eventIds),
       {
         $match: {
           status: "success",
@@ -146,7 +178,8 @@ exports.getDashboardStats = async (req, res) => {
       totalEvents,
       totalTicketsSold: stats.totalTicketsSold,
       ticketsByType,
-      totalRevenue: revenueResult[0]?.total || 0,
+      totalRevenue: revenue.total.net,
+      revenue,
       totalScannedTickets: scanned.totalScannedTickets,
       scannedByType,
     });
@@ -160,14 +193,12 @@ exports.getDashboardStats = async (req, res) => {
 };
 
 /**
- * Get all payments for admin's events with user and ticket details
+ * Get all payments for the user's events with user and ticket details
  */
 exports.getAllPayments = async (req, res) => {
   try {
-    const adminId = req.user.id;
-
     const payments = await Payment.aggregate([
-      ...getAdminEventsFilter(adminId),
+      ...getEventsFilter(req.eventIds),
       {
         $lookup: {
           from: "users",
@@ -176,7 +207,8 @@ exports.getAllPayments = async (req, res) => {
           as: "userDetails",
         },
       },
-      { $unwind: "$userDetails" },
+      // Buyers who deleted their account have no user anymore
+      { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
       {
         $lookup: {
           from: "tickets",
@@ -189,6 +221,9 @@ exports.getAllPayments = async (req, res) => {
         $project: {
           _id: 1,
           amount: 1,
+          currency: 1,
+          originalAmount: 1,
+          originalCurrency: 1,
           reference: 1,
           status: 1,
           createdAt: 1,
@@ -203,7 +238,7 @@ exports.getAllPayments = async (req, res) => {
       { $sort: { createdAt: -1 } },
     ]);
 
-    res.json(payments);
+    res.json(payments.map(payment => presentPaymentAmounts(null, payment)));
   } catch (error) {
     console.error("Error fetching payments:", error);
     res
@@ -213,11 +248,60 @@ exports.getAllPayments = async (req, res) => {
 };
 
 /**
- * Search tickets by reference ID within admin's events
+ * Refund a payment for one of the user's events, fully or for some of its tickets
  */
-exports.searchTickets = async (req, res) => {
+exports.refundPayment = async (req, res) => {
   try {
     const adminId = req.user.id;
+    const { reference } = req.params;
+    const { ticketIds, reason } = req.body;
+
+    const payment = await Payment.findOne({ reference });
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
+    }
+
+    const allowed = await permissionService.hasEventPermission(
+      adminId,
+      payment.event,
+      permissionService.PERMISSIONS.PAYMENTS_REFUND
+    );
+    if (!allowed) {
+      return res.status(403).json({
+        message: "You are not authorized to refund this payment"
+      });
+    }
+
+    const { payment: refundedPayment, refund } = await paymentService.refundPayment(reference, {
+      ticketIds,
+      reason,
+      refundedBy: adminId,
+    });
+
+    let message = "Tickets refunded successfully";
+    if (refund.status === paymentService.REFUND_STATUS.PENDING) {
+      message = "Refund requested, waiting for the payment provider to confirm it";
+    } else if (refundedPayment.status === "refunded") {
+      message = "Payment refunded successfully";
+    }
+
+    res.json({ message, payment: refundedPayment, refund });
+  } catch (error) {
+    console.error("Payment refund failed:", error);
+    res
+      .status(error.status || 500)
+      .json({
+        message: error.status ? error.message : "Payment refund failed",
+        error: error.message,
+      });
+  }
+};
+
+/**
+ * Search tickets by reference ID within the user's events
+ */
+exports.searchTickets = async (req, res) => {
+  try {
     const { referenceId } = req.params;
 
     if (!referenceId) {
@@ -230,7 +314,7 @@ exports.searchTickets = async (req, res) => {
           reference: { $regex: referenceId, $options: "i" },
         },
       },
-      ...getAdminEventsFilter(adminId),
+      ...getEventsFilter(req.eventIds),
       {
         $lookup: {
           from: "users",
@@ -239,12 +323,13 @@ exports.searchTickets = async (req, res) => {
           as: "userDetails",
         },
       },
-      { $unwind: "$userDetails" },
+      { $unwind: { path: "$userDetails", preserveNullAndEmptyArrays: true } },
       {
         $project: {
           _id: 1,
           ticketType: 1,
           price: 1,
+          currency: 1,
           reference: 1,
           status: 1,
           scanned: 1,
@@ -258,7 +343,7 @@ exports.searchTickets = async (req, res) => {
       },
     ]);
 
-    res.json(tickets);
+    res.json(tickets.map(ticket => presentTicketPrice(null, ticket)));
   } catch (error) {
     console.error("Ticket search failed:", error);
     res
@@ -268,7 +353,10 @@ exports.searchTickets = async (req, res) => {
 };
 
 /**
- * Scan a ticket with validation for admin ownership and status
+ * Scan a ticket with validation for the user's scan permission and ticket status.
+ * Rejections say which rule refused the ticket: qr_code, ticket_status,
+ * scan_window or entry_policy. Organisers can send overrideReason to let a
+ * ticket in outside the scan window; the override is audited.
  */
 exports.scanTicket = async (req, res) => {
   try {
@@ -279,15 +367,37 @@ exports.scanTicket = async (req, res) => {
     
     // If QR data is provided, verify it first
     if (qrData) {
+      let verifiedData;
       try {
-        const verifiedData = qrCodeService.verifyQRCode(qrData);
-        ticket = await Ticket.findById(verifiedData.ticketId);
+        verifiedData = await qrCodeService.verifyQRCode(qrData);
       } catch (error) {
         return res.status(400).json({ 
           message: "Invalid QR code", 
+          rule: "qr_code",
           error: error.message 
         });
       }
+
+      ticket = await Ticket.findById(verifiedData.ticketId);
+      if (!ticket) {
+        return res.status(404).json({ message: "Ticket not found for this QR code" });
+      }
+      // The ticket got a new code since (transfer, refund, key revocation)
+      if (verifiedData.version !== ticket.qrVersion) {
+        return res.status(400).json({ 
+          message: "This QR code has been replaced by a newer one",
+          rule: "qr_code",
+          ticketId: ticket._id
+        });
+      }
+      // Screenshots of a static code aren't accepted for these events
+      if (!verifiedData.rotating && await Event.exists({ _id: ticket.event, rotatingQrCodes: true })) {
+        return res.status(400).json({ 
+          message: "This event needs the live QR code from the app",
+          rule: "qr_code",
+          ticketId: ticket._id
+        });
+      }
     } else if (ticketId) {
       // Find ticket by ID
       ticket = await Ticket.findById(ticketId);
@@ -300,21 +410,22 @@ exports.scanTicket = async (req, res) => {
       });
     }
 
-    // Verify the ticket belongs to an event created by this admin
-    const ticketBelongsToAdmin = await Ticket.aggregate([
-      { $match: { _id: ticket._id } },
-      ...getAdminEventsFilter(adminId),
-      { $limit: 1 },
-    ]);
+    // Verify the user may scan tickets for this ticket's event
+    const canScan = await permissionService.hasEventPermission(
+      adminId,
+      ticket.event,
+      permissionService.PERMISSIONS.TICKETS_SCAN
+    );
 
-    if (!ticketBelongsToAdmin.length) {
+    if (!canScan) {
       return res.status(403).json({ 
         message: "You are not authorized to scan this ticket" 
       });
     }
 
     // Populate event details
-    ticket = await Ticket.findById(ticket._id).populate("event", "title date");
+    ticket = await Ticket.findById(ticket._id)
+      .populate("event", `title ticketTypes ${eventScheduleService.SCHEDULE_FIELDS}`);
 
     // Check ticket status
     if (ticket.status !== "success") {
@@ -322,48 +433,102 @@ exports.scanTicket = async (req, res) => {
         .status(400)
         .json({ 
           message: "Only paid tickets can be scanned",
+          rule: "ticket_status",
           ticketStatus: ticket.status
         });
     }
 
-    // Check if ticket is already scanned
-    if (ticket.scanned) {
-      return res.status(400).json({ 
-        message: "Ticket already scanned",
-        scannedAt: ticket.scannedAt,
-        scannedBy: ticket.scannedBy,
+    const { direction = "in", gate, deviceId, overrideReason } = req.body;
+
+    // Tickets only get in while scanning is open (scanning out is always allowed)
+    const outsideWindow = direction === "in" ? eventScheduleService.checkScanWindow(ticket.event) : null;
+    if (outsideWindow && !overrideReason) {
+      return res.status(400).json({
+        message: outsideWindow.message,
+        rule: "scan_window",
+        code: outsideWindow.code,
+        scanWindow: {
+          opensAt: outsideWindow.opensAt,
+          closesAt: outsideWindow.closesAt,
+          timezone: outsideWindow.timezone
+        },
         ticketId: ticket._id,
         reference: ticket.reference
       });
     }
 
-    // Check if the event date has passed
-    const eventDate = new Date(ticket.event.date);
-    if (eventDate < new Date()) {
-      return res.status(400).json({
-        message: "Cannot scan ticket for past event",
-        eventDate: eventDate,
-        ticketId: ticket._id
+    // Organisers can let a ticket in anyway, with a reason
+    if (outsideWindow) {
+      const canOverride = !req.apiKey && await permissionService.hasEventPermission(
+        adminId,
+        ticket.event._id,
+        permissionService.PERMISSIONS.TICKETS_SCAN_OVERRIDE
+      );
+      if (!canOverride) {
+        return res.status(403).json({ 
+          message: "Only organisers can let tickets in outside the scan window" 
+        });
+      }
+    }
+
+    // Scan in (or out) according to the ticket type's entry policy
+    const scan = await entryService.recordScan(ticket, ticket.event, {
+      direction,
+      gate,
+      deviceId,
+      operatorId: adminId,
+      overrideReason: outsideWindow ? overrideReason : undefined,
+    });
+
+    if (!scan.accepted) {
+      const firstEntry = scan.state?.firstEntry;
+      return res.status(400).json({ 
+        message: scan.reason.message,
+        rule: "entry_policy",
+        code: scan.reason.code,
+        scannedAt: firstEntry?.scannedAt,
+        scannedBy: firstEntry?.operator || ticket.scannedBy,
+        entries: scan.state?.entries,
+        ticketId: ticket._id,
+        reference: ticket.reference
       });
     }
 
-    // Update ticket with scan information
-    ticket.scanned = true;
-    ticket.scannedAt = new Date();
-    ticket.scannedBy = adminId;
-    await ticket.save();
+    if (outsideWindow) {
+      await auditService.record({
+        actor: adminId,
+        action: "ticket.scan_window_overridden",
+        targetType: "Ticket",
+        targetId: ticket._id,
+        changes: {
+          entries: { from: scan.state.entries - 1, to: scan.state.entries },
+          scanWindow: { from: outsideWindow.code, to: "overridden" }
+        },
+        reason: overrideReason,
+      }, req);
+    }
 
     // Log the successful scan
-    console.log(`Ticket ${ticket._id} (${ticket.reference}) scanned successfully by admin ${adminId} at ${ticket.scannedAt}`);
+    const via = req.apiKey ? ` with API key ${req.apiKey.id}` : "";
+    console.log(`Ticket ${ticket._id} (${ticket.reference}) scanned ${direction} by user ${adminId}${via} at ${scan.scanEvent.scannedAt}`);
 
     res.json({ 
-      message: "Ticket scanned successfully", 
+      message: direction === "in" ? "Ticket scanned successfully" : "Ticket scanned out", 
       ticket: {
         id: ticket._id,
         reference: ticket.reference,
         ticketType: ticket.ticketType,
-        scannedAt: ticket.scannedAt,
-        event: ticket.event
+        scannedAt: scan.scanEvent.scannedAt,
+        direction,
+        entries: scan.state.entries,
+        entryPolicy: entryService.getEntryPolicy(ticket.event, ticket).policy,
+        overridden: Boolean(outsideWindow),
+        event: {
+          _id: ticket.event._id,
+          title: ticket.event.title,
+          date: ticket.event.date,
+          ...eventScheduleService.getSchedule(ticket.event)
+        }
       }
     });
   } catch (error) {
@@ -379,28 +544,50 @@ exports.scanTicket = async (req, res) => {
 };
 
 /**
- * Get analytics for a specific event (tickets remaining, revenue, payments)
+ * Tickets, scan state and QR keys for scanning an event offline
  */
-exports.getEventAnalytics = async (req, res) => {
+exports.getScannerManifest = async (req, res) => {
   try {
-    const adminId = req.user.id;
-    const { eventId } = req.params;
-
-    if (!mongoose.Types.ObjectId.isValid(eventId)) {
-      return res.status(400).json({ message: "Invalid event ID" });
-    }
-
-    const objectEventId = new mongoose.Types.ObjectId(eventId);
+    const manifest = await scanSyncService.getManifest(req.event);
+    res.json(manifest);
+  } catch (error) {
+    console.error("Failed to build scanner manifest:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to build scanner manifest", error: error.message });
+  }
+};
 
-    const event = await Event.findOne({
-      _id: objectEventId,
-      createdBy: adminId,
-    });
+/**
+ * Upload a gate device's offline scans; the earliest scan of a ticket wins
+ */
+exports.syncOfflineScans = async (req, res) => {
+  try {
+    const result = await scanSyncService.syncScans(req.event, req.body, req.user.id);
+    res.json(result);
+  } catch (error) {
+    console.error("Offline scan sync failed:", error);
+    res
+      .status(500)
+      .json({ message: "Offline scan sync failed", error: error.message });
+  }
+};
 
-    if (!event) {
-      return res.status(200).json([]);
+/**
+ * Get analytics for a specific event (tickets remaining, revenue, payments, occupancy)
+ * Revenue totals are in ?reportingCurrency (default REPORTING_CURRENCY, or USD)
+ */
+exports.getEventAnalytics = async (req, res) => {
+  try {
+    const reportingCurrency = getReportingCurrency(req);
+    if (!reportingCurrency) {
+      return invalidReportingCurrency(res);
     }
 
+    // Loaded and access-checked by requireEventPermission
+    const event = req.event;
+    const objectEventId = event._id;
+
     const eventInfo = await getEventTicketsInfo(event);
 
     if (!eventInfo){
@@ -416,16 +603,18 @@ exports.getEventAnalytics = async (req, res) => {
 
     const payments = await Payment.find({
       event: objectEventId,
-      status: "success",
+      status: { $in: PAID_PAYMENT_STATUSES },
     })
       .populate("user", "name email mobileNumber")
       .sort({ createdAt: -1 });
 
-    const revenueResult = await Payment.aggregate([
-      { $match: { event: objectEventId, status: "success" } },
-      { $group: { _id: null, total: { $sum: "$originalAmount" } } },
-    ]);
-    const revenue = revenueResult[0]?.total || 0;
+    const revenue = await reportingService.getRevenueReport(
+      [{ $match: { event: objectEventId } }],
+      reportingCurrency
+    );
+
+    // Who is inside now, from the scan log
+    const occupancy = await entryService.getOccupancy(objectEventId);
 
     res.json({
       event,
@@ -434,6 +623,7 @@ exports.getEventAnalytics = async (req, res) => {
       totalTicketsSold: eventInfo.ticketTypes.reduce((total, tt) => total + tt.sold, 0),
       revenue,
       payments,
+      occupancy,
     });
   } catch (error) {
     console.error("Failed to fetch event analytics:", error);
@@ -445,3 +635,555 @@ exports.getEventAnalytics = async (req, res) => {
       });
   }
 };
+
+/**
+ * Current exchange rates: latest snapshot and the rates pinned by admins
+ */
+exports.getExchangeRates = async (req, res) => {
+  try {
+    const snapshot = await exchangeRateService.getLatestSnapshot();
+    const overrides = await exchangeRateService.getActiveOverrides();
+    const ageMinutes = (Date.now() - snapshot.fetchedAt.getTime()) / 60000;
+
+    res.json({
+      base: exchangeRateService.BASE_CURRENCY,
+      snapshot,
+      // Conversions still use a stale snapshot while the provider can't be reached
+      stale: snapshot.source !== "api" || ageMinutes >= exchangeRateService.TTL_MINUTES,
+      ttlMinutes: exchangeRateService.TTL_MINUTES,
+      overrides,
+    });
+  } catch (error) {
+    console.error("Failed to fetch exchange rates:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch exchange rates", error: error.message });
+  }
+};
+
+/**
+ * Past rate snapshots and pinned rates, newest first
+ */
+exports.getExchangeRateHistory = async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const [snapshots, overrides] = await Promise.all([
+      exchangeRateService.getSnapshotHistory(limit),
+      exchangeRateService.getOverrideHistory(limit),
+    ]);
+
+    res.json({ snapshots, overrides });
+  } catch (error) {
+    console.error("Failed to fetch exchange rate history:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch exchange rate history", error: error.message });
+  }
+};
+
+/**
+ * Fetch fresh rates from the provider now instead of waiting for the TTL
+ */
+exports.refreshExchangeRates = async (req, res) => {
+  try {
+    const previous = await exchangeRateService.getLatestSnapshot();
+    const snapshot = await exchangeRateService.getLatestSnapshot({ forceRefresh: true });
+
+    // A failed refresh hands back the snapshot that was already in use
+    if (snapshot.source !== "api" || snapshot._id.equals(previous._id)) {
+      return res.status(502).json({
+        message: "Exchange rate provider unavailable, still using the last snapshot",
+        snapshot,
+      });
+    }
+
+    res.json({ message: "Exchange rates refreshed", snapshot });
+  } catch (error) {
+    console.error("Failed to refresh exchange rates:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to refresh exchange rates", error: error.message });
+  }
+};
+
+/**
+ * Pin a manual rate for a currency pair
+ */
+exports.setExchangeRateOverride = async (req, res) => {
+  try {
+    const { fromCurrency, toCurrency, rate, note } = req.body;
+
+    const override = await exchangeRateService.setOverride({
+      fromCurrency,
+      toCurrency,
+      rate,
+      note,
+      setBy: req.user.id,
+    });
+
+    res.json({ message: "Exchange rate pinned", override });
+  } catch (error) {
+    console.error("Failed to pin exchange rate:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to pin exchange rate", error: error.message });
+  }
+};
+
+/**
+ * Remove the pinned rate for a currency pair, going back to market rates
+ */
+exports.removeExchangeRateOverride = async (req, res) => {
+  try {
+    const fromCurrency = req.params.fromCurrency.toUpperCase();
+    const toCurrency = req.params.toCurrency.toUpperCase();
+
+    const override = await exchangeRateService.deactivateOverride(fromCurrency, toCurrency, req.user.id);
+    if (!override) {
+      return res.status(404).json({ message: "No pinned rate for this currency pair" });
+    }
+
+    res.json({ message: "Pinned exchange rate removed", override });
+  } catch (error) {
+    console.error("Failed to remove pinned exchange rate:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to remove pinned exchange rate", error: error.message });
+  }
+};
+
+/**
+ * Recent payment reconciliation runs, newest first
+ */
+exports.getReconciliationRuns = async (req, res) => {
+  try {
+    const limit = Math.min(Number(req.query.limit) || 20, 100);
+    const runs = await reconciliationService.getRunHistory(limit);
+
+    res.json({
+      running: reconciliationService.isRunInProgress(),
+      runs,
+    });
+  } catch (error) {
+    console.error("Failed to fetch reconciliation runs:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch reconciliation runs", error: error.message });
+  }
+};
+
+/**
+ * A reconciliation run with the outcome for each payment it checked
+ */
+exports.getReconciliationRun = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.runId)) {
+      return res.status(400).json({ message: "Invalid run ID" });
+    }
+
+    const run = await reconciliationService.getRun(req.params.runId);
+    if (!run) {
+      return res.status(404).json({ message: "Reconciliation run not found" });
+    }
+
+    res.json(run);
+  } catch (error) {
+    console.error("Failed to fetch reconciliation run:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch reconciliation run", error: error.message });
+  }
+};
+
+/**
+ * Reconcile stale pending payments now instead of waiting for the next scheduled run
+ */
+exports.runReconciliation = async (req, res) => {
+  try {
+    const run = await reconciliationService.runReconciliation({
+      trigger: "manual",
+      triggeredBy: req.user.id,
+    });
+
+    if (!run) {
+      return res.status(409).json({ message: "A reconciliation run is already in progress" });
+    }
+
+    res.json({ message: "Reconciliation run finished", run });
+  } catch (error) {
+    console.error("Reconciliation run failed:", error);
+    res
+      .status(500)
+      .json({ message: "Reconciliation run failed", error: error.message });
+  }
+};
+
+/**
+ * List user accounts, optionally filtered by role or a name/email/phone search
+ */
+exports.getUsers = async (req, res) => {
+  try {
+    const { search, role } = req.query;
+    const page = Math.max(Number(req.query.page) || 1, 1);
+    const limit = Math.min(Number(req.query.limit) || 50, 200);
+
+    const query = {};
+    if (role) query.role = role;
+    if (search) {
+      const pattern = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, "\\$&"), $options: "i" };
+      query.$or = [{ name: pattern }, { email: pattern }, { mobileNumber: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select("name email mobileNumber role emailVerified mobileVerified twoFactor.enabled failedLoginAttempts lockUntil createdAt")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      User.countDocuments(query),
+    ]);
+
+    res.json({ users, total, page, limit });
+  } catch (error) {
+    console.error("Failed to fetch users:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch users", error: error.message });
+  }
+};
+
+/**
+ * Change a user's role. Every change is recorded in the audit log.
+ */
+exports.updateUser = async (req, res) => {
+  try {
+    const adminId = req.user.id;
+    const { userId } = req.params;
+    const { role, reason } = req.body;
+
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const user = await User.findById(userId).select("-password");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    if (user.role === role) {
+      return res.json({ message: "User already has this role", user });
+    }
+
+    if (user.role === "admin" && role !== "admin") {
+      if (user._id.equals(adminId)) {
+        return res.status(400).json({ message: "You can't remove your own admin role" });
+      }
+      const adminCount = await User.countDocuments({ role: "admin" });
+      if (adminCount <= 1) {
+        return res.status(400).json({ message: "The last admin can't be demoted" });
+      }
+    }
+
+    // Only change the role if nobody changed it in the meantime
+    const updatedUser = await User.findOneAndUpdate(
+      { _id: user._id, role: user.role },
+      { $set: { role } },
+      { new: true }
+    ).select("-password");
+    if (!updatedUser) {
+      return res.status(409).json({ message: "The user's role was changed by someone else, please retry" });
+    }
+
+    await auditService.record({
+      actor: adminId,
+      action: "user.role_changed",
+      targetType: "User",
+      targetId: user._id,
+      changes: { role: { from: user.role, to: role } },
+      reason,
+    }, req);
+
+    res.json({ message: "User role updated", user: updatedUser });
+  } catch (error) {
+    console.error("Failed to update user:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to update user", error: error.message });
+  }
+};
+
+/**
+ * Lift a login lockout. Recorded in the audit log.
+ */
+exports.unlockUser = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const previous = await User.findById(userId).select("failedLoginAttempts lockCount lockUntil");
+    if (!previous) {
+      return res.status(404).json({ message: "User not found" });
+    }
+
+    const user = await accountLockoutService.unlockAccount(userId);
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "user.unlocked",
+      targetType: "User",
+      targetId: previous._id,
+      changes: {
+        lockUntil: { from: previous.lockUntil || null, to: null },
+        failedLoginAttempts: { from: previous.failedLoginAttempts, to: 0 },
+      },
+      reason: req.body?.reason,
+    }, req);
+
+    res.json({ message: "User unlocked", user });
+  } catch (error) {
+    console.error("Failed to unlock user:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to unlock user", error: error.message });
+  }
+};
+
+/**
+ * Remove a user's two-factor authentication when they lost their device and
+ * recovery codes. Signs them out everywhere; recorded in the audit log.
+ */
+exports.resetUserTwoFactor = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+    if (userId === req.user.id) {
+      return res.status(400).json({ message: "Use a recovery code to regain access to your own account" });
+    }
+
+    const user = await User.findById(userId).select("twoFactor.enabled");
+    if (!user) {
+      return res.status(404).json({ message: "User not found" });
+    }
+    if (!user.twoFactor?.enabled) {
+      return res.status(400).json({ message: "Two-factor authentication is not enabled for this user" });
+    }
+
+    await twoFactorService.reset(user._id);
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "user.two_factor_reset",
+      targetType: "User",
+      targetId: user._id,
+      changes: { twoFactorEnabled: { from: true, to: false } },
+      reason: req.body?.reason,
+    }, req);
+
+    res.json({ message: "Two-factor authentication reset" });
+  } catch (error) {
+    console.error("Failed to reset two-factor authentication:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to reset two-factor authentication", error: error.message });
+  }
+};
+
+/**
+ * API keys, newest first (?createdBy=userId). Keys themselves are never returned.
+ */
+exports.getApiKeys = async (req, res) => {
+  try {
+    const { createdBy } = req.query;
+    if (createdBy && !mongoose.Types.ObjectId.isValid(createdBy)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const apiKeys = await apiKeyService.listKeys({ createdBy });
+    res.json(apiKeys);
+  } catch (error) {
+    console.error("Failed to fetch API keys:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch API keys", error: error.message });
+  }
+};
+
+/**
+ * Create an API key acting for the current user. The key is only shown in
+ * this response. Recorded in the audit log.
+ */
+exports.createApiKey = async (req, res) => {
+  try {
+    const { name, scopes, expiresAt } = req.body;
+    const { key, record } = await apiKeyService.createKey({ name, scopes, expiresAt }, req.user.id);
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "api_key.created",
+      targetType: "ApiKey",
+      targetId: record._id,
+      changes: {
+        name: { from: null, to: record.name },
+        scopes: { from: null, to: record.scopes },
+        expiresAt: { from: null, to: record.expiresAt || null },
+      },
+    }, req);
+
+    res.status(201).json({
+      message: "API key created. Store it now, it won't be shown again.",
+      key,
+      apiKey: {
+        id: record._id,
+        name: record.name,
+        prefix: record.prefix,
+        scopes: record.scopes,
+        expiresAt: record.expiresAt,
+        createdAt: record.createdAt,
+      },
+    });
+  } catch (error) {
+    console.error("Failed to create API key:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to create API key", error: error.message });
+  }
+};
+
+/**
+ * Revoke an API key. Recorded in the audit log.
+ */
+exports.revokeApiKey = async (req, res) => {
+  try {
+    const { keyId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(keyId)) {
+      return res.status(400).json({ message: "Invalid API key ID" });
+    }
+
+    const apiKey = await apiKeyService.revokeKey(keyId, req.user.id);
+    if (!apiKey) {
+      return res.status(404).json({ message: "API key not found or already revoked" });
+    }
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "api_key.revoked",
+      targetType: "ApiKey",
+      targetId: apiKey._id,
+      changes: { revokedAt: { from: null, to: apiKey.revokedAt } },
+      reason: req.body?.reason,
+    }, req);
+
+    res.json({ message: "API key revoked", apiKey });
+  } catch (error) {
+    console.error("Failed to revoke API key:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to revoke API key", error: error.message });
+  }
+};
+
+/**
+ * Ticket QR signing keys, newest first
+ */
+exports.getQrSigningKeys = async (req, res) => {
+  try {
+    const keys = await signingKeyService.listKeys();
+    res.json(keys);
+  } catch (error) {
+    console.error("Failed to fetch QR signing keys:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch QR signing keys", error: error.message });
+  }
+};
+
+/**
+ * Start signing QR codes with a new key. Existing codes keep working until
+ * the old key is revoked. Recorded in the audit log.
+ */
+exports.rotateQrSigningKey = async (req, res) => {
+  try {
+    const { key, previous } = await signingKeyService.rotateKey(req.user.id);
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "qr_signing_key.rotated",
+      targetType: "SigningKey",
+      targetId: key._id,
+      changes: { activeKid: { from: previous?.kid || null, to: key.kid } },
+      reason: req.body?.reason,
+    }, req);
+
+    res.status(201).json({
+      message: "QR signing key rotated",
+      key: { kid: key.kid, algorithm: key.algorithm, publicKey: key.publicKey, createdAt: key.createdAt },
+    });
+  } catch (error) {
+    console.error("Failed to rotate QR signing key:", error);
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to rotate QR signing key", error: error.message });
+  }
+};
+
+/**
+ * Revoke a retired QR signing key. Codes it signed stop working and the
+ * affected tickets get new ones. Recorded in the audit log.
+ */
+exports.revokeQrSigningKey = async (req, res) => {
+  try {
+    const key = await signingKeyService.revokeKey(req.params.kid);
+    const reissuedTickets = await ticketService.reissueQRCodesForKey(key.kid);
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "qr_signing_key.revoked",
+      targetType: "SigningKey",
+      targetId: key._id,
+      changes: {
+        status: { from: "retired", to: "revoked" },
+        reissuedTickets: { from: null, to: reissuedTickets },
+      },
+      reason: req.body?.reason,
+    }, req);
+
+    res.json({ message: "QR signing key revoked", kid: key.kid, reissuedTickets });
+  } catch (error) {
+    console.error("Failed to revoke QR signing key:", error);
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to revoke QR signing key", error: error.message });
+  }
+};
+
+/**
+ * Audit log entries, newest first (?targetType=User&targetId=...&action=...)
+ */
+exports.getAuditLogs = async (req, res) => {
+  try {
+    const { targetType, targetId, action } = req.query;
+
+    if (targetId && !mongoose.Types.ObjectId.isValid(targetId)) {
+      return res.status(400).json({ message: "Invalid target ID" });
+    }
+
+    const entries = await auditService.getEntries({
+      targetType,
+      targetId,
+      action,
+      limit: Math.min(Number(req.query.limit) || 50, 200),
+    });
+
+    res.json(entries);
+  } catch (error) {
+    console.error("Failed to fetch audit logs:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch audit logs", error: error.message });
+  }
+};
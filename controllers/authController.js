@@ -1,9 +1,37 @@
-const jwt = require("jsonwebtoken");
 const User = require("../Models/Users");
+const tokenService = require("../services/tokenService");
+const verificationService = require("../services/verificationService");
+const accountLockoutService = require("../services/accountLockoutService");
+const twoFactorService = require("../services/twoFactorService");
+const accountService = require("../services/accountService");
+const auditService = require("../services/auditService");
+const oidcService = require("../services/oidcService");
+
+const requestContext = (req) => ({ ip: req.ip, userAgent: req.get("User-Agent") });
+
+const accountLocked = (res, retryAfterSeconds) => {
+  res.set("Retry-After", String(retryAfterSeconds));
+  return res.status(423).json({
+    message: "Account temporarily locked after too many failed login attempts. Please try again later or reset your password.",
+    code: "account_locked",
+    retryAfterSeconds,
+  });
+};
+
+const userResponse = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  role: user.role,
+  mobileNumber: user.mobileNumber,
+  twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+});
 
 exports.register = async (req, res) => {
   try {
-    const { name, email, password, role, mobileNumber } = req.body;
+    // Accounts are always created as users; roles are granted by admins
+    const { name, email, password, mobileNumber } = req.body;
+    const role = "user";
 
     // Check if user already exists
     const existingUser = await User.findOne({ email });
@@ -15,14 +43,10 @@ exports.register = async (req, res) => {
     const user = new User({ name, email, password, role, mobileNumber});
     await user.save();
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role, mobileNumber: user.mobileNumber },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // Short-lived access token plus a refresh token
+    const tokens = await tokenService.issueTokens(user, requestContext(req));
 
-    res.status(201).json({ token, user: { id: user._id, name, email, role, mobileNumber} });
+    res.status(201).json({ ...tokens, user: { id: user._id, name, email, role, mobileNumber} });
   } catch (error) {
     res
       .status(500)
@@ -40,28 +64,263 @@ exports.login = async (req, res) => {
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
+    // Locked accounts don't get to try passwords
+    const lockedForSeconds = accountLockoutService.getLockRemainingSeconds(user);
+    if (lockedForSeconds) {
+      return accountLocked(res, lockedForSeconds);
+    }
+
     // Check password
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      const lockedNowForSeconds = await accountLockoutService.recordFailedLogin(user, requestContext(req));
+      if (lockedNowForSeconds) {
+        return accountLocked(res, lockedNowForSeconds);
+      }
       return res.status(400).json({ message: "Invalid credentials" });
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { id: user._id, email: user.email, role: user.role, mobileNumber: user.mobileNumber },
-      process.env.JWT_SECRET,
-      { expiresIn: "1d" }
-    );
+    // With 2FA, the password only earns a challenge to answer at /login/2fa
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: tokenService.signTwoFactorChallenge(user),
+        challengeExpiresIn: tokenService.TWO_FACTOR_CHALLENGE_TTL,
+      });
+    }
+
+    await accountLockoutService.recordSuccessfulLogin(user);
+
+    // Short-lived access token plus a refresh token
+    const tokens = await tokenService.issueTokens(user, requestContext(req));
 
     res.json({
-      token,
-      user: { id: user._id, name: user.name, email, role: user.role, mobileNumber: user.mobileNumber },
+      ...tokens,
+      user: userResponse(user),
+      // Admin routes stay closed until the admin sets up 2FA
+      ...(user.role === "admin" && { twoFactorEnrolmentRequired: true }),
     });
   } catch (error) {
     res.status(500).json({ message: "Login failed", error: error.message });
   }
 };
 
+// Second login step: a TOTP or recovery code for the challenge from /login
+exports.loginTwoFactor = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+    const user = await tokenService.verifyTwoFactorChallenge(challengeToken);
+
+    const lockedForSeconds = accountLockoutService.getLockRemainingSeconds(user);
+    if (lockedForSeconds) {
+      return accountLocked(res, lockedForSeconds);
+    }
+
+    const verified = await twoFactorService.verifySecondFactor(user, { code, recoveryCode });
+    if (!verified) {
+      const lockedNowForSeconds = await accountLockoutService.recordFailedLogin(user, requestContext(req));
+      if (lockedNowForSeconds) {
+        return accountLocked(res, lockedNowForSeconds);
+      }
+      return res.status(400).json({ message: "Invalid two-factor code" });
+    }
+
+    await accountLockoutService.recordSuccessfulLogin(user);
+
+    const tokens = await tokenService.issueTokens(user, { ...requestContext(req), twoFactorVerified: true });
+    res.json({ ...tokens, user: userResponse(user) });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Login failed", error: error.message });
+  }
+};
+
+// Identity providers the login page can offer
+exports.getOidcProviders = async (req, res) => {
+  res.json({ providers: oidcService.getEnabledProviders() });
+};
+
+// Start a sign-in with an identity provider; the client sends the user to authorizationUrl
+exports.startOidcLogin = async (req, res) => {
+  try {
+    const result = await oidcService.startLogin(req.params.provider, { loginHint: req.query.loginHint });
+    res.json(result);
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Login failed", error: error.message });
+  }
+};
+
+// Finish a sign-in with the code and state from the provider's redirect. Issues
+// the same tokens as /login, and lists profile fields still to fill in.
+exports.completeOidcLogin = async (req, res) => {
+  try {
+    const { user, created } = await oidcService.completeLogin(req.params.provider, req.body);
+
+    if (user.twoFactor?.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: tokenService.signTwoFactorChallenge(user),
+        challengeExpiresIn: tokenService.TWO_FACTOR_CHALLENGE_TTL,
+      });
+    }
+
+    const tokens = await tokenService.issueTokens(user, requestContext(req));
+
+    res.status(created ? 201 : 200).json({
+      ...tokens,
+      user: userResponse(user),
+      // e.g. ["mobileNumber"]: ask for it, then PATCH /me
+      missingFields: oidcService.getMissingFields(user),
+      ...(user.role === "admin" && { twoFactorEnrolmentRequired: true }),
+    });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Login failed", error: error.message });
+  }
+};
+
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const tokens = await tokenService.rotateRefreshToken(req.body.refreshToken, requestContext(req));
+    res.json(tokens);
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Token refresh failed", error: error.message });
+  }
+};
+
+// Revoke the session of a refresh token, or every session of its user with allDevices
+exports.logout = async (req, res) => {
+  try {
+    const { refreshToken, allDevices } = req.body;
+    if (!refreshToken) {
+      return res.status(400).json({ message: "Refresh token is required" });
+    }
+
+    const revoked = await tokenService.revokeRefreshToken(refreshToken);
+    if (revoked && allDevices) {
+      await tokenService.revokeAllUserTokens(revoked.user);
+    }
+
+    res.json({ message: allDevices ? "Logged out from all devices" : "Logged out" });
+  } catch (error) {
+    res.status(500).json({ message: "Logout failed", error: error.message });
+  }
+};
+
+// Email a password reset link. The response is the same whether or not the account exists.
+exports.forgotPassword = async (req, res) => {
+  try {
+    await verificationService.requestPasswordReset(req.body.email);
+    res.json({ message: "If an account exists for this email, a password reset link has been sent" });
+  } catch (error) {
+    res.status(500).json({ message: "Password reset request failed", error: error.message });
+  }
+};
+
+// Set a new password with a reset token
+exports.resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    await verificationService.resetPassword(token, password);
+    res.json({ message: "Password has been reset. Please log in again." });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Password reset failed", error: error.message });
+  }
+};
+
+// Send a verification code to the current user's email or mobile number
+exports.sendVerificationCode = async (req, res) => {
+  try {
+    const result = await verificationService.sendVerificationCode(req.user.id, req.body.channel);
+    res.json({ message: "Verification code sent", ...result });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to send verification code", error: error.message });
+  }
+};
+
+// Confirm a verification code
+exports.confirmVerificationCode = async (req, res) => {
+  try {
+    const { channel, code } = req.body;
+    await verificationService.confirmVerificationCode(req.user.id, channel, code);
+    res.json({ message: `${channel === "email" ? "Email address" : "Mobile number"} verified` });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Verification failed", error: error.message });
+  }
+};
+
+// Start 2FA enrolment: the secret as an otpauth URI and QR code for an authenticator app
+exports.setupTwoFactor = async (req, res) => {
+  try {
+    const enrolment = await twoFactorService.startEnrolment(req.user.id);
+    res.json({
+      message: "Scan the QR code with your authenticator app, then confirm with a code",
+      ...enrolment,
+    });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Two-factor setup failed", error: error.message });
+  }
+};
+
+// Finish 2FA enrolment. The recovery codes are only shown now, and the new
+// tokens count as a two-factor login.
+exports.confirmTwoFactor = async (req, res) => {
+  try {
+    const { user, recoveryCodes } = await twoFactorService.confirmEnrolment(req.user.id, req.body.code);
+    const tokens = await tokenService.issueTokens(user, { ...requestContext(req), twoFactorVerified: true });
+
+    res.json({
+      message: "Two-factor authentication enabled. Store your recovery codes somewhere safe.",
+      recoveryCodes,
+      ...tokens,
+    });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Two-factor setup failed", error: error.message });
+  }
+};
+
+// Replace the recovery codes
+exports.regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(req.user.id, req.body.code);
+    res.json({ message: "New recovery codes generated. The old ones no longer work.", recoveryCodes });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to generate recovery codes", error: error.message });
+  }
+};
+
+// Turn 2FA off (not allowed for admins)
+exports.disableTwoFactor = async (req, res) => {
+  try {
+    const { password, code, recoveryCode } = req.body;
+    await twoFactorService.disable(req.user.id, { password, code, recoveryCode });
+    res.json({ message: "Two-factor authentication disabled. Please log in again." });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to disable two-factor authentication", error: error.message });
+  }
+};
+
 exports.getCurrentUser = async (req, res) => {
   try {
     const user = await User.findById(req.user.id).select("-password");
@@ -75,3 +334,64 @@ exports.getCurrentUser = async (req, res) => {
       .json({ message: "Failed to fetch user.", error: err.message });
   }
 };
+
+// Update the current user's name, email address or mobile number
+exports.updateCurrentUser = async (req, res) => {
+  try {
+    const user = await accountService.updateProfile(req.user.id, req.body, requestContext(req));
+    res.json({ message: "Profile updated", user });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to update profile", error: error.message });
+  }
+};
+
+// Change the password; other sessions are signed out and this one gets new tokens
+exports.changePassword = async (req, res) => {
+  try {
+    const tokens = await accountService.changePassword(req.user.id, req.body, {
+      ...requestContext(req),
+      twoFactorVerified: req.user.twoFactorVerified,
+    });
+    res.json({ message: "Password changed. Other sessions have been signed out.", ...tokens });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to change password", error: error.message });
+  }
+};
+
+// Download everything stored about the current user as JSON
+exports.exportCurrentUser = async (req, res) => {
+  try {
+    const data = await accountService.exportData(req.user.id);
+    const date = new Date().toISOString().slice(0, 10);
+    res.set("Content-Disposition", `attachment; filename="account-export-${date}.json"`);
+    res.json(data);
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to export account data", error: error.message });
+  }
+};
+
+// Delete the current user's account; their payments and tickets are anonymised
+exports.deleteCurrentUser = async (req, res) => {
+  try {
+    await accountService.deleteAccount(req.user.id, req.body, requestContext(req));
+
+    await auditService.record({
+      actor: null,
+      action: "user.deleted",
+      targetType: "User",
+      targetId: req.user.id,
+    }, req);
+
+    res.json({ message: "Your account has been deleted" });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to delete account", error: error.message });
+  }
+};
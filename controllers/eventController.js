@@ -5,7 +5,14 @@ const dotenv = require("dotenv");
 const mongoose = require("mongoose");
 const paymentService = require("../services/paymentService");
 const ticketService = require("../services/ticketService");
+const reservationService = require("../services/reservationService");
+const paymentGateways = require("../services/gateways");
 const notificationService = require("../services/notificationService");
+const guestCheckoutService = require("../services/guestCheckoutService");
+const signingKeyService = require("../services/signingKeyService");
+const eventScheduleService = require("../services/eventScheduleService");
+const qrCodeService = require("../services/qrCodeService");
+const money = require("../services/money");
 const {createLogger, format, transports} = require("winston");
 
 dotenv.config();
@@ -29,14 +36,7 @@ const logger = createLogger({
   ]
 });
 
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
-// Wave Configuration
-const waveConfig = {
-  apiKey: process.env.WAVE_API_KEY,
-  apiUrl: "https://api.wave.com/v1",
-};
-
-// Create a new event (Admin only)
+// Create a new event (admins, or owners and managers of its organization)
 exports.createEvent = async (req, res) => {
   try {
     const {
@@ -45,10 +45,15 @@ exports.createEvent = async (req, res) => {
       country,
       city,
       ticketTypes,
-      date,
       category,
-      image
+      image,
+      doorsOpenAt,
+      endsAt,
+      timezone,
+      scanWindow
     } = req.body;
+    // startsAt is the newer name of date
+    const date = req.body.startsAt || req.body.date;
 
     // Validate required fields
     if (!title || !country || !city || !ticketTypes || !date || !category) {
@@ -106,6 +111,15 @@ exports.createEvent = async (req, res) => {
         });
       }
 
+      // Prices are stored in minor units, e.g. XOF prices can't have decimals
+      try {
+        money.toMinorUnits(ticketType.price, (ticketType.currency || "GMD").toUpperCase());
+      } catch (error) {
+        return res.status(400).json({
+          message: `Invalid price for ticket type "${ticketType.name}": ${error.message}`
+        });
+      }
+
       // Check for duplicate ticket type names
       const duplicateIndex = ticketTypes.findIndex((tt, index) => 
         index !== i && tt.name.toLowerCase() === ticketType.name.toLowerCase()
@@ -140,15 +154,22 @@ exports.createEvent = async (req, res) => {
       });
     }
 
+    const scheduleError = eventScheduleService.checkScheduleOrder({ doorsOpenAt, startsAt: eventDate, endsAt });
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
     // Prepare ticket types with default values
     const preparedTicketTypes = ticketTypes.map(ticketType => ({
       name: ticketType.name.trim(),
-      price: Number(ticketType.price),
-      currency: ticketType.currency || "GMD",
+      price: money.toMinorUnits(ticketType.price, (ticketType.currency || "GMD").toUpperCase()),
+      currency: (ticketType.currency || "GMD").toUpperCase(),
       quantity: Number(ticketType.quantity),
       sold: 0,
       description: ticketType.description || "",
-      benefits: ticketType.benefits || []
+      benefits: ticketType.benefits || [],
+      entryPolicy: ticketType.entryPolicy || "single",
+      maxEntries: ticketType.entryPolicy === "limited" ? Number(ticketType.maxEntries) : undefined
     }));
 
     const event = new Event({
@@ -160,10 +181,18 @@ exports.createEvent = async (req, res) => {
       },
       ticketTypes: preparedTicketTypes,
       date: eventDate,
+      startsAt: eventDate,
+      doorsOpenAt: doorsOpenAt || undefined,
+      endsAt: endsAt || undefined,
+      timezone: timezone || undefined,
+      scanWindow,
       category: category.toLowerCase(),
       createdBy: req.user.id,
+      organization: req.body.organization || undefined,
+      rotatingQrCodes: Boolean(req.body.rotatingQrCodes),
       image: req.file ? req.file.path : image || undefined,
-      soldOut: false
+      soldOut: false,
+      moneyVersion: money.MONEY_VERSION
     });
 
     await event.save();
@@ -205,6 +234,7 @@ exports.getAllEvents = async (req, res) => {
 const getEventTicketsInfo = async (event) => {
   try {
     const tickets = await ticketService.getEventTickets(event._id);
+    const holds = await reservationService.getActiveHolds(event._id);
 
     // Group tickets by type and count successful ones
     const ticketsByType = {};
@@ -220,14 +250,17 @@ const getEventTicketsInfo = async (event) => {
     // Calculate availability for each ticket type
     const ticketTypesInfo = event.ticketTypes.map(ticketType => {
       const sold = ticketsByType[ticketType.name] || 0;
-      const available = ticketType.quantity - sold;
+      const held = holds[ticketType.name] || 0;
+      const available = Math.max(ticketType.quantity - sold - held, 0);
       
       return {
         name: ticketType.name,
-        price: ticketType.price,
+        price: money.toMajorUnits(ticketType.price, ticketType.currency),
+        priceFormatted: money.formatMoney(ticketType.price, ticketType.currency),
         currency: ticketType.currency,
         quantity: ticketType.quantity,
         sold: sold,
+        held: held,
         available: available,
         description: ticketType.description,
         benefits: ticketType.benefits
@@ -273,15 +306,59 @@ exports.getEventDetails = async (req, res) => {
   }
 };
 
-// Update event (Admin only)
+// Update event (owners and managers)
 exports.updateEvent = async (req, res) => {
   try {
-    const event = await Event.findByIdAndUpdate(req.params.id, req.body, {
+    const update = { ...req.body };
+    // Ownership and roles are managed through organisations and event teams
+    delete update.createdBy;
+    delete update.organization;
+    delete update.team;
+
+    // date and startsAt are the same
+    if (update.startsAt || update.date) {
+      update.date = update.startsAt = update.startsAt || update.date;
+    }
+    const scheduleError = eventScheduleService.checkScheduleOrder({
+      doorsOpenAt: "doorsOpenAt" in update ? update.doorsOpenAt : req.event.doorsOpenAt,
+      startsAt: update.startsAt || req.event.startsAt || req.event.date,
+      endsAt: "endsAt" in update ? update.endsAt : req.event.endsAt,
+    });
+    if (scheduleError) {
+      return res.status(400).json({ message: scheduleError });
+    }
+
+    // Ticket prices come in major units, like on creation
+    if (Array.isArray(update.ticketTypes)) {
+      try {
+        update.ticketTypes = update.ticketTypes.map(ticketType => {
+          const currency = (ticketType.currency || "GMD").toUpperCase();
+          return {
+            ...ticketType,
+            currency,
+            price: money.toMinorUnits(ticketType.price, currency),
+          };
+        });
+      } catch (error) {
+        return res.status(400).json({ message: error.message });
+      }
+    }
+
+    const event = await Event.findByIdAndUpdate(req.params.id, update, {
       new: true,
     });
     if (!event) {
       return res.status(404).json({ message: "Event not found" });
     }
+
+    // QR codes are only valid around the event's schedule
+    const before = qrCodeService.getValidityWindow(req.event);
+    const after = qrCodeService.getValidityWindow(event);
+    if (before.validFrom.getTime() !== after.validFrom.getTime()
+      || before.validUntil.getTime() !== after.validUntil.getTime()) {
+      await ticketService.refreshEventQRCodes(event._id);
+    }
+
     res.json(event);
   } catch (error) {
     res
@@ -290,7 +367,7 @@ exports.updateEvent = async (req, res) => {
   }
 };
 
-// Delete event (Admin only)
+// Delete event (owners only)
 exports.deleteEvent = async (req, res) => {
   try {
     const event = await Event.findByIdAndDelete(req.params.id);
@@ -306,7 +383,28 @@ exports.deleteEvent = async (req, res) => {
 };
 
 // Initiate Payment
-exports.initiatePayment = async (req, res) => {
+exports.initiatePayment = (req, res) =>
+  startCheckout(req, res, {
+    userId: req.user.id,
+    // Mobile money prompts are sent to the account's number by default
+    defaultPayerPhone: req.user.mobileNumber,
+  });
+
+// Initiate a guest payment (req.guest set by guestMiddleware). The payment and
+// tickets have no user until the guest claims them.
+exports.initiateGuestPayment = (req, res) =>
+  startCheckout(req, res, {
+    userId: null,
+    guestContact: req.guest.contact,
+    defaultPayerPhone: req.guest.contact.type === "mobile" ? req.guest.contact.value : undefined,
+  });
+
+/**
+ * Hold tickets, create the payment and its tickets, and start the gateway checkout
+ *
+ * @param {Object} buyer { userId, guestContact, defaultPayerPhone }
+ */
+const startCheckout = async (req, res, buyer) => {
   let mainReference;
 
   try {
@@ -317,9 +415,10 @@ exports.initiatePayment = async (req, res) => {
       recipientType,
       recipientInfo,
       paymentGateway = "stripe",
+      payerPhone,
       metadata
     } = req.body;
-    const userId = req.user.id;
+    const { userId } = buyer;
 
     if (!mongoose.Types.ObjectId.isValid(eventId)) {
       return res.status(400).json({ message: "Invalid event ID" });
@@ -348,35 +447,52 @@ exports.initiatePayment = async (req, res) => {
       });
     }
 
-    // Check if enough tickets are available
-    const availableTickets = ticketType.quantity - ticketType.sold;
-    if (quantity > availableTickets) {
-      return res.status(400).json({ 
-        message: `Only ${availableTickets} "${ticketTypeName}" tickets available`,
-        available: availableTickets,
-        requested: quantity
-      });
-    }
-
+    // Integer minor units, so no rounding drift
     const amount = ticketType.price * quantity;
     const currency = ticketType.currency;
-    mainReference = `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
 
     // Validate currency based on payment gateway
-    const validCurrencies = {
-      wave: ["GMD"],
-      stripe: ["USD", "EUR", "GBP", "GMD"]
-    };
+    const gateway = paymentGateways.getGateway(paymentGateway);
+    if (!gateway) {
+      return res.status(400).json({
+        message: `Unsupported payment gateway "${paymentGateway}"`,
+        availableGateways: paymentGateways.getEnabledGatewayNames()
+      });
+    }
 
-    if (!validCurrencies[paymentGateway]?.includes(currency.toUpperCase())) {
+    if (!gateway.supportedCurrencies.includes(currency.toUpperCase())) {
       return res.status(400).json({
-        message: `Invalid currency for ${paymentGateway}. Ticket type "${ticketTypeName}" uses ${currency}, but ${paymentGateway} supports: ${validCurrencies[paymentGateway].join(", ")}`
+        message: `Invalid currency for ${paymentGateway}. Ticket type "${ticketTypeName}" uses ${currency}, but ${paymentGateway} supports: ${gateway.supportedCurrencies.join(", ")}`
       });
     }
 
+    // Mobile money prompts are sent to the payer's phone
+    const payer = { phone: payerPhone || buyer.defaultPayerPhone };
+    if (gateway.requiresPayerPhone && !payer.phone) {
+      return res.status(400).json({
+        message: `${gateway.displayName} payments require a payer phone number`
+      });
+    }
+
+    // Hold the tickets while the buyer completes checkout
+    const reference = `PAY-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    const reservation = await reservationService.holdTickets(eventId, ticketTypeName, quantity, reference, {
+      minTtlMinutes: gateway.minHoldMinutes,
+    });
+    if (!reservation) {
+      const availableTickets = Math.max(ticketType.quantity - ticketType.sold - (ticketType.reserved || 0), 0);
+      return res.status(400).json({ 
+        message: `Only ${availableTickets} "${ticketTypeName}" tickets available`,
+        available: availableTickets,
+        requested: quantity
+      });
+    }
+    mainReference = reference;
+
     // Create payment record
     const payment = await Payment.create({
       user: userId,
+      guestContact: buyer.guestContact,
       event: eventId,
       amount,
       reference: mainReference,
@@ -386,6 +502,7 @@ exports.initiatePayment = async (req, res) => {
       originalAmount: amount,
       originalCurrency: currency,
       exchangeRate: 1,
+      moneyVersion: money.MONEY_VERSION,
     });
 
     // Create tickets with recipient information
@@ -395,6 +512,7 @@ exports.initiatePayment = async (req, res) => {
       quantity,
       ticketTypeName,
       ticketType.price,
+      currency,
       mainReference,
       recipientInfo,
       recipientType
@@ -404,49 +522,39 @@ exports.initiatePayment = async (req, res) => {
     payment.tickets = createdTickets;
     await payment.save();
 
-    // Process payment based on selected gateway
-    if (paymentGateway === "wave") {
-      const waveSession = await paymentService.createWaveCheckout(
-        amount,
-        currency,
-        mainReference,
-        `${process.env.FRONTEND_URL}/payment-success?reference=${mainReference}`
-      );
+    // Create the checkout with the selected gateway
+    const checkout = await gateway.createCheckout({
+      payment,
+      event,
+      ticketTypeName,
+      quantity,
+      ticketReferences,
+      metadata,
+      payer,
+      expiresAt: reservation.expiresAt
+    });
 
-      return res.json({
-        id: waveSession.id,
-        paymentUrl: waveSession.payment_url || waveSession.url,
-        gateway: "wave",
-        reference: mainReference,
-        originalAmount: waveSession.originalAmount,
-        convertedAmount: waveSession.convertedAmount,
-        originalCurrency: waveSession.originalCurrency,
-        exchangeRate: waveSession.exchangeRate
-      });
-    } else {
-      const session = await paymentService.createStripeSession(
-        event,
-        ticketTypeName,
-        quantity,
-        mainReference,
-        ticketReferences,
-        metadata,
-        currency
-      );
+    await Payment.updateOne({ _id: payment._id }, { $set: checkout.paymentFields });
 
-      return res.json({ 
-        id: session.id, 
-        gateway: "stripe",
-        reference: mainReference,
-        originalAmount: session.originalAmount,
-        convertedAmount: session.convertedAmount,
-        exchangeRate: session.exchangeRate
-      });
-    }
+    return res.json({
+      id: checkout.id,
+      paymentUrl: checkout.paymentUrl,
+      message: checkout.message,
+      gateway: gateway.name,
+      reference: mainReference,
+      originalAmount: money.toMajorUnits(amount, currency),
+      originalAmountFormatted: money.formatMoney(amount, currency),
+      convertedAmount: money.toMajorUnits(checkout.amount, checkout.currency),
+      convertedAmountFormatted: money.formatMoney(checkout.amount, checkout.currency),
+      originalCurrency: currency,
+      exchangeRate: checkout.exchangeRate,
+      reservationExpiresAt: reservation.expiresAt
+    });
   } catch (error) {
     console.error("Payment Initiation Error:", error);
 
     if (mainReference) {
+      await reservationService.releaseReservation(mainReference, "initiation_failed").catch(console.error);
       await Payment.deleteOne({ reference: mainReference }).catch(console.error);
       await Ticket.deleteMany({ paymentReference: mainReference }).catch(console.error);
     }
@@ -470,140 +578,83 @@ exports.verifyPayment = async (req, res) => {
       });
     }
 
-    let payment;
-    let sessionData;
-
-    if (gateway === "stripe") {
-      const session = await stripe.checkout.sessions.retrieve(reference, {
-        expand: ["payment_intent"],
-      })
-      const result = await paymentService.verifyStripePayment(session);
-      payment = result.payment;
-      sessionData = result.session;
-    } else if (gateway === "wave") {
-      const result = await paymentService.verifyWavePayment(reference);
-      payment = result.payment;
-      sessionData = result.waveData;
-
-      // If payment is still pending, return appropriate message
-      if (result.message) {
-        return res.json({
-          message: result.message,
-          payment: result.payment,
-          status: result.payment.status,
-          waveData: result.waveData
-        });
-      }
-    } else {
+    const paymentGateway = paymentGateways.getGateway(gateway);
+    if (!paymentGateway) {
       return res.status(400).json({ message: "Invalid payment gateway" });
     }
 
-    // Update payment status
-    payment.status = "success";
-    if (gateway === "stripe") {
-      payment.stripePaymentIntent = sessionData.payment_intent.id;
-    } else if (gateway === "wave") {
-      // Update Wave-specific fields
-      payment.wavePaymentId = sessionData.id;
-      payment.waveTransactionId = sessionData.transaction_id;
-      payment.waveStatus = sessionData.payment_status;
+    const payment = await paymentService.findPaymentForVerification(reference, paymentGateway);
+    if (!payment) {
+      return res.status(404).json({ message: "Payment not found" });
     }
-    await payment.save();
 
-    // Update tickets and generate QR codes
-    const tickets = await Ticket.find({ paymentReference: payment.reference });
-    for (const ticket of tickets) {
-      ticket.status = "success";
-      await ticket.save();
-      
-      // Generate QR code for each ticket
-      await ticketService.generateTicketQR(ticket._id);
+    let result;
+    if (payment.status === paymentService.PAYMENT_STATUS.SUCCESS) {
+      // Already settled payments are returned as they are
+      result = { status: "succeeded", gatewayFields: {}, details: {} };
+    } else if (
+      payment.status === paymentService.PAYMENT_STATUS.PENDING ||
+      payment.failureReason === reservationService.RESERVATION_EXPIRED
+    ) {
+      // Only the gateway's answer can fail a payment; if we can't get one, it stays as it is
+      try {
+        result = await paymentGateway.verify(payment);
+      } catch (error) {
+        console.error("Payment gateway verification error:", error);
+        return res.status(502).json({
+          message: `Could not check the payment with ${paymentGateway.displayName}, please try again`,
+          status: payment.status,
+          error: error.message,
+        });
+      }
+    } else {
+      return res.status(400).json({
+        message: `Payment is ${payment.status}`,
+        status: payment.status
+      });
     }
 
-    // Update event ticket counts for the specific ticket type
-    const ticketTypeName = tickets[0].ticketType;
-    const event = await Event.findById(payment.event);
-    
-    // Find the ticket type index and update the sold count
-    const ticketTypeIndex = event.ticketTypes.findIndex(tt => tt.name === ticketTypeName);
-    if (ticketTypeIndex !== -1) {
-      event.ticketTypes[ticketTypeIndex].sold += tickets.length;
-      await event.save();
+    if (result.status === "pending") {
+      return res.json({
+        message: result.message,
+        payment,
+        status: payment.status,
+        gatewayData: result.details
+      });
     }
 
-    // Check if event is sold out
-    const updatedEvent = await Event.findById(payment.event);
-    const allSoldOut = updatedEvent.ticketTypes.every(ticketType => 
-      ticketType.sold >= ticketType.quantity
-    );
-
-    if (allSoldOut) {
-      updatedEvent.soldOut = true;
-      await updatedEvent.save();
+    if (result.status === "failed") {
+      await paymentService.updatePaymentStatus(payment.reference, paymentService.PAYMENT_STATUS.FAILED);
+      return res.status(400).json({
+        message: "Payment failed or was cancelled",
+        gatewayData: result.details
+      });
     }
 
-
-    // await Event.findByIdAndUpdate(payment.event, {
-    //   $inc: { [`${ticketField}.sold`]: tickets.length },
-    //   $set: {
-    //     soldOut:
-    //       event.standardTicket.sold +
-    //         (ticketField === "standardTicket" ? tickets.length : 0) >=
-    //         event.standardTicket.quantity &&
-    //       event.vipTicket.sold +
-    //         (ticketField === "vipTicket" ? tickets.length : 0) >=
-    //         event.vipTicket.quantity,
-    //   },
-    // });
-
-    // Send SMS notification for successful ticket purchase
-    try {
-      const ticketData = {
-        eventTitle: event.title,
-        eventDate: event.date,
-        ticketType: ticketType,
-        quantity: tickets.length,
-        amount: payment.amount
-      };
-      
-      await notificationService.sendTicketPurchaseSMS(payment.user, ticketData);
-    } catch (smsError) {
-      console.error("Failed to send purchase SMS notification:", smsError);
-      // Don't fail the payment verification if SMS fails
+    // Store the gateway identifiers and fulfil the order
+    const { payment: updatedPayment, alreadyFulfilled, soldOut } = await paymentService.fulfillPayment(
+      payment.reference,
+      result.gatewayFields
+    );
+    if (soldOut) {
+      return res.status(409).json({
+        message: "The tickets sold out before your payment arrived, it is being refunded",
+        payment: updatedPayment,
+        gatewayData: result.details
+      });
     }
 
-    const updatedPayment = await Payment.findById(payment._id)
-      .populate("tickets")
-      .populate("event")
-      .populate("user", "name email");
-
     return res.json({
       message: `${gateway} payment verified successfully`,
       payment: updatedPayment,
-      waveData: gateway === "wave" ? sessionData : undefined
+      alreadyFulfilled,
+      gatewayData: result.details
     });
   } catch (error) {
     console.error("Payment Verification Error:", error);
 
-    // Error handling and cleanup
-    try {
-      const reference = req.body.reference;
-      if (reference) {
-        await Payment.findOneAndUpdate(
-          { reference },
-          { $set: { status: "failed" } }
-        );
-
-        await Ticket.updateMany(
-          { paymentReference: reference },
-          { $set: { status: "failed" } }
-        );
-      }
-    } catch (dbError) {
-      console.error("Failed to update statuses on error:", dbError);
-    }
-
-    res.status(500).json({
+    // The payment is left as it is, for webhooks, retries and reconciliation to settle
+    res.status(error.status || 500).json({
       message: "Payment verification failed",
       error: error.message,
       details: error.response?.data || undefined,
@@ -611,6 +662,57 @@ exports.verifyPayment = async (req, res) => {
   }
 };
 
+// Send a one-time code to a guest's email address or mobile number
+exports.sendGuestCode = async (req, res) => {
+  try {
+    const { channel, value } = req.body;
+    const result = await guestCheckoutService.sendGuestCode(channel, value);
+    res.json({ message: "Verification code sent", ...result });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to send verification code", error: error.message });
+  }
+};
+
+// Exchange a guest's code for a guest token to check out with
+exports.confirmGuestCode = async (req, res) => {
+  try {
+    const { channel, value, code } = req.body;
+    const result = await guestCheckoutService.confirmGuestCode(channel, value, code);
+    res.json({ message: "Contact verified", ...result });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Verification failed", error: error.message });
+  }
+};
+
+// Send a new claim link for a contact's guest purchases. Same response either way.
+exports.requestClaimLink = async (req, res) => {
+  try {
+    const { channel, value } = req.body;
+    await guestCheckoutService.requestClaimLink(channel, value);
+    res.json({ message: "If there are tickets bought with this contact, a link to claim them has been sent" });
+  } catch (error) {
+    res
+      .status(500)
+      .json({ message: "Failed to send claim link", error: error.message });
+  }
+};
+
+// Move guest purchases into the current user's account with a claim link token
+exports.claimGuestTickets = async (req, res) => {
+  try {
+    const result = await guestCheckoutService.claimTickets(req.body.token, req.user.id);
+    res.json({ message: "Tickets added to your account", ...result });
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to claim tickets", error: error.message });
+  }
+};
+
 // Get user's tickets
 exports.getUserTickets = async (req, res) => {
   try {
@@ -688,6 +790,20 @@ exports.getTransferHistory = async (req, res) => {
   }
 };
 
+// Current QR code of one of the user's tickets (?rotating=true for a short-lived one)
+exports.getTicketQRCode = async (req, res) => {
+  try {
+    const qrCode = await ticketService.getTicketQR(req.params.ticketId, req.user.id, {
+      rotating: req.query.rotating === "true",
+    });
+    res.json(qrCode);
+  } catch (error) {
+    res
+      .status(error.status || 500)
+      .json({ message: error.status ? error.message : "Failed to get QR code", error: error.message });
+  }
+};
+
 // Cancel transfer
 exports.cancelTransfer = async (req, res) => {
   try {
@@ -784,18 +900,14 @@ exports.getEventTicketTypes = async (req, res) => {
 // Get available currencies for payment gateways
 exports.getAvailableCurrencies = async (req, res) => {
   try {
-    const currencies = {
-      wave: {
-        name: "Wave",
-        currencies: ["GMD"],
-        description: "Wave supports Gambian Dalasi (GMD) only"
-      },
-      stripe: {
-        name: "Stripe",
-        currencies: ["USD", "EUR", "GBP", "GMD"],
-        description: "Stripe supports USD, EUR, GBP directly. GMD will be converted to USD"
-      }
-    };
+    const currencies = {};
+    paymentGateways.listGateways().forEach(gateway => {
+      currencies[gateway.name] = {
+        name: gateway.displayName,
+        currencies: gateway.supportedCurrencies,
+        description: gateway.description
+      };
+    });
 
     res.json(currencies);
   } catch (error) {
@@ -807,5 +919,19 @@ exports.getAvailableCurrencies = async (req, res) => {
   }
 };
 
+// Public keys for verifying ticket QR codes offline (see qrCodeService)
+exports.getQrSigningKeys = async (req, res) => {
+  try {
+    const keys = await signingKeyService.getPublicKeys();
+    res.json({ keys });
+  } catch (error) {
+    console.error("Error fetching QR signing keys:", error);
+    res.status(500).json({
+      message: "Failed to fetch QR signing keys",
+      error: error.message
+    });
+  }
+};
+
 
 exports.getEventTicketsInfo = getEventTicketsInfo;
\ No newline at end of file
@@ -0,0 +1,344 @@
+const mongoose = require("mongoose");
+const Event = require("../Models/EventModel");
+const Organization = require("../Models/Organization");
+const User = require("../Models/Users");
+const permissionService = require("../services/permissionService");
+const auditService = require("../services/auditService");
+
+const { PERMISSIONS } = permissionService;
+
+const MEMBER_FIELDS = "name email mobileNumber";
+
+// The organisation, if the user is one of its members
+const findMemberOrganization = (organizationId, userId) =>
+  Organization.findOne({ _id: organizationId, "members.user": userId });
+
+const findMember = (members, userId) =>
+  members.find(member => String(member.user) === String(userId));
+
+/**
+ * Create an organisation. The creator becomes its owner.
+ */
+exports.createOrganization = async (req, res) => {
+  try {
+    const organization = await Organization.create({
+      name: req.body.name,
+      createdBy: req.user.id,
+      members: [{ user: req.user.id, role: "owner", addedBy: req.user.id }],
+    });
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "organization.created",
+      targetType: "Organization",
+      targetId: organization._id,
+      changes: { name: { from: null, to: organization.name } },
+    }, req);
+
+    res.status(201).json(organization);
+  } catch (error) {
+    console.error("Failed to create organization:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to create organization", error: error.message });
+  }
+};
+
+/**
+ * Organisations the logged-in user is a member of, with their role in each
+ */
+exports.getMyOrganizations = async (req, res) => {
+  try {
+    const organizations = await Organization.find({ "members.user": req.user.id })
+      .sort({ createdAt: -1 });
+
+    res.json(organizations.map(organization => ({
+      _id: organization._id,
+      name: organization.name,
+      role: findMember(organization.members, req.user.id).role,
+      members: organization.members.length,
+      createdAt: organization.createdAt,
+    })));
+  } catch (error) {
+    console.error("Failed to fetch organizations:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch organizations", error: error.message });
+  }
+};
+
+/**
+ * An organisation and its members (members only)
+ */
+exports.getOrganization = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+      return res.status(400).json({ message: "Invalid organization ID" });
+    }
+
+    const organization = await findMemberOrganization(organizationId, req.user.id)
+      .populate("members.user", MEMBER_FIELDS);
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" });
+    }
+
+    res.json(organization);
+  } catch (error) {
+    console.error("Failed to fetch organization:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch organization", error: error.message });
+  }
+};
+
+/**
+ * Add a member to an organisation by email, or change their role (owners only)
+ */
+exports.setOrganizationMember = async (req, res) => {
+  try {
+    const { organizationId } = req.params;
+    const { email, role } = req.body;
+    if (!mongoose.Types.ObjectId.isValid(organizationId)) {
+      return res.status(400).json({ message: "Invalid organization ID" });
+    }
+
+    const organization = await findMemberOrganization(organizationId, req.user.id);
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" });
+    }
+    if (!permissionService.roleHasPermission(findMember(organization.members, req.user.id).role, PERMISSIONS.TEAM_MANAGE)) {
+      return res.status(403).json({ message: "Only owners can manage members" });
+    }
+
+    const user = await User.findOne({ email }).select(MEMBER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "No user with this email" });
+    }
+
+    const existing = findMember(organization.members, user._id);
+    if (existing && existing.role === role) {
+      return res.json({ message: "User already has this role", organization });
+    }
+
+    let updated;
+    if (!existing) {
+      updated = await Organization.findOneAndUpdate(
+        { _id: organization._id, "members.user": { $ne: user._id } },
+        { $push: { members: { user: user._id, role, addedBy: req.user.id } } },
+        { new: true }
+      );
+    } else {
+      const filter = { _id: organization._id, "members.user": user._id };
+      // An organisation always keeps an owner
+      if (existing.role === "owner") {
+        filter.members = { $elemMatch: { role: "owner", user: { $ne: user._id } } };
+      }
+      updated = await Organization.findOneAndUpdate(
+        filter,
+        { $set: { "members.$[member].role": role } },
+        { new: true, arrayFilters: [{ "member.user": user._id }] }
+      );
+    }
+
+    if (!updated) {
+      return res.status(409).json({
+        message: existing && existing.role === "owner"
+          ? "The last owner's role can't be changed"
+          : "Members were changed by someone else, please retry",
+      });
+    }
+
+    await auditService.record({
+      actor: req.user.id,
+      action: existing ? "organization.member_role_changed" : "organization.member_added",
+      targetType: "Organization",
+      targetId: organization._id,
+      changes: { member: user._id, role: { from: existing ? existing.role : null, to: role } },
+    }, req);
+
+    res.json({ message: existing ? "Member role updated" : "Member added", organization: updated });
+  } catch (error) {
+    console.error("Failed to update organization member:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to update organization member", error: error.message });
+  }
+};
+
+/**
+ * Remove a member from an organisation (owners only)
+ */
+exports.removeOrganizationMember = async (req, res) => {
+  try {
+    const { organizationId, userId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(organizationId) || !mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid organization or user ID" });
+    }
+
+    const organization = await findMemberOrganization(organizationId, req.user.id);
+    if (!organization) {
+      return res.status(404).json({ message: "Organization not found" });
+    }
+    if (!permissionService.roleHasPermission(findMember(organization.members, req.user.id).role, PERMISSIONS.TEAM_MANAGE)) {
+      return res.status(403).json({ message: "Only owners can manage members" });
+    }
+
+    const existing = findMember(organization.members, userId);
+    if (!existing) {
+      return res.status(404).json({ message: "User is not a member of this organization" });
+    }
+
+    const memberId = new mongoose.Types.ObjectId(userId);
+    const filter = { _id: organization._id };
+    if (existing.role === "owner") {
+      filter.members = { $elemMatch: { role: "owner", user: { $ne: memberId } } };
+    }
+    const updated = await Organization.findOneAndUpdate(
+      filter,
+      { $pull: { members: { user: memberId } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(409).json({ message: "The last owner can't be removed" });
+    }
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "organization.member_removed",
+      targetType: "Organization",
+      targetId: organization._id,
+      changes: { member: memberId, role: { from: existing.role, to: null } },
+    }, req);
+
+    res.json({ message: "Member removed", organization: updated });
+  } catch (error) {
+    console.error("Failed to remove organization member:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to remove organization member", error: error.message });
+  }
+};
+
+// Managers may only hand out (and take back) the scanner role
+const canManageTeamRole = (req, role) =>
+  role === "scanner" ||
+  permissionService.hasEventPermission(req.user.id, req.event, PERMISSIONS.TEAM_MANAGE);
+
+/**
+ * People with a role on an event (req.event, loaded by requireEventPermission)
+ */
+exports.getEventTeam = async (req, res) => {
+  try {
+    const event = await Event.findById(req.event._id)
+      .select("title organization team")
+      .populate("team.user", MEMBER_FIELDS)
+      .populate("organization", "name");
+
+    res.json(event);
+  } catch (error) {
+    console.error("Failed to fetch event team:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to fetch event team", error: error.message });
+  }
+};
+
+/**
+ * Give a user a role on an event by email, or change it
+ */
+exports.setEventTeamMember = async (req, res) => {
+  try {
+    const { email, role } = req.body;
+    const event = req.event;
+
+    const user = await User.findOne({ email }).select(MEMBER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ message: "No user with this email" });
+    }
+
+    const existing = findMember(event.team, user._id);
+    if (existing && existing.role === role) {
+      return res.json({ message: "User already has this role", team: event.team });
+    }
+    if (!(await canManageTeamRole(req, role)) || (existing && !(await canManageTeamRole(req, existing.role)))) {
+      return res.status(403).json({ message: "Managers can only add or remove scanners" });
+    }
+
+    const updated = existing
+      ? await Event.findOneAndUpdate(
+        { _id: event._id, team: { $elemMatch: { user: user._id, role: existing.role } } },
+        { $set: { "team.$[member].role": role } },
+        { new: true, arrayFilters: [{ "member.user": user._id }] }
+      )
+      : await Event.findOneAndUpdate(
+        { _id: event._id, "team.user": { $ne: user._id } },
+        { $push: { team: { user: user._id, role, addedBy: req.user.id } } },
+        { new: true }
+      );
+    if (!updated) {
+      return res.status(409).json({ message: "The team was changed by someone else, please retry" });
+    }
+
+    await auditService.record({
+      actor: req.user.id,
+      action: existing ? "event.team_role_changed" : "event.team_member_added",
+      targetType: "Event",
+      targetId: event._id,
+      changes: { member: user._id, role: { from: existing ? existing.role : null, to: role } },
+    }, req);
+
+    res.json({ message: existing ? "Team role updated" : "Team member added", team: updated.team });
+  } catch (error) {
+    console.error("Failed to update event team:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to update event team", error: error.message });
+  }
+};
+
+/**
+ * Take away a user's role on an event
+ */
+exports.removeEventTeamMember = async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const event = req.event;
+    if (!mongoose.Types.ObjectId.isValid(userId)) {
+      return res.status(400).json({ message: "Invalid user ID" });
+    }
+
+    const existing = findMember(event.team, userId);
+    if (!existing) {
+      return res.status(404).json({ message: "User is not on this event's team" });
+    }
+    if (!(await canManageTeamRole(req, existing.role))) {
+      return res.status(403).json({ message: "Managers can only add or remove scanners" });
+    }
+
+    const memberId = new mongoose.Types.ObjectId(userId);
+    const updated = await Event.findOneAndUpdate(
+      { _id: event._id },
+      { $pull: { team: { user: memberId } } },
+      { new: true }
+    );
+    if (!updated) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    await auditService.record({
+      actor: req.user.id,
+      action: "event.team_member_removed",
+      targetType: "Event",
+      targetId: event._id,
+      changes: { member: memberId, role: { from: existing.role, to: null } },
+    }, req);
+
+    res.json({ message: "Team member removed", team: updated.team });
+  } catch (error) {
+    console.error("Failed to remove event team member:", error);
+    res
+      .status(500)
+      .json({ message: "Failed to remove event team member", error: error.message });
+  }
+};
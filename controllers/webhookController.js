@@ -0,0 +1,144 @@
+const Payment = require("../Models/Payments");
+const WebhookEvent = require("../Models/WebhookEvent");
+const paymentService = require("../services/paymentService");
+const reservationService = require("../services/reservationService");
+const paymentGateways = require("../services/gateways");
+
+/**
+ * Record a webhook event before processing it. Returns null when the event
+ * has already been processed (or is being processed) so replays are no-ops.
+ */
+const claimWebhookEvent = async (provider, eventId, type) => {
+  try {
+    return await WebhookEvent.create({ provider, eventId, type });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    // Deliveries that failed earlier may be retried, everything else is a duplicate
+    return WebhookEvent.findOneAndUpdate(
+      { provider, eventId, status: "failed" },
+      { $set: { status: "processing", error: null }, $inc: { attempts: 1 } },
+      { new: true }
+    );
+  }
+};
+
+/**
+ * Fulfil a paid payment. fulfillPayment is idempotent, so payments that were
+ * already settled through another path are left untouched.
+ */
+const settlePayment = async (reference, gatewayFields) => {
+  const payment = await Payment.findOne({ reference });
+  if (!payment) {
+    console.warn(`Webhook received for unknown payment ${reference}`);
+    return;
+  }
+
+  if (
+    payment.status === paymentService.PAYMENT_STATUS.FAILED &&
+    payment.failureReason !== reservationService.RESERVATION_EXPIRED
+  ) {
+    console.warn(`Webhook reports payment ${reference} as paid but it is marked as failed`);
+    return;
+  }
+
+  await paymentService.fulfillPayment(reference, gatewayFields);
+};
+
+/**
+ * Mark a pending payment and its tickets as failed
+ */
+const failPayment = (reference) =>
+  paymentService.updatePaymentStatus(reference, paymentService.PAYMENT_STATUS.FAILED);
+
+/**
+ * Note a declined attempt on a pending payment. The buyer can still retry,
+ * so the payment stays pending until it succeeds or the checkout expires.
+ */
+const recordDecline = (reference, reason) =>
+  Payment.updateOne(
+    { reference, status: paymentService.PAYMENT_STATUS.PENDING },
+    { $set: { lastDeclinedAt: new Date(), lastDeclineReason: reason } }
+  );
+
+/**
+ * Run the handler for a claimed webhook event and record the outcome
+ */
+const processWebhookEvent = async (record, handler) => {
+  try {
+    record.reference = await handler();
+    record.status = "processed";
+    record.processedAt = new Date();
+    await record.save();
+  } catch (error) {
+    record.status = "failed";
+    record.error = error.message;
+    await record.save().catch(console.error);
+    throw error;
+  }
+};
+
+/**
+ * Handle signed webhooks from any enabled payment gateway
+ */
+exports.handleWebhook = async (req, res) => {
+  const gateway = paymentGateways.getGateway(req.params.gateway);
+  if (!gateway) {
+    return res.status(404).json({ message: "Unknown payment gateway" });
+  }
+
+  let event;
+  try {
+    event = gateway.parseWebhook(req.body, req.headers);
+  } catch (error) {
+    return res.status(error.status || 400).json({
+      message: `Invalid ${gateway.displayName} webhook`,
+      error: error.message,
+    });
+  }
+
+  try {
+    const record = await claimWebhookEvent(gateway.name, event.id, event.type);
+    if (!record) {
+      return res.json({ received: true, duplicate: true });
+    }
+
+    await processWebhookEvent(record, async () => {
+      let reference = event.reference;
+      if (!reference && event.paymentQuery && event.action !== "ignored") {
+        const payment = await Payment.findOne(event.paymentQuery);
+        reference = payment?.reference;
+      }
+      if (!reference) {
+        return undefined;
+      }
+
+      let { action, gatewayFields } = event;
+
+      // Unsigned callbacks are confirmed with the gateway before acting on them
+      if (action === "verify") {
+        const payment = await Payment.findOne({ reference, paymentGateway: gateway.name });
+        if (!payment || payment.status !== paymentService.PAYMENT_STATUS.PENDING) {
+          return reference;
+        }
+        const result = await gateway.verify(payment);
+        action = result.status;
+        gatewayFields = result.gatewayFields;
+      }
+
+      if (action === "succeeded") {
+        await settlePayment(reference, gatewayFields);
+      } else if (action === "failed") {
+        await failPayment(reference);
+      } else if (action === "declined") {
+        await recordDecline(reference, event.declineReason);
+      }
+      return reference;
+    });
+
+    res.json({ received: true });
+  } catch (error) {
+    console.error(`${gateway.displayName} webhook processing failed:`, error);
+    res.status(500).json({ message: "Webhook processing failed", error: error.message });
+  }
+};
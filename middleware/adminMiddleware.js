@@ -1,9 +1,41 @@
+// Admins must have 2FA enabled, and have used it to log in (API keys: their
+// creator must have it enabled). Returns the response to refuse with, or null.
+const adminTwoFactorError = (user) => {
+  if (user.role !== "admin") {
+    return null;
+  }
+  if (!user.twoFactorEnabled) {
+    return {
+      message: "Admin accounts must set up two-factor authentication first.",
+      code: "two_factor_enrolment_required",
+    };
+  }
+  if (!user.twoFactorVerified) {
+    return {
+      message: "Please log in again with your two-factor code.",
+      code: "two_factor_required",
+    };
+  }
+  return null;
+};
+
+// Lets everyone through except admins without a second factor
+const requireAdminTwoFactor = (req, res, next) => {
+  const error = adminTwoFactorError(req.user);
+  if (error) {
+    return res.status(403).json(error);
+  }
+  next();
+};
+
 const adminMiddleware = (req, res, next) => {
   if (req.user.role !== "admin") {
     console.log(req.user.role)
     return res.status(403).json({ message: "Access denied. Admins only." });
   }
-  next();
+  requireAdminTwoFactor(req, res, next);
 };
 
-module.exports = adminMiddleware;
\ No newline at end of file
+module.exports = adminMiddleware;
+module.exports.adminTwoFactorError = adminTwoFactorError;
+module.exports.requireAdminTwoFactor = requireAdminTwoFactor;
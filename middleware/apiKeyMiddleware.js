@@ -0,0 +1,41 @@
+const authMiddleware = require("./authMiddleware");
+const { requireAdminTwoFactor } = require("./adminMiddleware");
+const apiKeyService = require("../services/apiKeyService");
+
+// For routes partners may call: accepts "Authorization: ApiKey <key>" with the
+// given scope, or a user's token as usual. With a key, req.user is the user
+// who created it and req.apiKey the key.
+const authOrApiKey = (scope) => async (req, res, next) => {
+  const [scheme, key] = (req.header("Authorization") || "").split(" ");
+  if (scheme !== "ApiKey") {
+    return authMiddleware(req, res, () => requireAdminTwoFactor(req, res, next));
+  }
+
+  try {
+    const { record, user } = await apiKeyService.authenticate(key, { ip: req.ip });
+    if (!apiKeyService.hasScope(record, scope)) {
+      return res.status(403).json({ message: `API key is missing the "${scope}" scope.` });
+    }
+
+    req.apiKey = { id: record._id.toString(), name: record.name, scopes: record.scopes };
+    req.user = {
+      id: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      mobileNumber: user.mobileNumber,
+      // Keys can't pass a second factor; an admin's key works while they have it enabled
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      twoFactorVerified: Boolean(user.twoFactor?.enabled),
+    };
+    requireAdminTwoFactor(req, res, next);
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+    res.status(500).json({ message: "Authentication failed.", error: error.message });
+  }
+};
+
+module.exports = {
+  authOrApiKey,
+};
@@ -1,6 +1,12 @@
 const jwt = require("jsonwebtoken");
+const User = require("../Models/Users");
+
+const authMiddleware = async (req, res, next) => {
+  // API keys are only accepted where routes opt in (see apiKeyMiddleware)
+  if (req.header("Authorization")?.startsWith("ApiKey ")) {
+    return res.status(401).json({ message: "API keys can't be used for this endpoint.", code: "api_key_not_allowed" });
+  }
 
-const authMiddleware = (req, res, next) => {
   const token = req.header("Authorization")?.replace("Bearer ", "");
 
   if (!token) {
@@ -9,12 +15,40 @@ const authMiddleware = (req, res, next) => {
       .json({ message: "Access denied. No token provided." });
   }
 
+  let decoded;
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded;
+    decoded = jwt.verify(token, process.env.JWT_SECRET);
+  } catch (error) {
+    if (error.name === "TokenExpiredError") {
+      return res.status(401).json({ message: "Token expired.", code: "token_expired" });
+    }
+    return res.status(400).json({ message: "Invalid token." });
+  }
+
+  // Tokens made for something else (login challenges, guest sessions) aren't access tokens
+  if (decoded.purpose || decoded.aud) {
+    return res.status(401).json({ message: "Invalid token.", code: "invalid_token" });
+  }
+
+  try {
+    // Load the user so revoked tokens and role changes take effect immediately
+    const user = await User.findById(decoded.id).select("email role mobileNumber tokenVersion twoFactor.enabled");
+    if (!user || (decoded.tokenVersion || 0) !== user.tokenVersion) {
+      return res.status(401).json({ message: "Token has been revoked.", code: "token_revoked" });
+    }
+
+    req.user = {
+      id: user._id.toString(),
+      email: user.email,
+      role: user.role,
+      mobileNumber: user.mobileNumber,
+      twoFactorEnabled: Boolean(user.twoFactor?.enabled),
+      // The session was started with a second factor
+      twoFactorVerified: Boolean(decoded.mfa),
+    };
     next();
   } catch (error) {
-    res.status(400).json({ message: "Invalid token." });
+    res.status(500).json({ message: "Authentication failed.", error: error.message });
   }
 };
 
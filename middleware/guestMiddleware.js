@@ -0,0 +1,22 @@
+const guestCheckoutService = require("../services/guestCheckoutService");
+
+// Guests send "Authorization: Guest <token>" with the token from confirming
+// their contact; sets req.guest
+const guestMiddleware = (req, res, next) => {
+  const [scheme, token] = (req.header("Authorization") || "").split(" ");
+
+  if (scheme !== "Guest" || !token) {
+    return res
+      .status(401)
+      .json({ message: "Access denied. No guest token provided." });
+  }
+
+  try {
+    req.guest = { contact: guestCheckoutService.verifyGuestToken(token) };
+    next();
+  } catch (error) {
+    res.status(error.status || 401).json({ message: error.message });
+  }
+};
+
+module.exports = guestMiddleware;
@@ -0,0 +1,91 @@
+const mongoose = require("mongoose");
+const Event = require("../Models/EventModel");
+const permissionService = require("../services/permissionService");
+const adminMiddleware = require("./adminMiddleware");
+const { adminTwoFactorError } = adminMiddleware;
+
+// Lets the request through if the user has the permission on at least one
+// event, and sets req.eventIds to those events
+const requirePermission = (permission) => async (req, res, next) => {
+  try {
+    // Admins need their second factor for organiser routes too
+    const twoFactorError = adminTwoFactorError(req.user);
+    if (twoFactorError) {
+      return res.status(403).json(twoFactorError);
+    }
+
+    req.eventIds = await permissionService.getAccessibleEventIds(req.user.id, permission);
+
+    // Admins without events yet still get their (empty) dashboards
+    if (!req.eventIds.length && req.user.role !== "admin") {
+      return res.status(403).json({ message: "Access denied." });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Permission check failed.", error: error.message });
+  }
+};
+
+// Checks the permission on the event in req.params[param] and sets req.event
+const requireEventPermission = (permission, param = "eventId") => async (req, res, next) => {
+  try {
+    // Admins need their second factor for organiser routes too
+    const twoFactorError = adminTwoFactorError(req.user);
+    if (twoFactorError) {
+      return res.status(403).json(twoFactorError);
+    }
+
+    const eventId = req.params[param];
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(400).json({ message: "Invalid event ID" });
+    }
+
+    const event = await Event.findById(eventId);
+    if (!event) {
+      return res.status(404).json({ message: "Event not found" });
+    }
+
+    if (!(await permissionService.hasEventPermission(req.user.id, event, permission))) {
+      return res.status(403).json({ message: "Access denied." });
+    }
+
+    req.event = event;
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Permission check failed.", error: error.message });
+  }
+};
+
+// Admins create events of their own; organisation owners and managers create
+// them for their organisation (req.body.organization)
+const canCreateEvent = async (req, res, next) => {
+  try {
+    const { organization } = req.body;
+
+    if (!organization) {
+      return adminMiddleware(req, res, next);
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(organization)) {
+      return res.status(400).json({ message: "Invalid organization ID" });
+    }
+
+    const allowed = await permissionService.hasOrganizationPermission(
+      req.user.id,
+      organization,
+      permissionService.PERMISSIONS.EVENTS_CREATE
+    );
+    if (!allowed) {
+      return res.status(403).json({ message: "You can't create events for this organization" });
+    }
+    next();
+  } catch (error) {
+    res.status(500).json({ message: "Permission check failed.", error: error.message });
+  }
+};
+
+module.exports = {
+  requirePermission,
+  requireEventPermission,
+  canCreateEvent,
+};
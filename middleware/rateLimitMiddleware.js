@@ -0,0 +1,75 @@
+const rateLimit = require("express-rate-limit");
+
+// Counters are kept in memory, so limits apply per server process
+const WINDOW_MS = (Number(process.env.AUTH_RATE_LIMIT_WINDOW_MINUTES) || 15) * 60 * 1000;
+
+const tooManyRequests = (message) => ({
+  windowMs: WINDOW_MS,
+  standardHeaders: "draft-7",
+  legacyHeaders: false,
+  message: { message },
+});
+
+// Throttle by the email address in the body, so one account can't be
+// targeted from many IPs. Requests without one fall back to the IP.
+const accountKey = (req) => {
+  const email = typeof req.body?.email === "string" ? req.body.email.trim().toLowerCase() : "";
+  return email ? `account:${email}` : `ip:${req.ip}`;
+};
+
+// Every API request, per IP
+const apiLimiter = rateLimit({
+  ...tooManyRequests("Too many requests, please try again later."),
+  limit: Number(process.env.API_RATE_LIMIT_MAX) || 1000,
+});
+
+// Guest contacts are throttled like accounts
+const guestContactKey = (req) => {
+  const value = typeof req.body?.value === "string" ? req.body.value.replace(/[\s-]/g, "").toLowerCase() : "";
+  return value ? `contact:${value}` : `ip:${req.ip}`;
+};
+
+const loginIpLimiter = rateLimit({
+  ...tooManyRequests("Too many login attempts from this IP, please try again later."),
+  limit: Number(process.env.LOGIN_RATE_LIMIT_MAX) || 20,
+});
+
+const loginAccountLimiter = rateLimit({
+  ...tooManyRequests("Too many login attempts for this account, please try again later."),
+  limit: Number(process.env.LOGIN_ACCOUNT_RATE_LIMIT_MAX) || 10,
+  keyGenerator: accountKey,
+});
+
+const passwordResetIpLimiter = rateLimit({
+  ...tooManyRequests("Too many password reset requests from this IP, please try again later."),
+  limit: Number(process.env.PASSWORD_RESET_RATE_LIMIT_MAX) || 10,
+});
+
+// Each request sends an email, so allow only a few per account
+const passwordResetAccountLimiter = rateLimit({
+  ...tooManyRequests("Too many password reset requests for this account, please try again later."),
+  limit: 3,
+  keyGenerator: accountKey,
+});
+
+// Guest codes and claim links are sent by SMS or email
+const guestCodeIpLimiter = rateLimit({
+  ...tooManyRequests("Too many verification requests from this IP, please try again later."),
+  limit: Number(process.env.GUEST_CODE_RATE_LIMIT_MAX) || 10,
+});
+
+const guestCodeContactLimiter = rateLimit({
+  ...tooManyRequests("Too many verification requests for this contact, please try again later."),
+  limit: 5,
+  keyGenerator: guestContactKey,
+});
+
+module.exports = {
+  apiLimiter,
+  loginIpLimiter,
+  loginAccountLimiter,
+  passwordResetIpLimiter,
+  passwordResetAccountLimiter,
+  guestCodeIpLimiter,
+  guestCodeContactLimiter,
+};
@@ -9,7 +9,46 @@ const validateEvent = (req, res, next) => {
 };
 
 const validatePayment = (req, res, next) => {
-  const { error } = validationService.validatePaymentInput(req.body);
+  const { error, value } = validationService.validatePaymentInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  // Checkout works with the converted values, e.g. quantity "2" -> 2
+  req.body = value;
+  next();
+};
+
+// Guests' tickets go to their verified contact unless they name recipients
+const validateGuestPayment = (req, res, next) => {
+  const { contact } = req.guest;
+  if (!req.body.recipientInfo) {
+    req.body.recipientType = req.body.recipientType || contact.type;
+    req.body.recipientInfo = Array.from({ length: Number(req.body.quantity) || 0 }, () => ({
+      type: contact.type,
+      value: contact.value,
+    }));
+  }
+  return validatePayment(req, res, next);
+};
+
+const validateGuestContact = (req, res, next) => {
+  const { error } = validationService.validateGuestContactInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateGuestCode = (req, res, next) => {
+  const { error } = validationService.validateGuestCodeInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateClaimTickets = (req, res, next) => {
+  const { error } = validationService.validateClaimTicketsInput(req.body);
   if (error) {
     return res.status(400).json({ message: error.details[0].message });
   }
@@ -24,8 +63,193 @@ const validateTransfer = (req, res, next) => {
   next();
 };
 
+const validateRefund = (req, res, next) => {
+  const { error } = validationService.validateRefundInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateExchangeRateOverride = (req, res, next) => {
+  const { error, value } = validationService.validateExchangeRateOverrideInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  req.body = value;
+  next();
+};
+
+const validateUserUpdate = (req, res, next) => {
+  const { error } = validationService.validateUserUpdateInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateOrganization = (req, res, next) => {
+  const { error } = validationService.validateOrganizationInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateOrganizationMember = (req, res, next) => {
+  const { error } = validationService.validateOrganizationMemberInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateEventTeamMember = (req, res, next) => {
+  const { error } = validationService.validateEventTeamMemberInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateApiKey = (req, res, next) => {
+  const { error } = validationService.validateApiKeyInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateOidcCallback = (req, res, next) => {
+  const { error } = validationService.validateOidcCallbackInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateScanSync = (req, res, next) => {
+  const { error } = validationService.validateScanSyncInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateScanTicket = (req, res, next) => {
+  const { error } = validationService.validateScanTicketInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateForgotPassword = (req, res, next) => {
+  const { error } = validationService.validateForgotPasswordInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateResetPassword = (req, res, next) => {
+  const { error } = validationService.validateResetPasswordInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateVerificationRequest = (req, res, next) => {
+  const { error } = validationService.validateVerificationRequestInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateVerificationCode = (req, res, next) => {
+  const { error } = validationService.validateVerificationCodeInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateTwoFactorLogin = (req, res, next) => {
+  const { error } = validationService.validateTwoFactorLoginInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateTwoFactorCode = (req, res, next) => {
+  const { error } = validationService.validateTwoFactorCodeInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateTwoFactorDisable = (req, res, next) => {
+  const { error } = validationService.validateTwoFactorDisableInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateProfileUpdate = (req, res, next) => {
+  const { error } = validationService.validateProfileUpdateInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validatePasswordChange = (req, res, next) => {
+  const { error } = validationService.validatePasswordChangeInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
+const validateAccountDeletion = (req, res, next) => {
+  const { error } = validationService.validateAccountDeletionInput(req.body);
+  if (error) {
+    return res.status(400).json({ message: error.details[0].message });
+  }
+  next();
+};
+
 module.exports = {
   validateEvent,
   validatePayment,
+  validateGuestPayment,
+  validateGuestContact,
+  validateGuestCode,
+  validateClaimTickets,
   validateTransfer,
+  validateRefund,
+  validateExchangeRateOverride,
+  validateUserUpdate,
+  validateOrganization,
+  validateOrganizationMember,
+  validateEventTeamMember,
+  validateApiKey,
+  validateOidcCallback,
+  validateScanSync,
+  validateScanTicket,
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerificationRequest,
+  validateVerificationCode,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateAccountDeletion,
 }; 
\ No newline at end of file
@@ -2,17 +2,36 @@ const express = require('express');
 const router = express.Router();
 const eventController = require('../controllers/eventController.js');
 const authMiddleware = require('../middleware/authMiddleware.js');
-const adminMiddleware = require('../middleware/adminMiddleware.js');
-const { validateEvent, validatePayment, validateTransfer } = require('../middleware/validationMiddleware.js');
+const { requireEventPermission, canCreateEvent } = require('../middleware/permissionMiddleware.js');
+const { PERMISSIONS } = require('../services/permissionService.js');
+const guestMiddleware = require('../middleware/guestMiddleware.js');
+const {
+  validateEvent,
+  validatePayment,
+  validateTransfer,
+  validateGuestPayment,
+  validateGuestContact,
+  validateGuestCode,
+  validateClaimTickets,
+} = require('../middleware/validationMiddleware.js');
+const { guestCodeIpLimiter, guestCodeContactLimiter } = require('../middleware/rateLimitMiddleware.js');
 const upload = require('../config/multer');
 
 // Public routes (no authentication required)
 router.get('/', eventController.getAllEvents);
 router.get('/categories', eventController.getEventCategories);
 router.get('/currencies', eventController.getAvailableCurrencies);
+router.get('/qr-keys', eventController.getQrSigningKeys);
 router.get('/:id', eventController.getEventDetails);
 router.get('/:eventId/ticket-types', eventController.getEventTicketTypes);
 
+// Guest checkout (a verified email address or mobile number instead of an account)
+router.post('/guest/verify/send', guestCodeIpLimiter, guestCodeContactLimiter, validateGuestContact, eventController.sendGuestCode);
+router.post('/guest/verify/confirm', guestCodeIpLimiter, validateGuestCode, eventController.confirmGuestCode);
+router.post('/guest/claim-link', guestCodeIpLimiter, guestCodeContactLimiter, validateGuestContact, eventController.requestClaimLink);
+router.post('/guest/verify-payment', guestMiddleware, eventController.verifyPayment);
+router.post('/:eventId/guest-pay', guestMiddleware, validateGuestPayment, eventController.initiateGuestPayment);
+
 // Protected routes (require authentication)
 router.use(authMiddleware);
 
@@ -20,6 +39,7 @@ router.use(authMiddleware);
 router.post('/:eventId/pay', validatePayment, eventController.initiatePayment);
 router.post('/verify-payment', eventController.verifyPayment);
 router.get('/user/tickets', eventController.getUserTickets);
+router.post('/tickets/claim', validateClaimTickets, eventController.claimGuestTickets);
 
 // Ticket transfer routes
 router.put('/tickets/:ticketId/transfer', validateTransfer, eventController.transferTicket);
@@ -27,10 +47,12 @@ router.get('/tickets/:ticketId/transfer-history', eventController.getTransferHis
 router.post('/tickets/:ticketId/cancel-transfer', eventController.cancelTransfer);
 router.post('/tickets/notify-transfer', eventController.sendTransferNotification);
 
-// Admin routes (require admin privileges)
-router.use(adminMiddleware);
-router.post('/', upload.single('image'), validateEvent, eventController.createEvent);
-router.put('/:id', upload.single('image'), validateEvent, eventController.updateEvent);
-router.delete('/:id', eventController.deleteEvent);
+// Ticket QR codes
+router.get('/tickets/:ticketId/qr', eventController.getTicketQRCode);
+
+// Organizer routes (require a role on the event or its organization)
+router.post('/', upload.single('image'), canCreateEvent, validateEvent, eventController.createEvent);
+router.put('/:id', requireEventPermission(PERMISSIONS.EVENTS_EDIT, 'id'), upload.single('image'), validateEvent, eventController.updateEvent);
+router.delete('/:id', requireEventPermission(PERMISSIONS.EVENTS_DELETE, 'id'), eventController.deleteEvent);
 
 module.exports = router; 
\ No newline at end of file
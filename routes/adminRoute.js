@@ -1,27 +1,89 @@
 const express = require("express");
 const router = express.Router();
 const adminController = require("../controllers/adminController.js");
+const organizationController = require("../controllers/organizationController.js");
 const authMiddleware = require("../middleware/authMiddleware.js");
 const adminMiddleware = require("../middleware/adminMiddleware.js");
+const { requireAdminTwoFactor } = adminMiddleware;
+const { authOrApiKey } = require("../middleware/apiKeyMiddleware.js");
+const { requirePermission, requireEventPermission } = require("../middleware/permissionMiddleware.js");
+const { PERMISSIONS } = require("../services/permissionService.js");
+const {
+  validateRefund,
+  validateExchangeRateOverride,
+  validateUserUpdate,
+  validateOrganization,
+  validateOrganizationMember,
+  validateEventTeamMember,
+  validateApiKey,
+  validateScanSync,
+  validateScanTicket,
+} = require("../middleware/validationMiddleware.js");
 
-// All routes require admin authentication
-router.use(authMiddleware);
-router.use(adminMiddleware);
+// Organizer routes: access depends on the user's roles on each event
 
-// Dashboard stats
-router.get("/dashboard", adminController.getDashboardStats);
+// Routes partners can also call with an API key (acting for the key's creator)
+router.get("/dashboard", authOrApiKey("sales:read"), requirePermission(PERMISSIONS.ANALYTICS_VIEW), adminController.getDashboardStats);
+router.get("/events", authOrApiKey("events:read"), requirePermission(PERMISSIONS.EVENTS_VIEW), adminController.fetchAdminEvents);
+router.get("/payments", authOrApiKey("sales:read"), requirePermission(PERMISSIONS.PAYMENTS_VIEW), adminController.getAllPayments);
+router.put("/tickets/:ticketId/scan", authOrApiKey("tickets:scan"), validateScanTicket, adminController.scanTicket);
+router.get("/events/:eventId/analytics", authOrApiKey("sales:read"), requireEventPermission(PERMISSIONS.ANALYTICS_VIEW), adminController.getEventAnalytics);
+router.get("/events/:eventId/scanner-manifest", authOrApiKey("tickets:scan"), requireEventPermission(PERMISSIONS.TICKETS_SCAN), adminController.getScannerManifest);
+router.post("/events/:eventId/scans/sync", authOrApiKey("tickets:scan"), requireEventPermission(PERMISSIONS.TICKETS_SCAN), validateScanSync, adminController.syncOfflineScans);
 
-// Events
-router.get("/events", adminController.fetchAdminEvents);
+// All other routes require a user's token (and admins a second factor)
+router.use(authMiddleware, requireAdminTwoFactor);
 
 // Payments
-router.get("/payments", adminController.getAllPayments);
+router.post("/payments/:reference/refund", validateRefund, adminController.refundPayment);
 
 // Tickets
-router.get("/tickets/:referenceId", adminController.searchTickets);
-router.put("/tickets/:ticketId/scan", adminController.scanTicket);
+router.get("/tickets/:referenceId", requirePermission(PERMISSIONS.TICKETS_VIEW), adminController.searchTickets);
+
+// Event teams
+router.get("/events/:eventId/team", requireEventPermission(PERMISSIONS.SCANNERS_MANAGE), organizationController.getEventTeam);
+router.put("/events/:eventId/team", requireEventPermission(PERMISSIONS.SCANNERS_MANAGE), validateEventTeamMember, organizationController.setEventTeamMember);
+router.delete("/events/:eventId/team/:userId", requireEventPermission(PERMISSIONS.SCANNERS_MANAGE), organizationController.removeEventTeamMember);
+
+// Organizations
+router.get("/organizations", organizationController.getMyOrganizations);
+router.post("/organizations", adminMiddleware, validateOrganization, organizationController.createOrganization);
+router.get("/organizations/:organizationId", organizationController.getOrganization);
+router.put("/organizations/:organizationId/members", validateOrganizationMember, organizationController.setOrganizationMember);
+router.delete("/organizations/:organizationId/members/:userId", organizationController.removeOrganizationMember);
+
+// Platform routes (require admin privileges)
+router.use(adminMiddleware);
+
+// Users
+router.get("/users", adminController.getUsers);
+router.patch("/users/:userId", validateUserUpdate, adminController.updateUser);
+router.post("/users/:userId/unlock", adminController.unlockUser);
+router.post("/users/:userId/reset-2fa", adminController.resetUserTwoFactor);
+
+// API keys
+router.get("/api-keys", adminController.getApiKeys);
+router.post("/api-keys", validateApiKey, adminController.createApiKey);
+router.delete("/api-keys/:keyId", adminController.revokeApiKey);
+
+// Ticket QR signing keys
+router.get("/qr-keys", adminController.getQrSigningKeys);
+router.post("/qr-keys/rotate", adminController.rotateQrSigningKey);
+router.delete("/qr-keys/:kid", adminController.revokeQrSigningKey);
+
+// Audit log
+router.get("/audit-logs", adminController.getAuditLogs);
+
+// Payment reconciliation
+router.get("/reconciliation/runs", adminController.getReconciliationRuns);
+router.get("/reconciliation/runs/:runId", adminController.getReconciliationRun);
+router.post("/reconciliation/run", adminController.runReconciliation);
 
-// Event analytics
-router.get("/events/:eventId/analytics", adminController.getEventAnalytics);
+// Exchange rates
+router.get("/exchange-rates", adminController.getExchangeRates);
+router.get("/exchange-rates/history", adminController.getExchangeRateHistory);
+router.post("/exchange-rates/refresh", adminController.refreshExchangeRates);
+router.put("/exchange-rates/overrides", validateExchangeRateOverride, adminController.setExchangeRateOverride);
+router.delete("/exchange-rates/overrides/:fromCurrency/:toCurrency", adminController.removeExchangeRateOverride);
 
 module.exports = router;
@@ -2,13 +2,63 @@ const express = require("express");
 const router = express.Router();
 const authController = require("../controllers/authController.js");
 const authMiddleware = require("../middleware/authMiddleware.js");
+const {
+  validateForgotPassword,
+  validateResetPassword,
+  validateVerificationRequest,
+  validateVerificationCode,
+  validateTwoFactorLogin,
+  validateTwoFactorCode,
+  validateTwoFactorDisable,
+  validateProfileUpdate,
+  validatePasswordChange,
+  validateAccountDeletion,
+  validateOidcCallback,
+} = require("../middleware/validationMiddleware.js");
+const {
+  loginIpLimiter,
+  loginAccountLimiter,
+  passwordResetIpLimiter,
+  passwordResetAccountLimiter,
+} = require("../middleware/rateLimitMiddleware.js");
 
 // Register a new user
 router.post("/register", authController.register);
 
 // Login user
-router.post("/login", authController.login);
+router.post("/login", loginIpLimiter, loginAccountLimiter, authController.login);
+router.post("/login/2fa", loginIpLimiter, validateTwoFactorLogin, authController.loginTwoFactor);
 
+// Login with an identity provider (Google, Apple)
+router.get("/oidc/providers", authController.getOidcProviders);
+router.get("/oidc/:provider/start", loginIpLimiter, authController.startOidcLogin);
+router.post("/oidc/:provider/callback", loginIpLimiter, validateOidcCallback, authController.completeOidcLogin);
+
+// Rotate a refresh token into new tokens
+router.post("/refresh", authController.refresh);
+
+// Revoke a refresh token's session ({ allDevices: true } for every session)
+router.post("/logout", authController.logout);
+
+// Password reset
+router.post("/forgot-password", passwordResetIpLimiter, passwordResetAccountLimiter, validateForgotPassword, authController.forgotPassword);
+router.post("/reset-password", passwordResetIpLimiter, validateResetPassword, authController.resetPassword);
+
+// Email / mobile number verification
+router.post("/verify/send", authMiddleware, validateVerificationRequest, authController.sendVerificationCode);
+router.post("/verify/confirm", authMiddleware, validateVerificationCode, authController.confirmVerificationCode);
+
+// Two-factor authentication
+router.post("/2fa/setup", authMiddleware, authController.setupTwoFactor);
+router.post("/2fa/confirm", authMiddleware, validateTwoFactorCode, authController.confirmTwoFactor);
+router.post("/2fa/recovery-codes", authMiddleware, validateTwoFactorCode, authController.regenerateRecoveryCodes);
+router.post("/2fa/disable", authMiddleware, validateTwoFactorDisable, authController.disableTwoFactor);
+
+// Profile
 router.get("/me", authMiddleware, authController.getCurrentUser);
+router.patch("/me", authMiddleware, validateProfileUpdate, authController.updateCurrentUser);
+router.post("/me/password", authMiddleware, validatePasswordChange, authController.changePassword);
+router.get("/me/export", authMiddleware, authController.exportCurrentUser);
+router.delete("/me", authMiddleware, validateAccountDeletion, authController.deleteCurrentUser);
 
 module.exports = router;
@@ -0,0 +1,12 @@
+const express = require("express");
+const router = express.Router();
+const webhookController = require("../controllers/webhookController.js");
+
+// Gateways sign the raw request body, so these routes must not go through the JSON parser
+router.use(express.raw({ type: "application/json" }));
+
+// Gateway events, e.g. /stripe (checkout.session.completed, payment_intent.payment_failed)
+// and /wave (checkout.session.completed, checkout.session.payment_failed)
+router.post("/:gateway", webhookController.handleWebhook);
+
+module.exports = router;
@@ -0,0 +1,75 @@
+/**
+ * Bootstrap the first admin account from the environment:
+ *
+ *   ADMIN_EMAIL=... ADMIN_PASSWORD=... ADMIN_MOBILE_NUMBER=... [ADMIN_NAME=...] npm run create-admin
+ *
+ * An existing account with ADMIN_EMAIL is promoted to admin (its password is
+ * left unchanged). Further admins are granted through PATCH /api/admin/users/:userId.
+ *
+ * Admin routes stay closed until the admin logs in and sets up two-factor
+ * authentication (POST /api/auth/2fa/setup, then /api/auth/2fa/confirm).
+ */
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const User = require("../Models/Users");
+const auditService = require("../services/auditService");
+
+dotenv.config();
+
+const main = async () => {
+  const { ADMIN_EMAIL, ADMIN_PASSWORD, ADMIN_MOBILE_NUMBER, ADMIN_NAME } = process.env;
+  if (!ADMIN_EMAIL) {
+    throw new Error("ADMIN_EMAIL is required");
+  }
+
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let user = await User.findOne({ email: ADMIN_EMAIL });
+  if (user) {
+    if (user.role === "admin") {
+      console.log(`${ADMIN_EMAIL} is already an admin`);
+      return;
+    }
+
+    const previousRole = user.role;
+    user.role = "admin";
+    await user.save();
+    await auditService.record({
+      action: "user.role_changed",
+      targetType: "User",
+      targetId: user._id,
+      changes: { role: { from: previousRole, to: "admin" } },
+      reason: "Promoted by the create-admin script",
+    });
+    console.log(`Promoted ${ADMIN_EMAIL} to admin`);
+    return;
+  }
+
+  if (!ADMIN_PASSWORD || ADMIN_PASSWORD.length < 8 || !ADMIN_MOBILE_NUMBER) {
+    throw new Error("ADMIN_PASSWORD (at least 8 characters) and ADMIN_MOBILE_NUMBER are required to create an admin");
+  }
+
+  user = await User.create({
+    name: ADMIN_NAME || "Administrator",
+    email: ADMIN_EMAIL,
+    password: ADMIN_PASSWORD,
+    mobileNumber: ADMIN_MOBILE_NUMBER,
+    role: "admin",
+  });
+  await auditService.record({
+    action: "user.created",
+    targetType: "User",
+    targetId: user._id,
+    changes: { role: { from: null, to: "admin" } },
+    reason: "Created by the create-admin script",
+  });
+  console.log(`Created admin ${ADMIN_EMAIL}`);
+};
+
+main()
+  .catch((error) => {
+    console.error("Failed to create admin:", error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
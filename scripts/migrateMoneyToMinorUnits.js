@@ -0,0 +1,151 @@
+/**
+ * One-off migration: store ticket prices and payment amounts as integer minor
+ * units (see services/money.js) instead of floats in major units.
+ *
+ * Usage: `npm run migrate:money` (add `-- --dry-run` to only count documents).
+ *
+ * Documents without a moneyVersion are the old float documents; each one is
+ * converted and marked with moneyVersion 2 in the same update, so the script
+ * can be re-run safely after an interruption.
+ */
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const money = require("../services/money");
+
+dotenv.config();
+
+const { MONEY_VERSION } = money;
+const DEFAULT_CURRENCY = "GMD";
+const dryRun = process.argv.includes("--dry-run");
+
+const LEGACY = { moneyVersion: { $exists: false } };
+
+const toMinor = (amount, currency) =>
+  typeof amount === "number"
+    ? Math.round(amount * 10 ** money.getExponent(currency || DEFAULT_CURRENCY))
+    : amount;
+
+const runUpdates = async (collection, updates) => {
+  if (!dryRun && updates.length > 0) {
+    await collection.bulkWrite(updates, { ordered: false });
+  }
+  return updates.length;
+};
+
+const migrateEvents = async (db) => {
+  const events = db.collection("events");
+  const updates = [];
+
+  for await (const event of events.find(LEGACY)) {
+    const ticketTypes = (event.ticketTypes || []).map(ticketType => ({
+      ...ticketType,
+      price: toMinor(ticketType.price, ticketType.currency),
+    }));
+
+    updates.push({
+      updateOne: {
+        filter: { _id: event._id, ...LEGACY },
+        update: { $set: { ticketTypes, moneyVersion: MONEY_VERSION } },
+      },
+    });
+  }
+
+  return runUpdates(events, updates);
+};
+
+// Tickets had no currency, so it is taken from the event's ticket type
+// (or the payment when the ticket type was renamed or removed)
+const migrateTickets = async (db) => {
+  const tickets = db.collection("tickets");
+  const currencyCache = new Map();
+  const updates = [];
+
+  const findCurrency = async (ticket) => {
+    const key = `${ticket.event}:${ticket.ticketType}:${ticket.paymentReference}`;
+    if (!currencyCache.has(key)) {
+      const event = await db.collection("events").findOne(
+        { _id: ticket.event },
+        { projection: { ticketTypes: 1 } }
+      );
+      let currency = event?.ticketTypes?.find(tt => tt.name === ticket.ticketType)?.currency;
+      if (!currency) {
+        const payment = await db.collection("payments").findOne(
+          { reference: ticket.paymentReference },
+          { projection: { originalCurrency: 1 } }
+        );
+        currency = payment?.originalCurrency;
+      }
+      currencyCache.set(key, currency || DEFAULT_CURRENCY);
+    }
+    return currencyCache.get(key);
+  };
+
+  for await (const ticket of tickets.find(LEGACY)) {
+    const currency = ticket.currency || await findCurrency(ticket);
+
+    updates.push({
+      updateOne: {
+        filter: { _id: ticket._id, ...LEGACY },
+        update: {
+          $set: {
+            price: toMinor(ticket.price, currency),
+            currency,
+            moneyVersion: MONEY_VERSION,
+          },
+        },
+      },
+    });
+  }
+
+  return runUpdates(tickets, updates);
+};
+
+const migratePayments = async (db) => {
+  const payments = db.collection("payments");
+  const updates = [];
+
+  for await (const payment of payments.find(LEGACY)) {
+    const refunds = (payment.refunds || []).map(refund => ({
+      ...refund,
+      amount: toMinor(refund.amount, refund.currency || payment.currency),
+      originalAmount: toMinor(refund.originalAmount, refund.originalCurrency || payment.originalCurrency),
+    }));
+
+    updates.push({
+      updateOne: {
+        filter: { _id: payment._id, ...LEGACY },
+        update: {
+          $set: {
+            amount: toMinor(payment.amount, payment.currency),
+            originalAmount: toMinor(payment.originalAmount, payment.originalCurrency),
+            refundedAmount: toMinor(payment.refundedAmount || 0, payment.currency),
+            refunds,
+            moneyVersion: MONEY_VERSION,
+          },
+        },
+      },
+    });
+  }
+
+  return runUpdates(payments, updates);
+};
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+  const db = mongoose.connection.db;
+
+  // Tickets look up currencies on events and payments, which don't change here
+  const tickets = await migrateTickets(db);
+  const events = await migrateEvents(db);
+  const payments = await migratePayments(db);
+
+  console.log(`${dryRun ? "Would migrate" : "Migrated"} ${events} events, ${tickets} tickets, ${payments} payments`);
+};
+
+main()
+  .catch((error) => {
+    console.error("Money migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,149 @@
+/**
+ * Local mock of a mobile money collections API (MTN MoMo style) so the
+ * mobile money gateway can be exercised offline.
+ *
+ * Usage: MOMO_MODE=mock in the API's environment, then `npm run mock:momo`.
+ *
+ * Payer numbers decide the outcome of a payment request:
+ * - ending in 0: the buyer rejects the prompt (FAILED)
+ * - ending in 1: the buyer never answers (stays PENDING)
+ * - anything else: approved after MOMO_MOCK_APPROVAL_DELAY_MS (default 5s)
+ *
+ * Resolved requests are also posted to the X-Callback-Url given on creation.
+ */
+
+const express = require("express");
+const axios = require("axios");
+const crypto = require("crypto");
+
+const PORT = process.env.MOMO_MOCK_PORT || 4010;
+const APPROVAL_DELAY_MS = Number(process.env.MOMO_MOCK_APPROVAL_DELAY_MS) || 5000;
+
+const app = express();
+app.use(express.json());
+
+// Payment requests and refunds by reference id
+const requests = new Map();
+const refunds = new Map();
+
+const requireToken = (req, res, next) => {
+  if (!req.header("Authorization")?.startsWith("Bearer mock-token-")) {
+    return res.status(401).json({ code: "UNAUTHORIZED", message: "Invalid access token" });
+  }
+  next();
+};
+
+const sendCallback = async (request) => {
+  if (!request.callbackUrl) return;
+  try {
+    await axios.post(request.callbackUrl, {
+      financialTransactionId: request.financialTransactionId,
+      externalId: request.externalId,
+      amount: request.amount,
+      currency: request.currency,
+      payer: request.payer,
+      status: request.status,
+      reason: request.reason,
+    });
+  } catch (error) {
+    console.error(`Callback to ${request.callbackUrl} failed:`, error.message);
+  }
+};
+
+const resolveRequest = (request) => {
+  const partyId = request.payer.partyId;
+
+  if (partyId.endsWith("1")) return;
+
+  setTimeout(() => {
+    if (partyId.endsWith("0")) {
+      request.status = "FAILED";
+      request.reason = "APPROVAL_REJECTED";
+    } else {
+      request.status = "SUCCESSFUL";
+      request.financialTransactionId = String(Date.now());
+    }
+    console.log(`Request ${request.referenceId} (${request.externalId}) -> ${request.status}`);
+    sendCallback(request);
+  }, APPROVAL_DELAY_MS);
+};
+
+// OAuth tokens for the collection and disbursement products
+app.post("/:product/token/", (req, res) => {
+  if (!req.header("Authorization")?.startsWith("Basic ")) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+  res.json({
+    access_token: `mock-token-${crypto.randomBytes(8).toString("hex")}`,
+    token_type: "access_token",
+    expires_in: 3600,
+  });
+});
+
+// Request to pay: sends the (simulated) USSD prompt to the payer
+app.post("/collection/v1_0/requesttopay", requireToken, (req, res) => {
+  const referenceId = req.header("X-Reference-Id");
+  const { amount, currency, externalId, payer } = req.body;
+
+  if (!referenceId || !amount || !currency || !payer?.partyId) {
+    return res.status(400).json({ code: "INVALID_REQUEST", message: "Missing fields" });
+  }
+  if (requests.has(referenceId)) {
+    return res.status(409).json({ code: "RESOURCE_ALREADY_EXIST", message: "Duplicated reference id" });
+  }
+
+  const request = {
+    referenceId,
+    amount,
+    currency,
+    externalId,
+    payer,
+    status: "PENDING",
+    callbackUrl: req.header("X-Callback-Url"),
+  };
+  requests.set(referenceId, request);
+  console.log(`USSD prompt sent to ${payer.partyId} for ${amount} ${currency} (${externalId})`);
+
+  resolveRequest(request);
+  res.status(202).end();
+});
+
+app.get("/collection/v1_0/requesttopay/:referenceId", requireToken, (req, res) => {
+  const request = requests.get(req.params.referenceId);
+  if (!request) {
+    return res.status(404).json({ code: "RESOURCE_NOT_FOUND", message: "Requested resource was not found" });
+  }
+
+  const { callbackUrl, referenceId, ...body } = request;
+  res.json(body);
+});
+
+// Refund a successful payment request
+app.post("/disbursement/v1_0/refund", requireToken, (req, res) => {
+  const referenceId = req.header("X-Reference-Id");
+  const original = requests.get(req.body.referenceIdToRefund);
+
+  if (refunds.has(referenceId)) {
+    return res.status(409).json({ code: "RESOURCE_ALREADY_EXIST", message: "Duplicated reference id" });
+  }
+  if (!original || original.status !== "SUCCESSFUL") {
+    return res.status(400).json({ code: "NOT_ALLOWED", message: "Payment can't be refunded" });
+  }
+
+  refunds.set(referenceId, { ...req.body, status: "SUCCESSFUL" });
+  console.log(`Refunded ${req.body.amount} ${req.body.currency} for ${req.body.externalId}`);
+  res.status(202).end();
+});
+
+app.get("/disbursement/v1_0/refund/:referenceId", requireToken, (req, res) => {
+  const refund = refunds.get(req.params.referenceId);
+  if (!refund) {
+    return res.status(404).json({ code: "RESOURCE_NOT_FOUND", message: "Requested resource was not found" });
+  }
+
+  res.json({ amount: refund.amount, currency: refund.currency, externalId: refund.externalId, status: refund.status });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock mobile money provider listening on port ${PORT}`);
+});
@@ -0,0 +1,111 @@
+/**
+ * Local mock of an OpenID Connect provider so identity provider sign-in can
+ * be exercised offline.
+ *
+ * Usage: OIDC_MOCK_ISSUER=http://localhost:4020 in the API's environment,
+ * then `npm run mock:oidc`.
+ *
+ * The authorization endpoint signs in straight away, as the user given in
+ * login_hint (default buyer@example.com):
+ * - the subject is derived from the email address, so the same hint is always
+ *   the same identity
+ * - addresses starting with "unverified" come back with email_verified false
+ */
+
+const express = require("express");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+
+const PORT = process.env.OIDC_MOCK_PORT || 4020;
+const ISSUER = process.env.OIDC_MOCK_ISSUER || `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.OIDC_MOCK_CLIENT_ID || "event-app";
+const CLIENT_SECRET = process.env.OIDC_MOCK_CLIENT_SECRET || "mock-secret";
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+// A fresh signing key on every start
+const KEY_ID = crypto.randomBytes(8).toString("hex");
+const { publicKey, privateKey } = crypto.generateKeyPairSync("rsa", { modulusLength: 2048 });
+
+// Issued codes, until they are exchanged
+const codes = new Map();
+
+app.get("/.well-known/openid-configuration", (req, res) => {
+  res.json({
+    issuer: ISSUER,
+    authorization_endpoint: `${ISSUER}/authorize`,
+    token_endpoint: `${ISSUER}/token`,
+    jwks_uri: `${ISSUER}/jwks`,
+    response_types_supported: ["code"],
+    subject_types_supported: ["public"],
+    id_token_signing_alg_values_supported: ["RS256"],
+    code_challenge_methods_supported: ["S256"],
+  });
+});
+
+app.get("/jwks", (req, res) => {
+  res.json({ keys: [{ ...publicKey.export({ format: "jwk" }), kid: KEY_ID, use: "sig", alg: "RS256" }] });
+});
+
+app.get("/authorize", (req, res) => {
+  const { client_id, redirect_uri, state, nonce, code_challenge, code_challenge_method, login_hint } = req.query;
+
+  if (client_id !== CLIENT_ID || !redirect_uri) {
+    return res.status(400).send("Unknown client or missing redirect_uri");
+  }
+  if (code_challenge_method !== "S256" || !code_challenge) {
+    return res.status(400).send("PKCE with S256 is required");
+  }
+
+  const email = (login_hint || "buyer@example.com").toLowerCase();
+  const code = crypto.randomBytes(16).toString("hex");
+  codes.set(code, { email, nonce, redirectUri: redirect_uri, codeChallenge: code_challenge });
+  console.log(`Signed in ${email}, redirecting to ${redirect_uri}`);
+
+  const params = new URLSearchParams({ code });
+  if (state) params.set("state", state);
+  res.redirect(`${redirect_uri}?${params}`);
+});
+
+app.post("/token", (req, res) => {
+  const { grant_type, code, redirect_uri, client_id, client_secret, code_verifier } = req.body;
+
+  if (client_id !== CLIENT_ID || client_secret !== CLIENT_SECRET) {
+    return res.status(401).json({ error: "invalid_client" });
+  }
+
+  const issued = codes.get(code);
+  codes.delete(code);
+  if (grant_type !== "authorization_code" || !issued || issued.redirectUri !== redirect_uri) {
+    return res.status(400).json({ error: "invalid_grant" });
+  }
+
+  const challenge = crypto.createHash("sha256").update(code_verifier || "").digest("base64url");
+  if (challenge !== issued.codeChallenge) {
+    return res.status(400).json({ error: "invalid_grant", error_description: "PKCE verification failed" });
+  }
+
+  const idToken = jwt.sign(
+    {
+      sub: crypto.createHash("sha256").update(issued.email).digest("hex").slice(0, 24),
+      email: issued.email,
+      email_verified: !issued.email.startsWith("unverified"),
+      name: issued.email.split("@")[0],
+      nonce: issued.nonce,
+    },
+    privateKey,
+    { algorithm: "RS256", keyid: KEY_ID, issuer: ISSUER, audience: CLIENT_ID, expiresIn: "5m" }
+  );
+
+  res.json({
+    access_token: crypto.randomBytes(16).toString("hex"),
+    token_type: "Bearer",
+    expires_in: 300,
+    id_token: idToken,
+  });
+});
+
+app.listen(PORT, () => {
+  console.log(`Mock OIDC provider listening on port ${PORT} (issuer ${ISSUER})`);
+});
@@ -0,0 +1,43 @@
+/**
+ * One-off migration: replace the old SHA-256 QR codes of paid tickets with
+ * signed tokens (see services/qrCodeService.js). Old codes no longer verify,
+ * so run this right after deploying.
+ *
+ * Usage: `npm run migrate:qr` (add `-- --dry-run` to only count tickets).
+ *
+ * Tickets whose QR code has no token are the old ones; the script can be
+ * re-run safely after an interruption.
+ */
+
+const mongoose = require("mongoose");
+const dotenv = require("dotenv");
+const Ticket = require("../Models/Ticket");
+const qrCodeService = require("../services/qrCodeService");
+
+dotenv.config();
+
+const dryRun = process.argv.includes("--dry-run");
+
+const LEGACY = { status: "success", "qrCode.token": { $exists: false } };
+
+const main = async () => {
+  await mongoose.connect(process.env.MONGO_URI);
+
+  let reissued = 0;
+  for await (const ticket of Ticket.find(LEGACY).cursor()) {
+    if (!dryRun) {
+      ticket.qrCode = await qrCodeService.generateTicketQRCode(ticket);
+      await ticket.save();
+    }
+    reissued++;
+  }
+
+  console.log(`${dryRun ? "Would reissue" : "Reissued"} QR codes for ${reissued} tickets`);
+};
+
+main()
+  .catch((error) => {
+    console.error("QR code migration failed:", error);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
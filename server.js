@@ -5,18 +5,21 @@ const dotenv = require("dotenv");
 const path = require("path");
 const bodyParser = require("body-parser");
 const helmet = require("helmet");
-const rateLimit = require("express-rate-limit");
 const morgan = require("morgan");
 const compression = require("compression");
 const swaggerUi = require("swagger-ui-express");
 const swaggerJsDoc = require("swagger-jsdoc");
 const { validateEnvironmentVariables } = require("./services/validationService");
 const errorHandler = require("./middleware/errorHandler");
+const { apiLimiter } = require("./middleware/rateLimitMiddleware");
+const reservationService = require("./services/reservationService");
+const reconciliationService = require("./services/reconciliationService");
 
 // Import routes
 const authRoute = require("./routes/authRoute.js");
 const eventRoute = require("./routes/EventRoute.js");
 const adminRoute = require("./routes/adminRoute.js");
+const webhookRoute = require("./routes/webhookRoute.js");
 
 // Load environment variables
 dotenv.config();
@@ -32,6 +35,11 @@ if (envError) {
 const app = express();
 const PORT = process.env.PORT || 4000;
 
+// Number of proxies in front of the app, so req.ip (and rate limiting) sees the client's IP
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", Number(process.env.TRUST_PROXY));
+}
+
 // Swagger configuration
 const swaggerOptions = {
   definition: {
@@ -64,6 +72,9 @@ app.use(morgan("combined"));
 // Compression middleware
 app.use(compression());
 
+// Payment webhooks need the raw body for signature checks, so mount them before body parsing
+app.use("/api/webhooks", webhookRoute);
+
 // Body parsing middleware
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
@@ -110,7 +121,13 @@ const mongooseOptions = {
 
 mongoose
   .connect(process.env.MONGO_URI, mongooseOptions)
-  .then(() => console.log("MongoDB Connected"))
+  .then(() => {
+    console.log("MongoDB Connected");
+    // Release checkout holds that were never paid
+    reservationService.startReservationSweeper();
+    // Settle payments whose buyer never came back from the gateway
+    reconciliationService.startReconciler();
+  })
   .catch((err) => {
     console.error("MongoDB Connection Error:", err);
     process.exit(1);
@@ -120,6 +137,7 @@ mongoose
 app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerDocs));
 
 // Routes
+app.use("/api", apiLimiter);
 app.use("/api/auth", authRoute);
 app.use("/api/events", eventRoute);
 app.use("/api/admin", adminRoute);
@@ -146,6 +164,8 @@ process.on("SIGINT", gracefulShutdown);
 
 function gracefulShutdown() {
   console.log("Received shutdown signal");
+  reservationService.stopReservationSweeper();
+  reconciliationService.stopReconciler();
   
   server.close(() => {
     console.log("Server closed");
@@ -0,0 +1,113 @@
+/**
+ * Account Lockout Service
+ *
+ * Failed logins are counted on the user. After LOGIN_MAX_FAILED_ATTEMPTS in a
+ * row the account is locked for LOGIN_LOCKOUT_MINUTES, doubling with every
+ * further lockout up to LOGIN_MAX_LOCKOUT_MINUTES. A successful login, a
+ * password reset or an admin unlock clears it all.
+ */
+
+const User = require("../Models/Users");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const lockoutConfig = {
+  maxFailedAttempts: Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5,
+  lockoutMinutes: Number(process.env.LOGIN_LOCKOUT_MINUTES) || 5,
+  maxLockoutMinutes: Number(process.env.LOGIN_MAX_LOCKOUT_MINUTES) || 24 * 60,
+};
+
+const CLEARED = {
+  failedLoginAttempts: 0,
+  lockCount: 0,
+  lockUntil: null,
+};
+
+// Seconds until the account unlocks, or 0 if it isn't locked
+const getLockRemainingSeconds = (user) => {
+  if (!user.lockUntil) return 0;
+  return Math.max(Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000), 0);
+};
+
+const getLockoutMinutes = (lockCount) =>
+  Math.min(lockoutConfig.lockoutMinutes * 2 ** lockCount, lockoutConfig.maxLockoutMinutes);
+
+/**
+ * Count a failed login. Returns the seconds the account is now locked for,
+ * or 0 if it isn't.
+ */
+const recordFailedLogin = async (user, context = {}) => {
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+    { new: true }
+  );
+  if (!updated || updated.failedLoginAttempts < lockoutConfig.maxFailedAttempts) {
+    return 0;
+  }
+
+  // Only one of several concurrent failures locks the account
+  const lockoutMinutes = getLockoutMinutes(updated.lockCount || 0);
+  const locked = await User.findOneAndUpdate(
+    { _id: user._id, failedLoginAttempts: { $gte: lockoutConfig.maxFailedAttempts } },
+    {
+      $set: { failedLoginAttempts: 0, lockUntil: new Date(Date.now() + lockoutMinutes * 60 * 1000) },
+      $inc: { lockCount: 1 },
+    },
+    { new: true }
+  );
+  if (!locked) {
+    return 0;
+  }
+
+  logger.warn("Account locked after repeated failed logins", {
+    userId: user._id,
+    lockoutMinutes,
+    lockCount: locked.lockCount,
+    ip: context.ip,
+  });
+  return getLockRemainingSeconds(locked);
+};
+
+const recordSuccessfulLogin = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockCount && !user.lockUntil) return;
+  await User.updateOne({ _id: user._id }, { $set: CLEARED });
+};
+
+// Lift a lockout and forget earlier failures, e.g. by an admin
+const unlockAccount = async (userId) => {
+  const user = await User.findByIdAndUpdate(userId, { $set: CLEARED }, { new: true })
+    .select("-password");
+  if (user) {
+    logger.info("Account unlocked", { userId });
+  }
+  return user;
+};
+
+module.exports = {
+  getLockRemainingSeconds,
+  recordFailedLogin,
+  recordSuccessfulLogin,
+  unlockAccount,
+};
@@ -0,0 +1,307 @@
+/**
+ * Account Service
+ *
+ * Self-service account management: profile changes, password changes, a data
+ * export and account deletion.
+ *
+ * Deleting an account removes the user and anything only they use (sessions,
+ * codes, memberships), but organisers keep their sales records: payments and
+ * tickets stay, with the reference to the user and their contact details
+ * anonymised.
+ */
+
+const User = require("../Models/Users");
+const Ticket = require("../Models/Ticket");
+const Payment = require("../Models/Payments");
+const Event = require("../Models/EventModel");
+const Organization = require("../Models/Organization");
+const RefreshToken = require("../Models/RefreshToken");
+const VerificationCode = require("../Models/VerificationCode");
+const tokenService = require("./tokenService");
+const twoFactorService = require("./twoFactorService");
+const accountLockoutService = require("./accountLockoutService");
+const apiKeyService = require("./apiKeyService");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+// Replaces personal details on records that are kept
+const ANONYMIZED = "anonymized";
+
+// Never part of a response or export
+const PRIVATE_FIELDS = "-password -tokenVersion -failedLoginAttempts -lastFailedLoginAt -lockCount -lockUntil -twoFactor.lastUsedStep";
+
+const accountError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(twoFactorService.SECRET_FIELDS);
+  if (!user) {
+    throw accountError("User not found", 404);
+  }
+  return user;
+};
+
+// Re-authentication for sensitive changes: the password, plus a second
+// factor when 2FA is on. Wrong passwords count towards the lockout.
+const reauthenticate = async (user, { password, code, recoveryCode }, context = {}) => {
+  if (accountLockoutService.getLockRemainingSeconds(user)) {
+    throw accountError("Account temporarily locked after too many failed attempts", 423);
+  }
+
+  // Accounts created with an identity provider set a password by resetting it
+  if (!user.password) {
+    throw accountError("This account has no password yet. Set one with a password reset link first.", 403);
+  }
+
+  if (!password || !(await user.comparePassword(password))) {
+    await accountLockoutService.recordFailedLogin(user, context);
+    throw accountError("Current password is incorrect", 401);
+  }
+
+  if (user.twoFactor?.enabled) {
+    if (!code && !recoveryCode) {
+      throw accountError("Two-factor code is required");
+    }
+    if (!(await twoFactorService.verifySecondFactor(user, { code, recoveryCode }))) {
+      await accountLockoutService.recordFailedLogin(user, context);
+      throw accountError("Invalid two-factor code", 401);
+    }
+  }
+};
+
+const getProfile = (userId) => User.findById(userId).select(PRIVATE_FIELDS);
+
+/**
+ * Update the name, email address or mobile number. A new email address or
+ * number has to be verified again, and changing the email address needs the
+ * current password.
+ */
+const updateProfile = async (userId, { name, email, mobileNumber, currentPassword }, context = {}) => {
+  const user = await loadUser(userId);
+  const changes = {};
+
+  if (name !== undefined && name !== user.name) {
+    changes.name = name;
+  }
+
+  if (email !== undefined && email !== user.email) {
+    await reauthenticate(user, { password: currentPassword }, context);
+    if (await User.exists({ email, _id: { $ne: user._id } })) {
+      throw accountError("Email address is already in use", 409);
+    }
+    Object.assign(changes, { email, emailVerified: false, emailVerifiedAt: null });
+  }
+
+  if (mobileNumber !== undefined && mobileNumber !== user.mobileNumber) {
+    Object.assign(changes, { mobileNumber, mobileVerified: false, mobileVerifiedAt: null });
+  }
+
+  if (!Object.keys(changes).length) {
+    return getProfile(user._id);
+  }
+
+  try {
+    await User.updateOne({ _id: user._id }, { $set: changes });
+  } catch (error) {
+    // Someone took the address between the check and the update
+    if (error.code === 11000) {
+      throw accountError("Email address is already in use", 409);
+    }
+    throw error;
+  }
+
+  logger.info("Profile updated", { userId: user._id, fields: Object.keys(changes) });
+  return getProfile(user._id);
+};
+
+/**
+ * Change the password. Every other session is signed out; returns new tokens
+ * for the current one.
+ *
+ * @param {Object} context { ip, userAgent, twoFactorVerified } of the current session
+ */
+const changePassword = async (userId, { currentPassword, newPassword, code, recoveryCode }, context = {}) => {
+  const user = await loadUser(userId);
+  await reauthenticate(user, { password: currentPassword, code, recoveryCode }, context);
+
+  if (await user.comparePassword(newPassword)) {
+    throw accountError("New password must be different from the current one");
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  await tokenService.revokeAllUserTokens(user._id, "password_changed");
+  await accountLockoutService.recordSuccessfulLogin(user);
+  logger.info("Password changed", { userId: user._id });
+
+  return tokenService.issueTokens(await User.findById(user._id), context);
+};
+
+/**
+ * Everything stored about the user, as plain JSON
+ */
+const exportData = async (userId) => {
+  const profile = await getProfile(userId);
+  if (!profile) {
+    throw accountError("User not found", 404);
+  }
+
+  const [tickets, transferredTickets, payments, organizations] = await Promise.all([
+    Ticket.find({ user: userId })
+      .select("-qrCode")
+      .populate("event", "title date location")
+      .sort({ createdAt: -1 }),
+    Ticket.find({ "transferHistory.from": userId })
+      .select("reference ticketType event transferHistory")
+      .populate("event", "title date"),
+    Payment.find({ user: userId })
+      .populate("event", "title date")
+      .sort({ createdAt: -1 }),
+    Organization.find({ "members.user": userId }).select("name members.$"),
+  ]);
+
+  return {
+    exportedAt: new Date(),
+    profile,
+    tickets,
+    transfers: transferredTickets.map(ticket => ({
+      ticket: ticket.reference,
+      ticketType: ticket.ticketType,
+      event: ticket.event,
+      transfers: ticket.transferHistory.filter(transfer => String(transfer.from) === String(userId)),
+    })),
+    payments,
+    organizations: organizations.map(organization => ({
+      name: organization.name,
+      role: organization.members[0].role,
+    })),
+  };
+};
+
+// Why an account can't be deleted yet, or null
+const findDeletionBlocker = async (user) => {
+  if (await Event.exists({ createdBy: user._id })) {
+    return "You still have events. Delete them or hand them over first.";
+  }
+
+  const soleOwnerOf = await Organization.findOne({
+    members: { $elemMatch: { user: user._id, role: "owner" } },
+    "members.1": { $exists: true },
+    $nor: [{ members: { $elemMatch: { user: { $ne: user._id }, role: "owner" } } }],
+  }).select("name");
+  if (soleOwnerOf) {
+    return `You are the only owner of ${soleOwnerOf.name}. Make someone else an owner first.`;
+  }
+
+  if (await Payment.exists({ user: user._id, status: "pending" })) {
+    return "You have a payment in progress. Try again once it has completed.";
+  }
+
+  const upcomingEvents = await Event.find({ date: { $gte: new Date() } }).distinct("_id");
+  if (await Ticket.exists({ user: user._id, status: "success", event: { $in: upcomingEvents } })) {
+    return "You have tickets for upcoming events. Transfer them, or wait until the events are over.";
+  }
+
+  return null;
+};
+
+/**
+ * Delete the account after re-authentication. Payments and tickets are kept
+ * for the organisers, without anything linking them to the user.
+ */
+const deleteAccount = async (userId, credentials, context = {}) => {
+  const user = await loadUser(userId);
+  await reauthenticate(user, credentials, context);
+
+  const blocker = await findDeletionBlocker(user);
+  if (blocker) {
+    throw accountError(blocker, 409);
+  }
+
+  const now = new Date();
+  const contacts = [user.email, user.mobileNumber].filter(Boolean);
+
+  // Stop every session first, so nothing is created while we clean up
+  await tokenService.revokeAllUserTokens(user._id, "account_deleted");
+  await apiKeyService.revokeUserKeys(user._id);
+
+  await Payment.updateMany(
+    { user: user._id },
+    { $set: { user: null, anonymizedAt: now } }
+  );
+  await Ticket.updateMany(
+    { user: user._id },
+    {
+      $set: { user: null, "recipientInfo.value": ANONYMIZED, anonymizedAt: now },
+      $unset: { "recipientInfo.name": "" },
+    }
+  );
+  // Tickets bought for the user by someone else, or transferred to them
+  await Ticket.updateMany(
+    { "recipientInfo.value": { $in: contacts } },
+    {
+      $set: { "recipientInfo.value": ANONYMIZED, anonymizedAt: now },
+      $unset: { "recipientInfo.name": "" },
+    }
+  );
+  await Ticket.updateMany(
+    { "transferHistory.from": user._id },
+    { $set: { "transferHistory.$[transfer].from": null } },
+    { arrayFilters: [{ "transfer.from": user._id }] }
+  );
+  await Ticket.updateMany(
+    { "transferHistory.to.value": { $in: contacts } },
+    {
+      $set: { "transferHistory.$[transfer].to.value": ANONYMIZED },
+      $unset: { "transferHistory.$[transfer].to.name": "" },
+    },
+    { arrayFilters: [{ "transfer.to.value": { $in: contacts } }] }
+  );
+
+  await Organization.updateMany(
+    { "members.user": user._id },
+    { $pull: { members: { user: user._id } } }
+  );
+  await Event.updateMany(
+    { "team.user": user._id },
+    { $pull: { team: { user: user._id } } }
+  );
+  await RefreshToken.deleteMany({ user: user._id });
+  await VerificationCode.deleteMany({ user: user._id });
+  await User.deleteOne({ _id: user._id });
+
+  logger.info("Account deleted", { userId: user._id });
+};
+
+module.exports = {
+  getProfile,
+  updateProfile,
+  changePassword,
+  exportData,
+  deleteAccount,
+};
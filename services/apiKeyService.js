@@ -0,0 +1,148 @@
+/**
+ * API Key Service
+ *
+ * Keys let partner systems call a few organiser endpoints without a user
+ * session. A key acts for the user who created it (so it sees the events that
+ * user can access) but only for its scopes:
+ * - events:read   list events
+ * - sales:read    payments, dashboard and event analytics
+ * - tickets:scan  scan tickets
+ *
+ * Keys are shown once on creation and stored as SHA-256 hashes. They can
+ * expire, and are revoked rather than deleted.
+ */
+
+const crypto = require("crypto");
+const ApiKey = require("../Models/ApiKey");
+const User = require("../Models/Users");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const SCOPES = ["events:read", "sales:read", "tickets:scan"];
+const KEY_PREFIX = "evk_";
+// lastUsedAt is only written this often, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const apiKeyError = (message, status = 401) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+/**
+ * Create a key. The plain key is only returned here.
+ *
+ * @param {{ name: string, scopes: string[], expiresAt?: Date }} options
+ * @param {string} userId the user the key acts for
+ */
+const createKey = async ({ name, scopes, expiresAt }, userId) => {
+  const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+
+  const record = await ApiKey.create({
+    name,
+    prefix: key.slice(0, KEY_PREFIX.length + 8),
+    keyHash: hashKey(key),
+    scopes: [...new Set(scopes)],
+    createdBy: userId,
+    expiresAt,
+  });
+
+  logger.info("API key created", { apiKeyId: record._id, createdBy: userId, scopes: record.scopes });
+  return { key, record };
+};
+
+/**
+ * The key record and the user it acts for. Throws (401) for unknown,
+ * revoked or expired keys.
+ */
+const authenticate = async (key, { ip } = {}) => {
+  if (!key || !key.startsWith(KEY_PREFIX)) {
+    throw apiKeyError("Invalid API key");
+  }
+
+  const record = await ApiKey.findOne({ keyHash: hashKey(key) });
+  if (!record || record.revokedAt) {
+    throw apiKeyError("Invalid API key");
+  }
+  if (record.expiresAt && record.expiresAt <= new Date()) {
+    throw apiKeyError("API key has expired");
+  }
+
+  const user = await User.findById(record.createdBy).select("email role mobileNumber twoFactor.enabled");
+  if (!user) {
+    throw apiKeyError("Invalid API key");
+  }
+
+  if (!record.lastUsedAt || Date.now() - record.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    await ApiKey.updateOne(
+      { _id: record._id },
+      { $set: { lastUsedAt: new Date(), lastUsedIp: ip } }
+    );
+  }
+
+  return { record, user };
+};
+
+const hasScope = (record, scope) => record.scopes.includes(scope);
+
+// Newest first; ?createdBy to only list one user's keys
+const listKeys = ({ createdBy } = {}) =>
+  ApiKey.find(createdBy ? { createdBy } : {})
+    .select("-keyHash")
+    .populate("createdBy", "name email")
+    .populate("revokedBy", "name email")
+    .sort({ createdAt: -1 });
+
+// Revoke a key. Returns the revoked key, or null if it doesn't exist or was already revoked.
+const revokeKey = async (keyId, userId) => {
+  const record = await ApiKey.findOneAndUpdate(
+    { _id: keyId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: userId } },
+    { new: true }
+  ).select("-keyHash");
+
+  if (record) {
+    logger.info("API key revoked", { apiKeyId: keyId, revokedBy: userId });
+  }
+  return record;
+};
+
+// Revoke every key a user created, e.g. when the account is deleted
+const revokeUserKeys = (userId) =>
+  ApiKey.updateMany(
+    { createdBy: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy: userId } }
+  );
+
+module.exports = {
+  SCOPES,
+  createKey,
+  authenticate,
+  hasScope,
+  listKeys,
+  revokeKey,
+  revokeUserKeys,
+};
@@ -0,0 +1,32 @@
+const AuditLog = require("../Models/AuditLog");
+
+/**
+ * Record an audit entry
+ *
+ * @param {Object} entry { actor, action, targetType, targetId, changes, reason }
+ * @param {Object} [req] request the action came from, for the IP and user agent
+ */
+const record = (entry, req) =>
+  AuditLog.create({
+    ...entry,
+    ip: req?.ip,
+    userAgent: req?.get("User-Agent"),
+  });
+
+// Newest entries first, optionally for one target
+const getEntries = ({ targetType, targetId, action, limit = 50 } = {}) => {
+  const query = {};
+  if (targetType) query.targetType = targetType;
+  if (targetId) query.targetId = targetId;
+  if (action) query.action = action;
+
+  return AuditLog.find(query)
+    .populate("actor", "name email")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+};
+
+module.exports = {
+  record,
+  getEntries,
+};
@@ -0,0 +1,44 @@
+/**
+ * Currency Service
+ *
+ * Currency Conversion:
+ * - Rates come from exchangeRateService: cached snapshots of exchangerate-api.com
+ *   (USD base), or a rate pinned by an admin for the currency pair
+ * - Every conversion reports the snapshot (and override) it used, so payments
+ *   can record where their exchange rate came from
+ */
+
+const exchangeRateService = require("./exchangeRateService");
+const money = require("./money");
+
+const SUPPORTED_CURRENCIES = ["XOF", "GMD", "USD", "EUR", "GBP"];
+
+// Validate payment amount (in minor units)
+const validatePaymentAmount = (amount, currency) => {
+  if (!Number.isInteger(amount) || amount <= 0) {
+    throw new Error("Invalid payment amount");
+  }
+  if (!SUPPORTED_CURRENCIES.includes(currency.toUpperCase())) {
+    throw new Error("Unsupported currency");
+  }
+};
+
+// Convert an amount in minor units from one currency to another
+const convertCurrency = async (amount, fromCurrency, toCurrency) => {
+  const { rate, source, snapshotId, overrideId } = await exchangeRateService.getRate(fromCurrency, toCurrency);
+
+  return {
+    // Rounded to the target currency's minor unit
+    amount: money.convertMinorUnits(amount, fromCurrency, toCurrency, rate),
+    rate,
+    source,
+    snapshotId,
+    overrideId,
+  };
+};
+
+module.exports = {
+  validatePaymentAmount,
+  convertCurrency,
+  SUPPORTED_CURRENCIES,
+};
@@ -0,0 +1,278 @@
+/**
+ * Entry Service
+ *
+ * Door entry rules. Every scan is appended to the scan log (ScanEvent), and a
+ * ticket's state (entries so far, whether its holder is inside) is read back
+ * from its accepted scans. Ticket types choose an entry policy:
+ * - single: one entry
+ * - reentry: any number of entries, leaving in between
+ * - limited: up to maxEntries entries
+ * - per_day: one entry per day in the event's timezone, e.g. multi-day passes
+ *
+ * Holders have to be scanned out before they can be scanned in again, so a
+ * ticket can't be passed back over the fence. Ticket.scanned/scannedAt/
+ * scannedBy keep describing the first entry. Accepted scans superseded by an
+ * earlier offline scan (see scanSyncService) don't count.
+ */
+
+const Ticket = require("../Models/Ticket");
+const ScanEvent = require("../Models/ScanEvent");
+const eventScheduleService = require("./eventScheduleService");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/tickets-error.log", level: "error" }),
+    new transports.File({ filename: "logs/tickets.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const ENTRY_POLICIES = ["single", "reentry", "limited", "per_day"];
+// Attempts when another device scans the same ticket at the same moment
+const MAX_ATTEMPTS = 3;
+
+// The entry rules of a ticket's type; tickets of removed types get one entry
+const getEntryPolicy = (event, ticket) => {
+  const ticketType = event.ticketTypes?.find(type => type.name === ticket.ticketType);
+  return {
+    policy: ticketType?.entryPolicy || "single",
+    maxEntries: ticketType?.maxEntries,
+    timezone: event.timezone,
+  };
+};
+
+// Leave out the scans another scan in the list superseded
+const withoutSuperseded = (scans) => {
+  const superseded = new Set(scans.flatMap(scan => scan.supersedes || []).map(String));
+  return scans.filter(scan => !superseded.has(String(scan._id)));
+};
+
+/**
+ * A ticket's state from its accepted scans, oldest first. Tickets scanned
+ * before the scan log existed count as entered once at ticket.scannedAt.
+ */
+const getEntryState = (allScans, ticket = {}, timezone) => {
+  const scans = withoutSuperseded(allScans);
+  let entries = scans.filter(scan => scan.direction === "in");
+  if (!entries.length && ticket.scanned) {
+    entries = [{ direction: "in", scannedAt: ticket.scannedAt }];
+  }
+
+  return {
+    entries: entries.length,
+    inside: scans.length > 0 && scans[scans.length - 1].direction === "in",
+    entryDays: entries.map(scan => eventScheduleService.localDay(scan.scannedAt, timezone)),
+    firstEntry: entries[0] || null,
+    lastScan: scans[scans.length - 1] || null,
+  };
+};
+
+// Why a scan breaks the policy: { code, message }, or null if it is allowed
+const checkScan = ({ policy, maxEntries, timezone }, state, direction, scannedAt) => {
+  if (direction === "out") {
+    return state.inside ? null : { code: "not_inside", message: "Ticket holder is not inside" };
+  }
+
+  // Single-entry tickets are done once used, even after scanning out
+  if (policy === "single") {
+    return state.entries === 0
+      ? null
+      : { code: "already_scanned", message: "Ticket already scanned" };
+  }
+
+  if (state.inside) {
+    return { code: "already_inside", message: "Ticket holder is already inside" };
+  }
+
+  switch (policy) {
+    case "limited":
+      return state.entries < (maxEntries || 1)
+        ? null
+        : { code: "entries_used", message: `All ${maxEntries} entries of this ticket have been used` };
+    case "per_day":
+      return state.entryDays.includes(eventScheduleService.localDay(scannedAt, timezone))
+        ? { code: "already_entered_today", message: "Ticket has already been used today" }
+        : null;
+    default:
+      return null;
+  }
+};
+
+/**
+ * Scan a paid ticket in or out, following its type's entry policy. The scan
+ * is logged either way.
+ *
+ * Scans are judged by the ticket's state at their scannedAt, so an offline
+ * scan uploaded late is checked against the scans made before it. The later
+ * scans are then replayed after it; those that no longer follow the policy
+ * are superseded by it (listed in its `supersedes`) and stop counting.
+ *
+ * @param {Object} ticket
+ * @param {Object} event the ticket's event, with ticketTypes
+ * @param {Object} scan { direction, gate, deviceId, operatorId, scannedAt, source, overrideReason }
+ * @returns {{ accepted: boolean, reason?: { code, message }, state, scanEvent, superseded? }}
+ */
+const recordScan = async (ticket, event, scan) => {
+  const { direction = "in", gate, deviceId, operatorId, scannedAt = new Date(), source = "online", overrideReason } = scan;
+  const rules = getEntryPolicy(event, ticket);
+
+  const logScan = (accepted, reason, supersedes) =>
+    ScanEvent.create({
+      ticket: ticket._id,
+      event: event._id,
+      direction,
+      gate,
+      deviceId,
+      operator: operatorId,
+      scannedAt,
+      source,
+      accepted,
+      reason: reason?.message,
+      overrideReason,
+      supersedes,
+    });
+
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const current = await Ticket.findById(ticket._id).select("scanCount scanned scannedAt");
+    const scans = withoutSuperseded(
+      await ScanEvent.find({ ticket: ticket._id, accepted: true }).sort({ scannedAt: 1, createdAt: 1 })
+    );
+    const earlier = scans.filter(logged => logged.scannedAt <= scannedAt);
+    const later = scans.filter(logged => logged.scannedAt > scannedAt);
+    // Tickets entered before the scan log existed only count if they entered before this scan
+    const legacyTicket = current.scannedAt && current.scannedAt <= scannedAt ? current : {};
+    const state = getEntryState(earlier, legacyTicket, rules.timezone);
+
+    const reason = checkScan(rules, state, direction, scannedAt);
+    if (reason) {
+      const scanEvent = await logScan(false, reason);
+      return { accepted: false, reason, state, scanEvent };
+    }
+
+    // Replay the later scans after this one
+    const replayed = [...earlier, { direction, scannedAt }];
+    const superseded = [];
+    for (const logged of later) {
+      if (checkScan(rules, getEntryState(replayed, legacyTicket, rules.timezone), logged.direction, logged.scannedAt)) {
+        superseded.push(logged);
+      } else {
+        replayed.push(logged);
+      }
+    }
+
+    // Only if nobody else scanned the ticket since we read its log
+    const update = { $inc: { scanCount: 1 } };
+    if (direction === "in" && (!current.scanned || scannedAt < current.scannedAt)) {
+      update.$set = { scanned: true, scannedAt, scannedBy: operatorId, scannedDevice: deviceId };
+    }
+    const claimed = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: "success", scanCount: current.scanCount || 0 },
+      update,
+      { new: true }
+    );
+    if (!claimed) {
+      continue;
+    }
+
+    const scanEvent = await logScan(true, undefined, superseded.map(logged => logged._id));
+    replayed[earlier.length] = scanEvent;
+    const newState = getEntryState(replayed, claimed, rules.timezone);
+    logger.info("Ticket scanned", {
+      ticketId: ticket._id,
+      direction,
+      gate,
+      deviceId,
+      entries: newState.entries,
+      superseded: superseded.length,
+    });
+    return { accepted: true, state: newState, scanEvent, superseded };
+  }
+
+  const reason = { code: "concurrent_scan", message: "Ticket is being scanned on another device, try again" };
+  const scanEvent = await logScan(false, reason);
+  return { accepted: false, reason, scanEvent };
+};
+
+/**
+ * Who is inside an event now: holders whose last accepted scan was "in"
+ */
+const getOccupancy = async (eventId) => {
+  const [result] = await ScanEvent.aggregate([
+    { $match: { event: eventId, accepted: true } },
+    // Drop scans superseded by an earlier offline scan
+    {
+      $lookup: {
+        from: ScanEvent.collection.name,
+        localField: "_id",
+        foreignField: "supersedes",
+        as: "supersededBy",
+      },
+    },
+    { $match: { supersededBy: { $size: 0 } } },
+    { $sort: { scannedAt: 1, createdAt: 1 } },
+    {
+      $group: {
+        _id: "$ticket",
+        lastDirection: { $last: "$direction" },
+        lastGate: { $last: "$gate" },
+        entries: { $sum: { $cond: [{ $eq: ["$direction", "in"] }, 1, 0] } },
+        exits: { $sum: { $cond: [{ $eq: ["$direction", "out"] }, 1, 0] } },
+      },
+    },
+    {
+      $facet: {
+        totals: [
+          {
+            $group: {
+              _id: null,
+              inside: { $sum: { $cond: [{ $eq: ["$lastDirection", "in"] }, 1, 0] } },
+              ticketsEntered: { $sum: { $cond: [{ $gt: ["$entries", 0] }, 1, 0] } },
+              entries: { $sum: "$entries" },
+              exits: { $sum: "$exits" },
+            },
+          },
+        ],
+        byGate: [
+          { $match: { lastDirection: "in" } },
+          { $group: { _id: "$lastGate", inside: { $sum: 1 } } },
+        ],
+      },
+    },
+  ]);
+
+  const totals = result?.totals[0] || { inside: 0, ticketsEntered: 0, entries: 0, exits: 0 };
+  return {
+    inside: totals.inside,
+    ticketsEntered: totals.ticketsEntered,
+    entries: totals.entries,
+    exits: totals.exits,
+    // Where the people inside came in
+    insideByGate: (result?.byGate || []).reduce((gates, gate) => {
+      gates[gate._id || "unknown"] = gate.inside;
+      return gates;
+    }, {}),
+  };
+};
+
+module.exports = {
+  ENTRY_POLICIES,
+  getEntryPolicy,
+  getEntryState,
+  recordScan,
+  getOccupancy,
+};
@@ -0,0 +1,140 @@
+/**
+ * Event Schedule Service
+ *
+ * When an event's doors open, when it starts and ends, and when its tickets
+ * can be scanned in. Times are stored in UTC; the event's timezone (IANA name,
+ * e.g. "Africa/Banjul") is used to show them and to tell days apart.
+ *
+ * Events created before the schedule existed only have `date` (the start).
+ * For those, doors open at the start and the event lasts
+ * EVENT_DEFAULT_DURATION_HOURS.
+ *
+ * Scanning in is allowed from SCAN_OPENS_BEFORE_DOORS_MINUTES before doors
+ * open until SCAN_CLOSES_AFTER_END_MINUTES after the event ends. Events can
+ * set their own margins in `scanWindow`.
+ */
+
+const DEFAULT_DURATION_HOURS = Number(process.env.EVENT_DEFAULT_DURATION_HOURS) || 6;
+const OPENS_BEFORE_DOORS_MINUTES = Number(process.env.SCAN_OPENS_BEFORE_DOORS_MINUTES ?? 30);
+const CLOSES_AFTER_END_MINUTES = Number(process.env.SCAN_CLOSES_AFTER_END_MINUTES ?? 0);
+
+const DEFAULT_TIMEZONE = "UTC";
+
+// Event fields the schedule is read from, for populate() and select()
+const SCHEDULE_FIELDS = "date doorsOpenAt startsAt endsAt timezone scanWindow";
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const isValidTimeZone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * An event's times: { doorsOpenAt, startsAt, endsAt, timezone }
+ */
+const getSchedule = (event) => {
+  const startsAt = new Date(event.startsAt || event.date);
+  return {
+    doorsOpenAt: event.doorsOpenAt ? new Date(event.doorsOpenAt) : startsAt,
+    startsAt,
+    endsAt: event.endsAt
+      ? new Date(event.endsAt)
+      : new Date(startsAt.getTime() + DEFAULT_DURATION_HOURS * HOUR_MS),
+    timezone: event.timezone || DEFAULT_TIMEZONE,
+  };
+};
+
+/**
+ * When tickets of an event can be scanned in: { opensAt, closesAt, timezone }
+ */
+const getScanWindow = (event) => {
+  const { doorsOpenAt, endsAt, timezone } = getSchedule(event);
+  const opensBefore = event.scanWindow?.opensBeforeDoorsMinutes ?? OPENS_BEFORE_DOORS_MINUTES;
+  const closesAfter = event.scanWindow?.closesAfterEndMinutes ?? CLOSES_AFTER_END_MINUTES;
+
+  return {
+    opensAt: new Date(doorsOpenAt.getTime() - opensBefore * MINUTE_MS),
+    closesAt: new Date(endsAt.getTime() + closesAfter * MINUTE_MS),
+    timezone,
+  };
+};
+
+// e.g. "19 Oct 2026, 18:30 (Africa/Banjul)"
+const formatLocal = (date, timezone = DEFAULT_TIMEZONE) => {
+  const formatted = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    day: "numeric",
+    month: "short",
+    year: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  }).format(date);
+  return `${formatted} (${timezone})`;
+};
+
+// The calendar day of a moment in a timezone, e.g. "2026-10-19"
+const localDay = (date, timezone = DEFAULT_TIMEZONE) =>
+  new Intl.DateTimeFormat("en-CA", {
+    timeZone: timezone,
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+  }).format(new Date(date));
+
+/**
+ * Why a ticket can't be scanned in at a moment: { code, message, opensAt,
+ * closesAt, timezone }, or null if scanning is open
+ */
+const checkScanWindow = (event, at = new Date()) => {
+  const window = getScanWindow(event);
+  const time = new Date(at).getTime();
+
+  if (time < window.opensAt.getTime()) {
+    return {
+      code: "scanning_not_open",
+      message: `Scanning opens at ${formatLocal(window.opensAt, window.timezone)}`,
+      ...window,
+    };
+  }
+  if (time > window.closesAt.getTime()) {
+    return {
+      code: "scanning_closed",
+      message: `Scanning closed at ${formatLocal(window.closesAt, window.timezone)}`,
+      ...window,
+    };
+  }
+  return null;
+};
+
+/**
+ * What's wrong with the order of an event's times, or null. Missing times are
+ * left out.
+ */
+const checkScheduleOrder = ({ doorsOpenAt, startsAt, endsAt }) => {
+  const time = (date) => (date ? new Date(date).getTime() : null);
+
+  if (time(doorsOpenAt) !== null && time(startsAt) !== null && time(doorsOpenAt) > time(startsAt)) {
+    return "Doors can't open after the event starts";
+  }
+  if (time(endsAt) !== null && time(startsAt) !== null && time(endsAt) <= time(startsAt)) {
+    return "The event has to end after it starts";
+  }
+  return null;
+};
+
+module.exports = {
+  SCHEDULE_FIELDS,
+  isValidTimeZone,
+  getSchedule,
+  getScanWindow,
+  formatLocal,
+  localDay,
+  checkScanWindow,
+  checkScheduleOrder,
+};
@@ -0,0 +1,248 @@
+/**
+ * Exchange Rate Service
+ *
+ * - Market rates are fetched from exchangerate-api.com (USD base) and stored
+ *   as snapshots in MongoDB; a snapshot is reused until it is older than
+ *   EXCHANGE_RATE_TTL_MINUTES
+ * - When the provider can't be reached, the last stored snapshot is used, so
+ *   conversions keep working offline. Built-in fallback rates are only used
+ *   (and stored as a "fallback" snapshot) when no snapshot exists at all
+ * - Admins can pin a rate per currency pair; pinned rates win over market rates
+ */
+
+const axios = require("axios");
+const ExchangeRateSnapshot = require("../Models/ExchangeRateSnapshot");
+const ExchangeRateOverride = require("../Models/ExchangeRateOverride");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/payment-error.log", level: "error" }),
+    new transports.File({ filename: "logs/payment.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const exchangeRateConfig = {
+  apiUrl: process.env.EXCHANGE_RATE_API_URL || "https://v6.exchangerate-api.com/v6",
+  apiKey: process.env.EXCHANGE_RATE_API_KEY,
+  ttlMinutes: Number(process.env.EXCHANGE_RATE_TTL_MINUTES) || 60,
+  timeout: 10000,
+};
+
+const BASE_CURRENCY = "USD";
+const CURRENCIES = ["USD", "EUR", "GBP", "GMD", "XOF"];
+
+// Used only until a first snapshot has been fetched
+const FALLBACK_RATES = {
+  USD: 1,
+  EUR: 0.85,
+  GBP: 0.73,
+  GMD: 58.5,
+  XOF: 550
+};
+
+// Latest snapshot, kept in memory to avoid a query per conversion
+let cachedSnapshot = null;
+// Refreshes in flight are shared so concurrent conversions fetch once
+let refreshInFlight = null;
+// After a failed refresh, wait before calling the provider again
+let nextRefreshAttemptAt = 0;
+const RETRY_AFTER_FAILURE_MS = 5 * 60 * 1000;
+
+const isFresh = (snapshot) =>
+  snapshot.source === "api" &&
+  Date.now() - snapshot.fetchedAt.getTime() < exchangeRateConfig.ttlMinutes * 60 * 1000;
+
+const fetchRatesFromProvider = async () => {
+  if (!exchangeRateConfig.apiKey) {
+    throw new Error("EXCHANGE_RATE_API_KEY is not configured");
+  }
+
+  const response = await axios.get(
+    `${exchangeRateConfig.apiUrl}/latest/${BASE_CURRENCY}`,
+    {
+      headers: { Authorization: `Bearer ${exchangeRateConfig.apiKey}` },
+      timeout: exchangeRateConfig.timeout,
+    }
+  );
+  const rates = response.data.conversion_rates || {};
+
+  const missing = CURRENCIES.filter(currency => !rates[currency]);
+  if (missing.length > 0) {
+    throw new Error(`Provider returned no rate for ${missing.join(", ")}`);
+  }
+
+  return Object.fromEntries(CURRENCIES.map(currency => [currency, rates[currency]]));
+};
+
+// Fetch and store a new snapshot. Falls back to the last stored snapshot on failure.
+const refreshSnapshot = async () => {
+  try {
+    const rates = await fetchRatesFromProvider();
+    cachedSnapshot = await ExchangeRateSnapshot.create({
+      base: BASE_CURRENCY,
+      rates,
+      source: "api",
+      provider: "exchangerate-api.com",
+    });
+    logger.info("Exchange rates refreshed", { snapshotId: cachedSnapshot._id });
+    return cachedSnapshot;
+  } catch (error) {
+    logger.error("Failed to fetch exchange rates", { error: error.message });
+    nextRefreshAttemptAt = Date.now() + RETRY_AFTER_FAILURE_MS;
+
+    const lastSnapshot = cachedSnapshot ||
+      await ExchangeRateSnapshot.findOne().sort({ fetchedAt: -1 });
+    if (lastSnapshot) {
+      cachedSnapshot = lastSnapshot;
+      return lastSnapshot;
+    }
+
+    cachedSnapshot = await ExchangeRateSnapshot.create({
+      base: BASE_CURRENCY,
+      rates: FALLBACK_RATES,
+      source: "fallback",
+    });
+    logger.warn("Using built-in fallback exchange rates", { snapshotId: cachedSnapshot._id });
+    return cachedSnapshot;
+  }
+};
+
+// Latest usable snapshot, refreshed from the provider when older than the TTL
+const getLatestSnapshot = async ({ forceRefresh = false } = {}) => {
+  if (!cachedSnapshot) {
+    cachedSnapshot = await ExchangeRateSnapshot.findOne().sort({ fetchedAt: -1 });
+  }
+
+  if (!forceRefresh && cachedSnapshot &&
+      (isFresh(cachedSnapshot) || Date.now() < nextRefreshAttemptAt)) {
+    return cachedSnapshot;
+  }
+
+  if (!refreshInFlight) {
+    refreshInFlight = refreshSnapshot().finally(() => {
+      refreshInFlight = null;
+    });
+  }
+  return refreshInFlight;
+};
+
+// Rate between two currencies from a snapshot (units of `to` per 1 `from`)
+const getSnapshotRate = (snapshot, fromCurrency, toCurrency) => {
+  const fromRate = snapshot.rates.get(fromCurrency);
+  const toRate = snapshot.rates.get(toCurrency);
+  if (!fromRate || !toRate) {
+    throw new Error(`Unsupported currency conversion: ${fromCurrency} to ${toCurrency}`);
+  }
+  return toRate / fromRate;
+};
+
+// Active pinned rate for a pair, using the inverse of the opposite pair if needed
+const findOverrideRate = async (fromCurrency, toCurrency) => {
+  const overrides = await ExchangeRateOverride.find({
+    active: true,
+    $or: [
+      { fromCurrency, toCurrency },
+      { fromCurrency: toCurrency, toCurrency: fromCurrency },
+    ],
+  });
+
+  const direct = overrides.find(o => o.fromCurrency === fromCurrency);
+  if (direct) return { rate: direct.rate, override: direct };
+
+  const inverse = overrides.find(o => o.fromCurrency === toCurrency);
+  if (inverse) return { rate: 1 / inverse.rate, override: inverse };
+
+  return null;
+};
+
+/**
+ * Rate to convert fromCurrency into toCurrency.
+ *
+ * @returns {Promise<{ rate: number, source: string, snapshotId: Object, overrideId: Object }>}
+ *   source is "override" for pinned rates, otherwise the snapshot source ("api" or "fallback")
+ */
+const getRate = async (fromCurrency, toCurrency) => {
+  const snapshot = await getLatestSnapshot();
+
+  if (fromCurrency === toCurrency) {
+    return { rate: 1, source: snapshot.source, snapshotId: snapshot._id };
+  }
+
+  const pinned = await findOverrideRate(fromCurrency, toCurrency);
+  if (pinned) {
+    return {
+      rate: pinned.rate,
+      source: "override",
+      snapshotId: snapshot._id,
+      overrideId: pinned.override._id,
+    };
+  }
+
+  return {
+    rate: getSnapshotRate(snapshot, fromCurrency, toCurrency),
+    source: snapshot.source,
+    snapshotId: snapshot._id,
+  };
+};
+
+// Pin a rate for a currency pair, replacing the currently pinned one
+const setOverride = async ({ fromCurrency, toCurrency, rate, note, setBy }) => {
+  await deactivateOverride(fromCurrency, toCurrency, setBy);
+  const override = await ExchangeRateOverride.create({ fromCurrency, toCurrency, rate, note, setBy });
+  logger.info("Exchange rate pinned", { fromCurrency, toCurrency, rate, setBy });
+  return override;
+};
+
+// Stop using the pinned rate for a currency pair
+const deactivateOverride = async (fromCurrency, toCurrency, deactivatedBy) => {
+  return ExchangeRateOverride.findOneAndUpdate(
+    { fromCurrency, toCurrency, active: true },
+    { $set: { active: false, deactivatedAt: new Date(), deactivatedBy } },
+    { new: true }
+  );
+};
+
+const getActiveOverrides = () =>
+  ExchangeRateOverride.find({ active: true })
+    .populate("setBy", "name email")
+    .sort({ fromCurrency: 1, toCurrency: 1 });
+
+const getSnapshotHistory = (limit = 50) =>
+  ExchangeRateSnapshot.find().sort({ fetchedAt: -1 }).limit(limit);
+
+const getOverrideHistory = (limit = 50) =>
+  ExchangeRateOverride.find()
+    .populate("setBy", "name email")
+    .populate("deactivatedBy", "name email")
+    .sort({ createdAt: -1 })
+    .limit(limit);
+
+module.exports = {
+  getLatestSnapshot,
+  getSnapshotRate,
+  getRate,
+  setOverride,
+  deactivateOverride,
+  getActiveOverrides,
+  getSnapshotHistory,
+  getOverrideHistory,
+  BASE_CURRENCY,
+  CURRENCIES,
+  TTL_MINUTES: exchangeRateConfig.ttlMinutes,
+};
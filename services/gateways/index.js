@@ -0,0 +1,103 @@
+/**
+ * Payment gateway registry
+ *
+ * Every gateway is an adapter module named `<name>Gateway.js` in this directory
+ * that exports:
+ * - name, displayName, description
+ * - supportedCurrencies: ticket currencies the gateway accepts
+ * - supportsPartialRefunds
+ * - requiresPayerPhone (optional): checkout needs the buyer's phone number
+ * - minHoldMinutes (optional): shortest ticket hold the checkout supports
+ * - createCheckout({ payment, event, ticketTypeName, quantity, ticketReferences, metadata, payer, expiresAt })
+ *     where expiresAt is when the ticket hold runs out
+ *     -> { id, paymentUrl, message, amount, currency, exchangeRate, paymentFields }
+ * - verify(payment) -> { status: "succeeded" | "pending" | "failed", gatewayFields, details, message }
+ * - refund(payment, amount, { idempotencyKey }) -> { id, status }
+ *     where status "succeeded" settles the refund right away; anything else
+ *     leaves it pending
+ * - getRefundStatus(refundId) (optional, for refunds left pending)
+ *     -> { status: "succeeded" | "pending" | "failed", reason }
+ * - parseWebhook(rawBody, headers)
+ *     -> { id, type, action, reference, paymentQuery, gatewayFields }
+ *     where action is "succeeded", "failed", "ignored", "declined" for an
+ *     attempt the buyer can still retry, or "verify" for unsigned callbacks
+ *     that only tell us to re-check the payment
+ * - lookupReference(externalId) (optional): payment reference for a gateway-side id
+ *
+ * All amounts passed to and returned by adapters are integers in the minor unit
+ * of their currency (see services/money.js).
+ *
+ * PAYMENT_GATEWAYS (comma separated, default "stripe,wave") selects which of
+ * the available adapters are offered to buyers.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const REQUIRED_METHODS = ["createCheckout", "verify", "refund", "parseWebhook"];
+
+// Every adapter shipped with the app, whether enabled or not
+const AVAILABLE_GATEWAYS = fs
+  .readdirSync(__dirname)
+  .filter(file => file.endsWith("Gateway.js"))
+  .map(file => file.replace(/Gateway\.js$/, ""));
+
+const adapters = {};
+
+const loadAdapter = (name) => {
+  if (!adapters[name]) {
+    const adapter = require(path.join(__dirname, `${name}Gateway.js`));
+    const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== "function");
+    if (missing.length > 0 || !Array.isArray(adapter.supportedCurrencies)) {
+      throw new Error(`Payment gateway "${name}" is missing: ${missing.join(", ") || "supportedCurrencies"}`);
+    }
+    adapters[name] = adapter;
+  }
+  return adapters[name];
+};
+
+const getEnabledGatewayNames = () => {
+  const configured = (process.env.PAYMENT_GATEWAYS || "stripe,wave")
+    .split(",")
+    .map(name => name.trim().toLowerCase())
+    .filter(Boolean);
+
+  const unknown = configured.filter(name => !AVAILABLE_GATEWAYS.includes(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown payment gateways in PAYMENT_GATEWAYS: ${unknown.join(", ")}`);
+  }
+  return configured;
+};
+
+// Names of every available adapter, including disabled ones (e.g. for stored payments)
+const getGatewayNames = () => [...AVAILABLE_GATEWAYS];
+
+// The adapter for an enabled gateway, or null
+const getGateway = (name) => {
+  if (!name || !getEnabledGatewayNames().includes(name)) {
+    return null;
+  }
+  return loadAdapter(name);
+};
+
+// The adapter for any available gateway, enabled or not; used for payments already taken
+const getGatewayForPayment = (payment) => {
+  if (!AVAILABLE_GATEWAYS.includes(payment.paymentGateway)) {
+    throw new Error(`Unknown payment gateway "${payment.paymentGateway}"`);
+  }
+  return loadAdapter(payment.paymentGateway);
+};
+
+// Enabled adapters
+const listGateways = () => getEnabledGatewayNames().map(loadAdapter);
+
+module.exports = {
+  getGateway,
+  getGatewayForPayment,
+  getGatewayNames,
+  getEnabledGatewayNames,
+  listGateways,
+};
@@ -0,0 +1,347 @@
+/**
+ * Mobile money gateway adapter (Orange Money / MTN MoMo style collections)
+ *
+ * - Supports: XOF, settled natively without conversion
+ * - Checkout is a USSD push: the provider prompts the buyer's phone to approve
+ *   the payment, there is no payment page to redirect to
+ * - The payment status is then polled (verify-payment, reconciliation); the
+ *   provider's callback only triggers an early status check since callbacks
+ *   are not signed
+ *
+ * Set MOMO_MODE=mock to talk to the local mock provider
+ * (`npm run mock:momo`) instead of the real API.
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+const currencyService = require("../currencyService");
+const money = require("../money");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/payment-error.log", level: "error" }),
+    new transports.File({ filename: "logs/payment.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const isMockMode = process.env.MOMO_MODE === "mock";
+
+// Mobile money configuration
+const momoConfig = {
+  apiUrl: process.env.MOMO_API_URL ||
+    (isMockMode ? `http://localhost:${process.env.MOMO_MOCK_PORT || 4010}` : undefined),
+  apiUser: process.env.MOMO_API_USER || (isMockMode ? "mock-user" : undefined),
+  apiKey: process.env.MOMO_API_KEY || (isMockMode ? "mock-key" : undefined),
+  collectionKey: process.env.MOMO_SUBSCRIPTION_KEY || (isMockMode ? "mock-subscription" : undefined),
+  disbursementKey: process.env.MOMO_DISBURSEMENT_SUBSCRIPTION_KEY ||
+    process.env.MOMO_SUBSCRIPTION_KEY ||
+    (isMockMode ? "mock-subscription" : undefined),
+  targetEnvironment: process.env.MOMO_TARGET_ENVIRONMENT || "sandbox",
+  // Public URL of /api/webhooks/momo, sent to the provider for status callbacks
+  callbackUrl: process.env.MOMO_CALLBACK_URL,
+  currency: "XOF",
+  timeout: 10000,
+};
+
+// Access tokens per product ("collection", "disbursement")
+const tokenCache = {};
+
+const assertConfigured = () => {
+  const missing = ["apiUrl", "apiUser", "apiKey", "collectionKey"].filter(key => !momoConfig[key]);
+  if (missing.length > 0) {
+    throw new Error(`Mobile money gateway is not configured (missing ${missing.join(", ")})`);
+  }
+};
+
+const subscriptionKey = (product) =>
+  product === "disbursement" ? momoConfig.disbursementKey : momoConfig.collectionKey;
+
+// Get (and cache) an OAuth access token for a provider product
+const getAccessToken = async (product) => {
+  const cached = tokenCache[product];
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.token;
+  }
+
+  const response = await axios.post(
+    `${momoConfig.apiUrl}/${product}/token/`,
+    {},
+    {
+      auth: { username: momoConfig.apiUser, password: momoConfig.apiKey },
+      headers: { "Ocp-Apim-Subscription-Key": subscriptionKey(product) },
+      timeout: momoConfig.timeout,
+    }
+  );
+
+  tokenCache[product] = {
+    token: response.data.access_token,
+    // Refresh a minute early
+    expiresAt: Date.now() + (Number(response.data.expires_in) - 60) * 1000,
+  };
+  return tokenCache[product].token;
+};
+
+const momoHeaders = async (product, extra = {}) => ({
+  Authorization: `Bearer ${await getAccessToken(product)}`,
+  "Ocp-Apim-Subscription-Key": subscriptionKey(product),
+  "X-Target-Environment": momoConfig.targetEnvironment,
+  "Content-Type": "application/json",
+  ...extra,
+});
+
+// Mobile money APIs expect the MSISDN as digits only, with the country code
+const toMsisdn = (phoneNumber) => String(phoneNumber || "").replace(/\D/g, "");
+
+// Send a USSD payment prompt to the buyer's phone for a pending payment
+const createCheckout = async ({ payment, event, payer }) => {
+  const reference = payment.reference;
+  const amount = payment.originalAmount;
+  const currency = payment.originalCurrency;
+
+  try {
+    assertConfigured();
+    currencyService.validatePaymentAmount(amount, currency);
+
+    // Always XOF, but record the rate snapshot like the other gateways
+    const conversion = await currencyService.convertCurrency(amount, currency, momoConfig.currency);
+
+    const msisdn = toMsisdn(payer?.phone);
+    if (msisdn.length < 8) {
+      throw new Error("A valid payer phone number is required for mobile money payments");
+    }
+
+    logger.info("Requesting mobile money payment", { amount, currency, reference, mock: isMockMode });
+
+    // The provider identifies the request by the id we generate
+    const requestId = crypto.randomUUID();
+    await axios.post(
+      `${momoConfig.apiUrl}/collection/v1_0/requesttopay`,
+      {
+        amount: money.toDecimalString(conversion.amount, momoConfig.currency),
+        currency: momoConfig.currency,
+        externalId: reference,
+        payer: { partyIdType: "MSISDN", partyId: msisdn },
+        payerMessage: `${event.title} tickets`.slice(0, 160),
+        payeeNote: reference,
+      },
+      {
+        headers: await momoHeaders("collection", {
+          "X-Reference-Id": requestId,
+          ...(momoConfig.callbackUrl ? { "X-Callback-Url": momoConfig.callbackUrl } : {}),
+        }),
+        timeout: momoConfig.timeout,
+      }
+    );
+
+    logger.info("Mobile money payment requested", { reference, requestId });
+
+    return {
+      id: requestId,
+      paymentUrl: null,
+      message: "Approve the payment prompt sent to your phone to complete your purchase.",
+      amount: conversion.amount,
+      currency: momoConfig.currency,
+      exchangeRate: conversion.rate,
+      paymentFields: {
+        gatewaySessionId: requestId,
+        amount: conversion.amount,
+        currency: momoConfig.currency,
+        exchangeRate: conversion.rate,
+        exchangeRateSnapshot: conversion.snapshotId,
+        exchangeRateSource: conversion.source,
+        exchangeRateOverride: conversion.overrideId,
+      },
+    };
+  } catch (error) {
+    logger.error("Mobile money payment request failed", {
+      error: error.message,
+      reference,
+      response: error.response?.data,
+    });
+    throw new Error(`Failed to request mobile money payment: ${error.message}`);
+  }
+};
+
+// Poll the provider for the status of a payment request
+const verify = async (payment) => {
+  assertConfigured();
+  logger.info("Verifying mobile money payment", { reference: payment.reference });
+
+  let data;
+  try {
+    const response = await axios.get(
+      `${momoConfig.apiUrl}/collection/v1_0/requesttopay/${payment.gatewaySessionId}`,
+      {
+        headers: await momoHeaders("collection"),
+        timeout: momoConfig.timeout,
+      }
+    );
+    data = response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return {
+        status: "pending",
+        details: {},
+        message: "Payment request not found yet. Please try again shortly.",
+      };
+    }
+    logger.error("Mobile money payment verification failed", {
+      error: error.message,
+      reference: payment.reference,
+    });
+    throw new Error("Payment verification failed");
+  }
+
+  const details = {
+    id: payment.gatewaySessionId,
+    status: data.status,
+    financialTransactionId: data.financialTransactionId,
+    reason: data.reason,
+  };
+
+  if (data.status === "SUCCESSFUL") {
+    return {
+      status: "succeeded",
+      gatewayFields: { momoTransactionId: data.financialTransactionId },
+      details,
+    };
+  }
+
+  if (["FAILED", "REJECTED", "TIMEOUT"].includes(data.status)) {
+    return { status: "failed", details };
+  }
+
+  return {
+    status: "pending",
+    details,
+    message: "Waiting for the payment to be approved on your phone.",
+  };
+};
+
+// The provider wants a UUID as X-Reference-Id; derive it from the idempotency
+// key so a retried refund is refused as a duplicate instead of paid twice
+const referenceIdFor = (idempotencyKey) => {
+  if (!idempotencyKey) {
+    return crypto.randomUUID();
+  }
+  const hex = crypto.createHash("sha256").update(idempotencyKey).digest("hex");
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    `4${hex.slice(13, 16)}`,
+    `${((parseInt(hex[16], 16) & 0x3) | 0x8).toString(16)}${hex.slice(17, 20)}`,
+    hex.slice(20, 32),
+  ].join("-");
+};
+
+// Refund (part of) a collected payment to the buyer's wallet. The provider
+// settles refunds asynchronously, see getRefundStatus.
+const refund = async (payment, amount, { idempotencyKey } = {}) => {
+  assertConfigured();
+  if (!payment.gatewaySessionId) {
+    throw new Error("Payment has no mobile money request to refund");
+  }
+
+  const refundId = referenceIdFor(idempotencyKey);
+  try {
+    await axios.post(
+      `${momoConfig.apiUrl}/disbursement/v1_0/refund`,
+      {
+        amount: money.toDecimalString(amount, momoConfig.currency),
+        currency: momoConfig.currency,
+        externalId: payment.reference,
+        payerMessage: "Ticket refund",
+        payeeNote: payment.reference,
+        referenceIdToRefund: payment.gatewaySessionId,
+      },
+      {
+        headers: await momoHeaders("disbursement", { "X-Reference-Id": refundId }),
+        timeout: momoConfig.timeout,
+      }
+    );
+  } catch (error) {
+    // Already submitted by an earlier attempt
+    if (error.response?.status !== 409) {
+      throw error;
+    }
+    logger.info("Mobile money refund already submitted", { reference: payment.reference, refundId });
+  }
+
+  return { id: refundId, status: "pending" };
+};
+
+// Poll the provider for the status of a refund
+const getRefundStatus = async (refundId) => {
+  assertConfigured();
+
+  let data;
+  try {
+    const response = await axios.get(
+      `${momoConfig.apiUrl}/disbursement/v1_0/refund/${refundId}`,
+      {
+        headers: await momoHeaders("disbursement"),
+        timeout: momoConfig.timeout,
+      }
+    );
+    data = response.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      return { status: "pending" };
+    }
+    throw error;
+  }
+
+  if (data.status === "SUCCESSFUL") {
+    return { status: "succeeded" };
+  }
+  if (["FAILED", "REJECTED", "TIMEOUT"].includes(data.status)) {
+    return { status: "failed", reason: data.reason || data.status };
+  }
+  return { status: "pending" };
+};
+
+// Provider callbacks are not signed, so they only ask us to re-check the status
+const parseWebhook = (rawBody) => {
+  const body = JSON.parse(rawBody.toString("utf8"));
+  if (!body.externalId) {
+    throw new Error("Callback has no externalId");
+  }
+
+  return {
+    id: `${body.externalId}:${body.status}`,
+    type: `requesttopay.${String(body.status).toLowerCase()}`,
+    action: "verify",
+    reference: body.externalId,
+  };
+};
+
+module.exports = {
+  name: "momo",
+  displayName: "Mobile Money",
+  description: "Orange Money / MTN MoMo mobile money, settled in West African CFA franc (XOF). " +
+    "The payment is approved on the buyer's phone",
+  supportedCurrencies: ["XOF"],
+  supportsPartialRefunds: true,
+  requiresPayerPhone: true,
+  createCheckout,
+  verify,
+  refund,
+  getRefundStatus,
+  parseWebhook,
+};
@@ -0,0 +1,280 @@
+/**
+ * Stripe gateway adapter
+ *
+ * - Supports: USD, EUR, GBP directly
+ * - GMD and XOF are converted to USD for processing
+ * - Checkout happens on a Stripe-hosted checkout session
+ */
+
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+const currencyService = require("../currencyService");
+const money = require("../money");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/payment-error.log", level: "error" }),
+    new transports.File({ filename: "logs/payment.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+// Initialize Stripe client
+const stripe = require("stripe")(process.env.STRIPE_SECRET_KEY);
+
+// Currencies Stripe settles in directly, anything else is charged in USD
+const SETTLEMENT_CURRENCIES = ["USD", "EUR", "GBP"];
+
+// Checkout sessions expire 30 minutes after creation at the earliest; the
+// extra minute covers the time between taking the hold and creating the session
+const MIN_HOLD_MINUTES = 31;
+
+// Create a Stripe checkout session for a pending payment
+const createCheckout = async ({ payment, event, ticketTypeName, quantity, ticketReferences, metadata, expiresAt }) => {
+  const reference = payment.reference;
+  const originalAmount = payment.originalAmount;
+  const currency = payment.originalCurrency;
+
+  try {
+    logger.info("Creating Stripe checkout session", {
+      eventId: event._id,
+      ticketTypeName,
+      quantity,
+      reference,
+      currency,
+    });
+
+    // Convert to a Stripe-supported currency if needed
+    const chargeCurrency = SETTLEMENT_CURRENCIES.includes(currency) ? currency : "USD";
+    const conversion = await currencyService.convertCurrency(originalAmount, currency, chargeCurrency);
+    const stripeAmount = conversion.amount;
+    const exchangeRate = conversion.rate;
+
+    // Enhanced metadata with additional information
+    const stripeMetadata = {
+      eventId: event._id.toString(),
+      eventTitle: event.title,
+      ticketType: ticketTypeName,
+      quantity: quantity.toString(),
+      ticketReferences: JSON.stringify(ticketReferences),
+      originalAmount: money.toDecimalString(originalAmount, currency),
+      originalCurrency: currency,
+      exchangeRate: exchangeRate.toString(),
+      timestamp: new Date().toISOString(),
+      ...Object.fromEntries(
+        Object.entries(metadata || {}).map(([key, value]) => [key, String(value)])
+      ),
+      // Webhooks for payment intents find the payment through this
+      reference,
+    };
+
+    const session = await stripe.checkout.sessions.create({
+      payment_method_types: ["card"],
+      line_items: [
+        {
+          price_data: {
+            currency: chargeCurrency.toLowerCase(),
+            product_data: {
+              name: `${event.title} - ${ticketTypeName} Ticket`,
+              description: `Purchase of ${quantity} ${ticketTypeName} ticket(s) for ${event.title}`,
+              metadata: {
+                eventId: event._id.toString(),
+                ticketType: ticketTypeName,
+              },
+            },
+            // Stripe also takes amounts in the currency's minor unit
+            unit_amount: stripeAmount,
+          },
+          quantity: 1,
+        },
+      ],
+      mode: "payment",
+      success_url: `${process.env.FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
+      cancel_url: `${process.env.FRONTEND_URL}/events/${event._id}`,
+      client_reference_id: reference,
+      // Nobody can pay once the ticket hold is gone
+      expires_at: expiresAt ? Math.floor(new Date(expiresAt).getTime() / 1000) : undefined,
+      metadata: stripeMetadata,
+      payment_intent_data: {
+        metadata: stripeMetadata,
+      },
+    });
+
+    logger.info("Stripe checkout session created successfully", {
+      sessionId: session.id,
+      reference,
+      originalAmount,
+      stripeAmount,
+      currency,
+    });
+
+    return {
+      id: session.id,
+      paymentUrl: session.url,
+      amount: stripeAmount,
+      currency: chargeCurrency,
+      exchangeRate,
+      paymentFields: {
+        gatewaySessionId: session.id,
+        amount: stripeAmount,
+        currency: chargeCurrency,
+        exchangeRate,
+        exchangeRateSnapshot: conversion.snapshotId,
+        exchangeRateSource: conversion.source,
+        exchangeRateOverride: conversion.overrideId,
+      },
+    };
+  } catch (error) {
+    logger.error("Stripe session creation failed", {
+      error: error.message,
+      reference,
+    });
+    throw new Error("Failed to create Stripe checkout session");
+  }
+};
+
+// Find our payment reference for a Stripe checkout session id
+const lookupReference = async (sessionId) => {
+  const session = await stripe.checkout.sessions.retrieve(sessionId);
+  return session.client_reference_id;
+};
+
+// Check the checkout session of a payment with Stripe
+const verify = async (payment) => {
+  logger.info("Verifying Stripe payment", { reference: payment.reference });
+
+  if (!payment.gatewaySessionId) {
+    throw new Error("Payment has no Stripe checkout session");
+  }
+
+  const session = await stripe.checkout.sessions.retrieve(payment.gatewaySessionId);
+  const details = {
+    id: session.id,
+    status: session.status,
+    payment_status: session.payment_status,
+  };
+
+  if (session.payment_status === "paid") {
+    return {
+      status: "succeeded",
+      gatewayFields: { stripePaymentIntent: session.payment_intent },
+      details,
+    };
+  }
+
+  if (session.status === "expired") {
+    return { status: "failed", details };
+  }
+
+  return {
+    status: "pending",
+    details,
+    message: "Payment is still pending. Please complete the payment on Stripe's checkout page.",
+  };
+};
+
+// Refund a Stripe payment, fully or partially
+const refund = async (payment, amount, { idempotencyKey } = {}) => {
+  if (!payment.stripePaymentIntent) {
+    throw new Error("Payment has no Stripe payment intent to refund");
+  }
+
+  const stripeRefund = await stripe.refunds.create(
+    {
+      payment_intent: payment.stripePaymentIntent,
+      amount,
+      reason: "requested_by_customer",
+      metadata: { reference: payment.reference },
+    },
+    { idempotencyKey }
+  );
+
+  return { id: stripeRefund.id, status: stripeRefund.status };
+};
+
+// Status of a refund that wasn't settled right away
+const getRefundStatus = async (refundId) => {
+  const stripeRefund = await stripe.refunds.retrieve(refundId);
+  if (stripeRefund.status === "succeeded") {
+    return { status: "succeeded" };
+  }
+  if (["failed", "canceled"].includes(stripeRefund.status)) {
+    return { status: "failed", reason: stripeRefund.failure_reason || stripeRefund.status };
+  }
+  return { status: "pending" };
+};
+
+// Verify a Stripe webhook and translate it into a payment action
+const parseWebhook = (rawBody, headers) => {
+  if (!process.env.STRIPE_WEBHOOK_SECRET) {
+    const error = new Error("Stripe webhooks are not configured");
+    error.status = 503;
+    throw error;
+  }
+
+  const event = stripe.webhooks.constructEvent(
+    rawBody,
+    headers["stripe-signature"],
+    process.env.STRIPE_WEBHOOK_SECRET
+  );
+  const object = event.data.object;
+  const result = { id: event.id, type: event.type, action: "ignored" };
+
+  switch (event.type) {
+    case "checkout.session.completed":
+      // Delayed payment methods complete the session before they are paid
+      return {
+        ...result,
+        action: object.payment_status === "paid" ? "succeeded" : "ignored",
+        reference: object.client_reference_id,
+        gatewayFields: { stripePaymentIntent: object.payment_intent },
+      };
+    case "payment_intent.payment_failed":
+      // A declined card; the buyer can try again in the same Checkout Session
+      return {
+        ...result,
+        action: "declined",
+        reference: object.metadata?.reference,
+        // Payments created before the reference was added to the metadata
+        paymentQuery: { stripePaymentIntent: object.id },
+        declineReason: object.last_payment_error?.message,
+      };
+    case "checkout.session.expired":
+      // The buyer can't pay anymore
+      return {
+        ...result,
+        action: "failed",
+        reference: object.client_reference_id,
+      };
+    default:
+      return result;
+  }
+};
+
+module.exports = {
+  name: "stripe",
+  displayName: "Stripe",
+  description: "Stripe supports USD, EUR, GBP directly. GMD will be converted to USD",
+  supportedCurrencies: ["USD", "EUR", "GBP", "GMD"],
+  minHoldMinutes: MIN_HOLD_MINUTES,
+  supportsPartialRefunds: true,
+  createCheckout,
+  lookupReference,
+  verify,
+  refund,
+  getRefundStatus,
+  parseWebhook,
+};
@@ -0,0 +1,285 @@
+/**
+ * Wave gateway adapter
+ *
+ * - Supports: GMD (Gambian Dalasi) only
+ * - Other currencies are automatically converted to GMD
+ * - Wave only refunds whole checkout sessions
+ */
+
+const axios = require("axios");
+const crypto = require("crypto");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+const currencyService = require("../currencyService");
+const money = require("../money");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/payment-error.log", level: "error" }),
+    new transports.File({ filename: "logs/payment.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+// Wave configuration
+const waveConfig = {
+  apiKey: process.env.WAVE_API_KEY,
+  apiUrl: "https://api.wave.com/v1",
+  timeout: 10000,
+  webhookSecret: process.env.WAVE_WEBHOOK_SECRET,
+  // Maximum age of a signed webhook delivery before it is rejected as a replay
+  webhookTolerance: 5 * 60,
+};
+
+const waveHeaders = (extra = {}) => ({
+  Authorization: `Bearer ${waveConfig.apiKey}`,
+  "Content-Type": "application/json",
+  ...extra,
+});
+
+// Payments created before gatewaySessionId existed only have waveSessionId
+const getSessionId = (payment) => payment.gatewaySessionId || payment.waveSessionId;
+
+// Create a Wave checkout session for a pending payment
+const createCheckout = async ({ payment }) => {
+  const reference = payment.reference;
+  const amount = payment.originalAmount;
+  const currency = payment.originalCurrency;
+
+  try {
+    logger.info("Creating Wave checkout session", { amount, currency, reference });
+
+    currencyService.validatePaymentAmount(amount, currency);
+
+    // Wave only supports GMD, so convert if needed
+    const conversion = await currencyService.convertCurrency(amount, currency, "GMD");
+    const waveAmount = conversion.amount;
+    const exchangeRate = conversion.rate;
+
+    const response = await axios.post(
+      `${waveConfig.apiUrl}/checkout/sessions`,
+      {
+        amount: money.toDecimalString(waveAmount, "GMD"),
+        currency: "GMD",
+        client_reference: reference,
+        success_url: `${process.env.FRONTEND_URL}/payment-success?reference=${reference}`,
+        error_url: `${process.env.FRONTEND_URL}/payment-error?reference=${reference}`,
+      },
+      {
+        headers: waveHeaders({ "Idempotency-Key": reference }),
+        timeout: waveConfig.timeout,
+      }
+    );
+
+    logger.info("Wave checkout session created successfully", { reference });
+    logger.info("Wave response data", response.data);
+
+    return {
+      id: response.data.id,
+      paymentUrl: response.data.wave_launch_url,
+      amount: waveAmount,
+      currency: "GMD",
+      exchangeRate,
+      paymentFields: {
+        gatewaySessionId: response.data.id,
+        waveSessionId: response.data.id,
+        wavePaymentId: response.data.id,
+        amount: waveAmount,
+        currency: "GMD",
+        exchangeRate,
+        exchangeRateSnapshot: conversion.snapshotId,
+        exchangeRateSource: conversion.source,
+        exchangeRateOverride: conversion.overrideId,
+      },
+    };
+  } catch (error) {
+    logger.error("Wave checkout session creation failed", {
+      error: error.message,
+      reference,
+      response: error.response?.data,
+    });
+    throw new Error("Failed to create Wave checkout session");
+  }
+};
+
+// Check the checkout session of a payment with Wave
+const verify = async (payment) => {
+  const reference = payment.reference;
+  logger.info("Verifying Wave payment", { reference });
+
+  let waveData;
+  try {
+    const waveResponse = await axios.get(
+      `${waveConfig.apiUrl}/checkout/sessions/${getSessionId(payment)}`,
+      {
+        headers: waveHeaders(),
+        timeout: waveConfig.timeout,
+      }
+    );
+    waveData = waveResponse.data;
+  } catch (error) {
+    if (error.response?.status === 404) {
+      // Session not found or not yet created on Wave's side
+      return {
+        status: "pending",
+        details: {},
+        message: "Payment session not found. Please initiate the payment first.",
+      };
+    }
+    logger.error("Wave payment verification failed", {
+      error: error.message,
+      reference,
+    });
+    throw new Error("Payment verification failed");
+  }
+
+  logger.info("Wave payment status check", { waveData });
+
+  const details = {
+    id: waveData.id,
+    payment_status: waveData.payment_status,
+    checkout_status: waveData.checkout_status,
+    transaction_id: waveData.transaction_id,
+  };
+
+  if (waveData.payment_status === "succeeded" || waveData.checkout_status === "completed") {
+    return {
+      status: "succeeded",
+      gatewayFields: {
+        wavePaymentId: waveData.id,
+        waveTransactionId: waveData.transaction_id,
+        waveStatus: waveData.payment_status,
+      },
+      details: { ...details, status: "succeeded" },
+    };
+  }
+
+  if (["failed", "cancelled", "expired"].includes(waveData.payment_status) ||
+      waveData.checkout_status === "expired") {
+    return { status: "failed", details: { ...details, status: "failed" } };
+  }
+
+  return {
+    status: "pending",
+    details: { ...details, status: "pending", wave_launch_url: waveData.wave_launch_url },
+    message: "Payment is still pending. Please complete the payment on Wave's platform.",
+  };
+};
+
+// Refund a Wave checkout. The amount is ignored since Wave refunds the whole session.
+const refund = async (payment) => {
+  const sessionId = getSessionId(payment);
+  if (!sessionId) {
+    throw new Error("Payment has no Wave checkout session to refund");
+  }
+
+  await axios.post(
+    `${waveConfig.apiUrl}/checkout/sessions/${sessionId}/refund`,
+    {},
+    {
+      headers: waveHeaders(),
+      timeout: waveConfig.timeout,
+    }
+  );
+
+  return { id: sessionId, status: "succeeded" };
+};
+
+// Verify a Wave webhook signature and parse its event body
+const constructWebhookEvent = (rawBody, signatureHeader) => {
+  if (!waveConfig.webhookSecret) {
+    const error = new Error("Wave webhooks are not configured");
+    error.status = 503;
+    throw error;
+  }
+  if (!signatureHeader) {
+    throw new Error("Missing Wave-Signature header");
+  }
+
+  // Header format: t=<timestamp>,v1=<signature>[,v1=<signature>...]
+  let timestamp;
+  const signatures = [];
+  signatureHeader.split(",").forEach((part) => {
+    const [key, value] = part.trim().split("=");
+    if (key === "t") timestamp = value;
+    if (key === "v1") signatures.push(value);
+  });
+
+  if (!timestamp || signatures.length === 0) {
+    throw new Error("Malformed Wave-Signature header");
+  }
+
+  const age = Math.floor(Date.now() / 1000) - Number(timestamp);
+  if (Number.isNaN(age) || Math.abs(age) > waveConfig.webhookTolerance) {
+    throw new Error("Wave webhook timestamp outside tolerance");
+  }
+
+  const expected = crypto
+    .createHmac("sha256", waveConfig.webhookSecret)
+    .update(timestamp + rawBody.toString("utf8"))
+    .digest("hex");
+
+  const isValid = signatures.some((signature) =>
+    signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  );
+  if (!isValid) {
+    throw new Error("Invalid Wave webhook signature");
+  }
+
+  return JSON.parse(rawBody.toString("utf8"));
+};
+
+// Verify a Wave webhook and translate it into a payment action
+const parseWebhook = (rawBody, headers) => {
+  const event = constructWebhookEvent(rawBody, headers["wave-signature"]);
+  const session = event.data || {};
+  const result = {
+    id: event.id,
+    type: event.type,
+    action: "ignored",
+    reference: session.client_reference,
+  };
+
+  switch (event.type) {
+    case "checkout.session.completed":
+      return {
+        ...result,
+        action: session.payment_status === "succeeded" ? "succeeded" : "ignored",
+        gatewayFields: {
+          wavePaymentId: session.id,
+          waveTransactionId: session.transaction_id,
+          waveStatus: session.payment_status,
+        },
+      };
+    case "checkout.session.payment_failed":
+      return { ...result, action: "failed" };
+    default:
+      return result;
+  }
+};
+
+module.exports = {
+  name: "wave",
+  displayName: "Wave",
+  description: "Wave supports Gambian Dalasi (GMD) only",
+  supportedCurrencies: ["GMD"],
+  supportsPartialRefunds: false,
+  createCheckout,
+  verify,
+  refund,
+  parseWebhook,
+};
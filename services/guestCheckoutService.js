@@ -0,0 +1,212 @@
+/**
+ * Guest Checkout Service
+ *
+ * Buyers without an account prove they control an email address or mobile
+ * number with a one-time code, and get a short-lived guest token
+ * (GUEST_TOKEN_TTL) to pay with. Their payments and tickets have no user but
+ * keep the contact in guestContact.
+ *
+ * After a guest purchase, the contact gets a magic link
+ * (${FRONTEND_URL}/claim-tickets?token=...) that moves every guest purchase
+ * made with it into the account of whoever opens it while logged in.
+ *
+ * Codes and links are stored, rate limited and checked by verificationService,
+ * like those sent to users.
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const User = require("../Models/Users");
+const Ticket = require("../Models/Ticket");
+const Payment = require("../Models/Payments");
+const notificationService = require("./notificationService");
+const verificationService = require("./verificationService");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const GUEST_TOKEN_TTL = "30m";
+const GUEST_TOKEN_PURPOSE = "guest_checkout";
+const GUEST_CODE_TTL_MINUTES = verificationService.VERIFICATION_CODE_TTL_MINUTES;
+const CLAIM_LINK_TTL_DAYS = Number(process.env.GUEST_CLAIM_LINK_TTL_DAYS) || 30;
+
+// Guest purchases that hold (some) tickets
+const CLAIMABLE_STATUSES = ["success", "partially_refunded"];
+
+const guestError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+// The same address or number always maps to the same contact
+const normalizeContact = (type, value) => ({
+  type,
+  value: type === "email"
+    ? String(value).trim().toLowerCase()
+    : String(value).replace(/[\s-]/g, ""),
+});
+
+/**
+ * Send a one-time code to a guest's email address or mobile number
+ */
+const sendGuestCode = async (type, value) => {
+  const contact = normalizeContact(type, value);
+
+  const owner = { purpose: "guest_checkout", target: contact.value };
+  await verificationService.assertCanResend(owner);
+
+  const code = verificationService.generateCode();
+  await verificationService.storeSecret(owner, code, GUEST_CODE_TTL_MINUTES);
+
+  await notificationService.sendVerificationCode(contact.type, contact.value, {
+    code,
+    expiresInMinutes: GUEST_CODE_TTL_MINUTES,
+  });
+
+  return { channel: contact.type, target: contact.value, expiresInMinutes: GUEST_CODE_TTL_MINUTES };
+};
+
+/**
+ * Check a guest's code. Returns a guest token for checkout.
+ */
+const confirmGuestCode = async (type, value, code) => {
+  const contact = normalizeContact(type, value);
+
+  await verificationService.consumeCode({ purpose: "guest_checkout", target: contact.value }, code);
+
+  const guestToken = jwt.sign(
+    { purpose: GUEST_TOKEN_PURPOSE, contact },
+    process.env.JWT_SECRET,
+    { expiresIn: GUEST_TOKEN_TTL }
+  );
+  return { guestToken, expiresIn: GUEST_TOKEN_TTL, contact };
+};
+
+// The verified contact of a guest token. Throws (401) if it isn't valid.
+const verifyGuestToken = (guestToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(guestToken, process.env.JWT_SECRET);
+  } catch (error) {
+    throw guestError("Guest session expired, please verify your contact again", 401);
+  }
+  if (decoded.purpose !== GUEST_TOKEN_PURPOSE || !decoded.contact) {
+    throw guestError("Invalid guest token", 401);
+  }
+  return decoded.contact;
+};
+
+// A new magic link for a contact; earlier links stop working
+const createClaimLink = async (contact) => {
+  const token = crypto.randomBytes(32).toString("hex");
+  await verificationService.storeSecret(
+    { purpose: "ticket_claim", target: contact.value },
+    token,
+    CLAIM_LINK_TTL_DAYS * 24 * 60
+  );
+  return `${process.env.FRONTEND_URL}/claim-tickets?token=${token}`;
+};
+
+/**
+ * Tell a guest their purchase went through, with the link to claim it
+ *
+ * @param {Object} payment fulfilled guest payment
+ * @param {Object} ticketData { eventTitle, eventDate, ticketType, quantity, amount, currency }
+ */
+const sendPurchaseConfirmation = async (payment, ticketData) => {
+  const claimUrl = await createClaimLink(payment.guestContact);
+  return notificationService.sendGuestPurchaseConfirmation(payment.guestContact, {
+    ...ticketData,
+    claimUrl,
+  });
+};
+
+/**
+ * Send a fresh claim link to a contact with unclaimed guest purchases.
+ * Contacts without any are ignored silently.
+ */
+const requestClaimLink = async (type, value) => {
+  const contact = normalizeContact(type, value);
+
+  const hasPurchases = await Payment.exists({
+    user: null,
+    "guestContact.value": contact.value,
+    status: { $in: CLAIMABLE_STATUSES },
+  });
+  if (!hasPurchases) {
+    logger.info("Claim link requested for a contact without guest purchases");
+    return;
+  }
+
+  const claimUrl = await createClaimLink(contact);
+  await notificationService.sendGuestClaimLink(contact, { claimUrl, expiresInDays: CLAIM_LINK_TTL_DAYS });
+};
+
+/**
+ * Move a contact's guest purchases into a user's account. The link can only
+ * be used once.
+ */
+const claimTickets = async (token, userId) => {
+  const record = await verificationService.consumeToken("ticket_claim", token, { user: userId });
+  if (!record) {
+    throw guestError("Invalid or expired claim link");
+  }
+
+  const payments = await Payment.find({ user: null, "guestContact.value": record.target })
+    .select("reference");
+  const references = payments.map(payment => payment.reference);
+
+  await Payment.updateMany(
+    { reference: { $in: references }, user: null },
+    { $set: { user: userId } }
+  );
+  await Ticket.updateMany(
+    { paymentReference: { $in: references }, user: null },
+    { $set: { user: userId } }
+  );
+
+  // Tickets still held from those purchases, e.g. not transferred or refunded
+  const tickets = await Ticket.find({
+    paymentReference: { $in: references },
+    user: userId,
+    status: "success",
+  }).select("_id");
+  await User.updateOne(
+    { _id: userId },
+    { $addToSet: { tickets: { $each: tickets.map(ticket => ticket._id) } } }
+  );
+
+  logger.info("Guest purchases claimed", { userId, payments: references.length, tickets: tickets.length });
+  return { payments: references.length, tickets: tickets.length };
+};
+
+module.exports = {
+  sendGuestCode,
+  confirmGuestCode,
+  verifyGuestToken,
+  sendPurchaseConfirmation,
+  requestClaimLink,
+  claimTickets,
+  normalizeContact,
+};
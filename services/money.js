@@ -0,0 +1,109 @@
+/**
+ * Money helpers
+ *
+ * - Amounts are stored as integers in the currency's minor unit: cents for
+ *   USD/EUR/GBP, bututs for GMD, and whole francs for XOF, which has no minor unit
+ * - Major units (e.g. 12.50) are only used at the edges: request input, API
+ *   responses, SMS text and gateways that expect decimal amounts
+ */
+
+// moneyVersion of documents storing minor units, set when they are created
+const MONEY_VERSION = 2;
+
+// Number of decimal places of each currency's minor unit (ISO 4217)
+const CURRENCY_EXPONENTS = {
+  USD: 2,
+  EUR: 2,
+  GBP: 2,
+  GMD: 2,
+  XOF: 0,
+};
+
+const getExponent = (currency) => {
+  const exponent = CURRENCY_EXPONENTS[String(currency).toUpperCase()];
+  if (exponent === undefined) {
+    throw new Error(`Unsupported currency: ${currency}`);
+  }
+  return exponent;
+};
+
+// 12.5 USD -> 1250. Rejects amounts with more decimals than the currency has.
+const toMinorUnits = (amount, currency) => {
+  const exponent = getExponent(currency);
+  const scaled = Number(amount) * 10 ** exponent;
+  const minor = Math.round(scaled);
+
+  if (!Number.isFinite(scaled) || Math.abs(scaled - minor) > 1e-6) {
+    throw new Error(`Invalid ${currency} amount ${amount}: at most ${exponent} decimal places are allowed`);
+  }
+  return minor;
+};
+
+// 1250 USD -> 12.5
+const toMajorUnits = (minor, currency) => minor / 10 ** getExponent(currency);
+
+// 1250 USD -> "12.50", for gateways that take decimal strings
+const toDecimalString = (minor, currency) =>
+  toMajorUnits(minor, currency).toFixed(getExponent(currency));
+
+// 150000 USD -> "1,500.00 USD", 1500 XOF -> "1,500 XOF"
+const formatMoney = (minor, currency) => {
+  const exponent = getExponent(currency);
+  const major = toMajorUnits(minor, currency).toLocaleString("en-US", {
+    minimumFractionDigits: exponent,
+    maximumFractionDigits: exponent,
+  });
+  return `${major} ${currency.toUpperCase()}`;
+};
+
+// Convert minor units between currencies with a major-unit exchange rate
+const convertMinorUnits = (minor, fromCurrency, toCurrency, rate) =>
+  Math.round(minor * rate * 10 ** (getExponent(toCurrency) - getExponent(fromCurrency)));
+
+// Schema type for an amount in minor units
+const moneyField = (options = {}) => ({
+  type: Number,
+  validate: {
+    validator: (value) => value === undefined || value === null || Number.isInteger(value),
+    message: "{PATH} must be a whole number of minor currency units",
+  },
+  ...options,
+});
+
+/**
+ * toJSON transform that presents minor-unit fields in major units, with a
+ * formatted string next to each (e.g. price: 12.5, priceFormatted: "12.50 GMD").
+ *
+ * @param {Object} fields map of amount path -> currency path, e.g. { price: "currency" }
+ */
+const moneyJSONTransform = (fields) => (doc, ret) => {
+  Object.entries(fields).forEach(([amountPath, currencyPath]) => {
+    const currency = ret[currencyPath];
+    if (typeof ret[amountPath] !== "number" || !(currency in CURRENCY_EXPONENTS)) return;
+
+    ret[`${amountPath}Formatted`] = formatMoney(ret[amountPath], currency);
+    ret[amountPath] = toMajorUnits(ret[amountPath], currency);
+  });
+  return ret;
+};
+
+// Present a minor-unit amount in API responses
+const presentAmount = (minor, currency) => ({
+  amount: toMajorUnits(minor, currency),
+  currency,
+  formatted: formatMoney(minor, currency),
+});
+
+module.exports = {
+  MONEY_VERSION,
+  CURRENCY_EXPONENTS,
+  getExponent,
+  toMinorUnits,
+  toMajorUnits,
+  toDecimalString,
+  formatMoney,
+  convertMinorUnits,
+  moneyField,
+  moneyJSONTransform,
+  presentAmount,
+};
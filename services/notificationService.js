@@ -1,6 +1,8 @@
 const Ticket = require("../Models/Ticket");
 const User = require("../Models/Users");
 const twilio = require('twilio');
+const nodemailer = require('nodemailer');
+const money = require("./money");
 const { createLogger, format, transports } = require("winston");
 
 // Configure logger
@@ -95,13 +97,127 @@ const formatPhoneNumber = (phoneNumber) => {
   return '+' + formatted;
 };
 
+// SMTP transport for emails, created on first use
+let mailTransport = null;
+
+// Validate SMTP configuration
+const validateEmailConfig = () => {
+  const missing = ['SMTP_HOST', 'EMAIL_FROM'].filter(name => !process.env[name]);
+
+  if (missing.length > 0) {
+    logger.error('Missing email configuration', { missing });
+    return false;
+  }
+
+  return true;
+};
+
+const getMailTransport = () => {
+  if (!mailTransport) {
+    mailTransport = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: Number(process.env.SMTP_PORT) || 587,
+      // true for port 465, otherwise STARTTLS is used if the server offers it
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return mailTransport;
+};
+
+// Subject and text of an email, by notificationData.type
+const renderEmail = (data) => {
+  const greeting = `Hello ${data.name || 'there'},\n\n`;
+
+  switch (data.type) {
+    case 'password_reset':
+      return {
+        subject: 'Reset your password',
+        text: greeting +
+          `Use this link to choose a new password:\n${data.resetUrl}\n\n` +
+          `The link expires in ${data.expiresInMinutes} minutes. ` +
+          `If you didn't ask for it, you can ignore this email.`,
+      };
+    case 'verification_code':
+      return {
+        subject: 'Your verification code',
+        text: greeting +
+          `Your verification code is ${data.code}.\n` +
+          `It expires in ${data.expiresInMinutes} minutes. Don't share it with anyone.`,
+      };
+    case 'guest_ticket_purchase':
+      return {
+        subject: `Your tickets for ${data.eventTitle}`,
+        text: greeting +
+          `Event: ${data.eventTitle}\n` +
+          `Date: ${new Date(data.eventDate).toLocaleDateString()}\n` +
+          `Ticket Type: ${data.ticketType.toUpperCase()}\n` +
+          `Quantity: ${data.quantity}\n` +
+          `Total: ${money.formatMoney(data.amount, data.currency)}\n\n` +
+          `Add the tickets to your account: ${data.claimUrl}`,
+      };
+    case 'refund':
+      return {
+        subject: `Refund for ${data.eventTitle}`,
+        text: greeting + refundText(data),
+      };
+    case 'guest_claim_link':
+      return {
+        subject: 'Add your tickets to your account',
+        text: greeting +
+          `Add your tickets to your account: ${data.claimUrl}\n` +
+          `The link expires in ${data.expiresInDays} days. Don't share it with anyone.`,
+      };
+    default:
+      // Ticket transfers
+      return {
+        subject: `You received a ticket for ${data.eventName}`,
+        text: `Hello ${data.recipientName || 'there'},\n\n` +
+          `You have received a ticket transfer:\n` +
+          `Event: ${data.eventName}\n` +
+          `Date: ${new Date(data.eventDate).toLocaleDateString()}\n` +
+          `Ticket Type: ${data.ticketType.toUpperCase()}\n\n` +
+          `Enjoy the event!`,
+      };
+  }
+};
+
 const sendEmailNotification = async (email, notificationData) => {
-  // TODO: Implement email notification logic
-  // This could use nodemailer or any other email service
-  logger.info('Sending email notification to:', { email, notificationData });
+  try {
+    if (!validateEmailConfig()) {
+      throw new Error('Email configuration is incomplete. Please check your environment variables.');
+    }
+
+    const { subject, text } = renderEmail(notificationData);
+    // Never log one-time secrets
+    logger.info('Sending email notification', { to: email, type: notificationData.type || 'ticket_transfer' });
+
+    const result = await getMailTransport().sendMail({
+      from: process.env.EMAIL_FROM,
+      to: email,
+      subject,
+      text,
+    });
+
+    logger.info('Email sent successfully', { messageId: result.messageId, to: email });
+    return {
+      success: true,
+      messageId: result.messageId
+    };
+  } catch (error) {
+    logger.error('Email sending failed', {
+      error: error.message,
+      email,
+      type: notificationData?.type
+    });
+    throw new Error(`Failed to send email: ${error.message}`);
+  }
 };
 
-const sendSMSNotification = async (mobileNumber, message) => {
+// Pass { sensitive: true } for messages with one-time secrets, so they aren't logged
+const sendSMSNotification = async (mobileNumber, message, { sensitive = false } = {}) => {
   try {
     // Validate Twilio configuration first
     if (!validateTwilioConfig()) {
@@ -113,7 +229,7 @@ const sendSMSNotification = async (mobileNumber, message) => {
     logger.info('Sending SMS notification', { 
       to: formattedNumber, 
       from: 'GESCO',
-      message: message.substring(0, 50) + '...' 
+      message: sensitive ? '[redacted]' : message.substring(0, 50) + '...'
     });
 
     const result = await twilioClient.messages.create({
@@ -152,12 +268,18 @@ const sendTicketPurchaseSMS = async (userId, ticketData) => {
       throw new Error('User not found or no mobile number available');
     }
 
+    // Never send tickets to a number the account holder hasn't proven they own
+    if (!user.mobileVerified) {
+      logger.warn('Ticket purchase SMS not sent, mobile number not verified', { userId });
+      return { success: false, skipped: 'mobile_not_verified' };
+    }
+
     const message = `🎫 Ticket Purchase Confirmed!\n\n` +
       `Event: ${ticketData.eventTitle}\n` +
       `Date: ${new Date(ticketData.eventDate).toLocaleDateString()}\n` +
       `Ticket Type: ${ticketData.ticketType.toUpperCase()}\n` +
       `Quantity: ${ticketData.quantity}\n` +
-      `Total: $${ticketData.amount}\n\n` +
+      `Total: ${money.formatMoney(ticketData.amount, ticketData.currency)}\n\n` +
       `Enjoy the event!`;
 
     return await sendSMSNotification(user.mobileNumber, message);
@@ -171,6 +293,32 @@ const sendTicketPurchaseSMS = async (userId, ticketData) => {
   }
 };
 
+const refundText = (refundData) =>
+  `Event: ${refundData.eventTitle}\n` +
+  `Tickets refunded: ${refundData.quantity}\n` +
+  `Amount: ${money.formatMoney(refundData.amount, refundData.currency)}\n` +
+  (refundData.reason ? `Reason: ${refundData.reason}\n` : '') +
+  `\nRefunded tickets are no longer valid for entry.`;
+
+// Send refund confirmation SMS to the buyer
+const sendRefundSMS = async (userId, refundData) => {
+  try {
+    const user = await User.findById(userId);
+    if (!user || !user.mobileNumber) {
+      throw new Error('User not found or no mobile number available');
+    }
+
+    return await sendSMSNotification(user.mobileNumber, `💸 Refund Issued\n\n${refundText(refundData)}`);
+  } catch (error) {
+    logger.error('Failed to send refund SMS', {
+      error: error.message,
+      userId,
+      refundData
+    });
+    throw error;
+  }
+};
+
 // Send ticket transfer notification SMS
 const sendTicketTransferSMS = async (ticketId, recipientInfo) => {
   try {
@@ -269,11 +417,106 @@ const sendTransferNotification = async (ticketId, recipientInfo) => {
   return notificationData;
 };
 
+// Send a password reset link by email
+const sendPasswordResetEmail = async (user, resetData) => {
+  await sendEmailNotification(user.email, {
+    type: 'password_reset',
+    name: user.name,
+    resetUrl: resetData.resetUrl,
+    expiresInMinutes: resetData.expiresInMinutes
+  });
+};
+
+// Send a password reset link by SMS, for users who can't get email
+const sendPasswordResetSMS = async (user, resetData) => {
+  const message = `Reset your password: ${resetData.resetUrl}\n` +
+    `The link expires in ${resetData.expiresInMinutes} minutes. Don't share it with anyone.`;
+  return await sendSMSNotification(user.mobileNumber, message, { sensitive: true });
+};
+
+// Send a one-time verification code by email or SMS
+const sendVerificationCode = async (channel, target, codeData) => {
+  if (channel === 'email') {
+    return await sendEmailNotification(target, {
+      type: 'verification_code',
+      code: codeData.code,
+      expiresInMinutes: codeData.expiresInMinutes
+    });
+  }
+
+  const message = `Your verification code is ${codeData.code}.\n` +
+    `It expires in ${codeData.expiresInMinutes} minutes. Don't share it with anyone.`;
+  return await sendSMSNotification(target, message, { sensitive: true });
+};
+
+// Confirm a guest purchase to the verified contact, with the link to claim the tickets
+const sendGuestPurchaseConfirmation = async (contact, ticketData) => {
+  if (contact.type === 'email') {
+    return await sendEmailNotification(contact.value, {
+      type: 'guest_ticket_purchase',
+      ...ticketData
+    });
+  }
+
+  const message = `🎫 Ticket Purchase Confirmed!\n\n` +
+    `Event: ${ticketData.eventTitle}\n` +
+    `Date: ${new Date(ticketData.eventDate).toLocaleDateString()}\n` +
+    `Ticket Type: ${ticketData.ticketType.toUpperCase()}\n` +
+    `Quantity: ${ticketData.quantity}\n` +
+    `Total: ${money.formatMoney(ticketData.amount, ticketData.currency)}\n\n` +
+    `Add the tickets to your account: ${ticketData.claimUrl}`;
+  return await sendSMSNotification(contact.value, message, { sensitive: true });
+};
+
+// Send a guest a new link to claim their tickets
+const sendGuestClaimLink = async (contact, linkData) => {
+  if (contact.type === 'email') {
+    return await sendEmailNotification(contact.value, {
+      type: 'guest_claim_link',
+      ...linkData
+    });
+  }
+
+  const message = `Add your tickets to your account: ${linkData.claimUrl}\n` +
+    `The link expires in ${linkData.expiresInDays} days. Don't share it with anyone.`;
+  return await sendSMSNotification(contact.value, message, { sensitive: true });
+};
+
+// Tell the buyer of a payment about a refund: the account's mobile number, or
+// the contact a guest checked out with. Returns null when there is no one to tell
+// (e.g. anonymised accounts).
+const sendRefundNotification = async (payment, refundData) => {
+  if (payment.user) {
+    const user = await User.findById(payment.user).select('mobileNumber');
+    if (user?.mobileNumber) {
+      return await sendRefundSMS(user._id, refundData);
+    }
+  }
+
+  const contact = payment.guestContact;
+  if (contact?.value) {
+    if (contact.type === 'email') {
+      return await sendEmailNotification(contact.value, { type: 'refund', ...refundData });
+    }
+    return await sendSMSNotification(contact.value, `💸 Refund Issued\n\n${refundText(refundData)}`);
+  }
+
+  logger.info('No contact to send the refund notification to', { reference: payment.reference });
+  return null;
+};
+
 module.exports = {
   sendEmailNotification,
   sendSMSNotification,
   sendTransferNotification,
   sendTicketPurchaseSMS,
+  sendRefundSMS,
+  sendRefundNotification,
   sendTicketTransferSMS,
   sendTransferConfirmationSMS,
+  sendPasswordResetEmail,
+  sendPasswordResetSMS,
+  sendVerificationCode,
+  sendGuestPurchaseConfirmation,
+  sendGuestClaimLink,
 }; 
\ No newline at end of file
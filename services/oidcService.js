@@ -0,0 +1,345 @@
+/**
+ * OIDC Service
+ *
+ * Sign-in with Google, Apple (or the local mock provider in
+ * scripts/mockOidcProvider.js) using the OpenID Connect authorization code
+ * flow with PKCE:
+ * 1. startLogin stores a state, nonce and PKCE verifier (OAuthState) and
+ *    returns the provider's authorization URL.
+ * 2. The provider sends the user back to the redirect URI with a code, which
+ *    the frontend passes to completeLogin with the state.
+ * 3. completeLogin exchanges the code, checks the ID token against the
+ *    provider's keys (JWKS), and finds or creates the user.
+ *
+ * Identities are matched by provider and subject. A new identity is linked to
+ * the user with the same email address if the provider verified it; otherwise
+ * a user is created, without a password or mobile number. If that user never
+ * verified the email themselves, their password, mobile number, 2FA, sessions
+ * and API keys are dropped, so whoever registered the address first can't
+ * keep access to the provider user's account.
+ *
+ * Providers are enabled by their client ID (GOOGLE_CLIENT_ID, APPLE_CLIENT_ID,
+ * or OIDC_MOCK_ISSUER for the mock). Apple's client secret is the signed JWT
+ * Apple asks for, generated outside the app.
+ */
+
+const crypto = require("crypto");
+const axios = require("axios");
+const jwt = require("jsonwebtoken");
+const User = require("../Models/Users");
+const OAuthState = require("../Models/OAuthState");
+const twoFactorService = require("./twoFactorService");
+const apiKeyService = require("./apiKeyService");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const STATE_TTL_MINUTES = 10;
+// Discovery documents and keys are refetched after this, or for an unknown key ID
+const CACHE_TTL_MS = 60 * 60 * 1000;
+
+const PROVIDERS = {
+  google: {
+    issuer: "https://accounts.google.com",
+    clientId: process.env.GOOGLE_CLIENT_ID,
+    clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+    scope: "openid email profile",
+  },
+  apple: {
+    issuer: "https://appleid.apple.com",
+    clientId: process.env.APPLE_CLIENT_ID,
+    clientSecret: process.env.APPLE_CLIENT_SECRET,
+    scope: "openid email name",
+    // Apple only posts the result when name or email are requested
+    responseMode: "form_post",
+  },
+  mock: {
+    issuer: process.env.OIDC_MOCK_ISSUER,
+    clientId: process.env.OIDC_MOCK_ISSUER && (process.env.OIDC_MOCK_CLIENT_ID || "event-app"),
+    clientSecret: process.env.OIDC_MOCK_CLIENT_SECRET || "mock-secret",
+    scope: "openid email profile",
+  },
+};
+
+const discoveryCache = new Map();
+const jwksCache = new Map();
+
+const oidcError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base64url = (buffer) => buffer.toString("base64url");
+
+const getProvider = (name) => {
+  const provider = Object.prototype.hasOwnProperty.call(PROVIDERS, name) && PROVIDERS[name];
+  if (!provider || !provider.issuer || !provider.clientId) {
+    throw oidcError("Unknown or disabled identity provider", 404);
+  }
+  return provider;
+};
+
+// Providers that can be used, for the login page
+const getEnabledProviders = () =>
+  Object.keys(PROVIDERS).filter(name => PROVIDERS[name].issuer && PROVIDERS[name].clientId);
+
+const getRedirectUri = (name) =>
+  process.env.OIDC_REDIRECT_URI
+    ? process.env.OIDC_REDIRECT_URI.replace(":provider", name)
+    : `${process.env.FRONTEND_URL}/auth/callback/${name}`;
+
+const getDiscovery = async (provider) => {
+  const cached = discoveryCache.get(provider.issuer);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.document;
+  }
+
+  const { data } = await axios.get(`${provider.issuer.replace(/\/$/, "")}/.well-known/openid-configuration`);
+  discoveryCache.set(provider.issuer, { document: data, expiresAt: Date.now() + CACHE_TTL_MS });
+  return data;
+};
+
+// The provider's public key for a key ID
+const getSigningKey = async (jwksUri, kid) => {
+  const findKey = (keys) => keys.find(key => key.kid === kid);
+
+  const cached = jwksCache.get(jwksUri);
+  if (cached && cached.expiresAt > Date.now() && findKey(cached.keys)) {
+    return crypto.createPublicKey({ key: findKey(cached.keys), format: "jwk" });
+  }
+
+  const { data } = await axios.get(jwksUri);
+  jwksCache.set(jwksUri, { keys: data.keys, expiresAt: Date.now() + CACHE_TTL_MS });
+
+  const jwk = findKey(data.keys);
+  if (!jwk) {
+    throw oidcError("ID token signed with an unknown key", 401);
+  }
+  return crypto.createPublicKey({ key: jwk, format: "jwk" });
+};
+
+/**
+ * Start a sign-in. Returns the URL to send the user to.
+ *
+ * @param {string} name provider name (google, apple, mock)
+ * @param {{ loginHint?: string }} options
+ */
+const startLogin = async (name, { loginHint } = {}) => {
+  const provider = getProvider(name);
+  const discovery = await getDiscovery(provider);
+
+  const state = base64url(crypto.randomBytes(32));
+  const nonce = base64url(crypto.randomBytes(32));
+  const codeVerifier = base64url(crypto.randomBytes(32));
+  const codeChallenge = base64url(crypto.createHash("sha256").update(codeVerifier).digest());
+  const redirectUri = getRedirectUri(name);
+
+  await OAuthState.create({
+    provider: name,
+    state,
+    nonce,
+    codeVerifier,
+    redirectUri,
+    expiresAt: new Date(Date.now() + STATE_TTL_MINUTES * 60 * 1000),
+  });
+
+  const params = new URLSearchParams({
+    response_type: "code",
+    client_id: provider.clientId,
+    redirect_uri: redirectUri,
+    scope: provider.scope,
+    state,
+    nonce,
+    code_challenge: codeChallenge,
+    code_challenge_method: "S256",
+  });
+  if (provider.responseMode) {
+    params.set("response_mode", provider.responseMode);
+  }
+  if (loginHint) {
+    params.set("login_hint", loginHint);
+  }
+
+  return { authorizationUrl: `${discovery.authorization_endpoint}?${params}`, state };
+};
+
+// Exchange the code and return the verified ID token claims
+const exchangeCode = async (provider, stored, code) => {
+  const discovery = await getDiscovery(provider);
+
+  let tokens;
+  try {
+    const { data } = await axios.post(
+      discovery.token_endpoint,
+      new URLSearchParams({
+        grant_type: "authorization_code",
+        code,
+        redirect_uri: stored.redirectUri,
+        client_id: provider.clientId,
+        client_secret: provider.clientSecret || "",
+        code_verifier: stored.codeVerifier,
+      }),
+      { headers: { "Content-Type": "application/x-www-form-urlencoded" } }
+    );
+    tokens = data;
+  } catch (error) {
+    logger.error("OIDC code exchange failed", {
+      provider: stored.provider,
+      error: error.response?.data?.error || error.message,
+    });
+    throw oidcError("Sign-in with the identity provider failed", 401);
+  }
+
+  if (!tokens.id_token) {
+    throw oidcError("Identity provider did not return an ID token", 401);
+  }
+
+  const header = jwt.decode(tokens.id_token, { complete: true })?.header;
+  if (!header?.kid) {
+    throw oidcError("Invalid ID token", 401);
+  }
+
+  let claims;
+  try {
+    claims = jwt.verify(tokens.id_token, await getSigningKey(discovery.jwks_uri, header.kid), {
+      algorithms: ["RS256", "ES256"],
+      issuer: discovery.issuer,
+      audience: provider.clientId,
+    });
+  } catch (error) {
+    if (error.status) throw error;
+    throw oidcError("Invalid ID token", 401);
+  }
+
+  if (claims.nonce !== stored.nonce) {
+    throw oidcError("Invalid ID token", 401);
+  }
+  return claims;
+};
+
+// Find the user for an identity: by the identity itself, then by verified email
+const findOrCreateUser = async (name, claims, { name: fallbackName } = {}) => {
+  const identity = { provider: name, subject: String(claims.sub) };
+
+  const linked = await User.findOne({ identities: { $elemMatch: identity } });
+  if (linked) {
+    return { user: linked, created: false };
+  }
+
+  const email = claims.email?.toLowerCase();
+  // Apple sends the flag as a string
+  const emailVerified = claims.email_verified === true || claims.email_verified === "true";
+  if (!email) {
+    throw oidcError("The identity provider did not share an email address");
+  }
+
+  const existing = await User.findOne({ email });
+  if (existing) {
+    if (!emailVerified) {
+      throw oidcError("An account with this email already exists. Log in with your password instead.", 409);
+    }
+
+    // Nobody proved they own the email of an unverified account, so whoever
+    // registered it may not be the provider's user: everything they set up
+    // (password, mobile number, 2FA, sessions, API keys) is dropped
+    const takeover = !existing.emailVerified;
+    const update = {
+      $push: { identities: { ...identity, email } },
+      $set: { emailVerified: true, emailVerifiedAt: existing.emailVerifiedAt || new Date() },
+    };
+    if (takeover) {
+      update.$set.mobileVerified = false;
+      update.$unset = { password: "", mobileNumber: "", mobileVerifiedAt: "" };
+    }
+
+    let user = await User.findOneAndUpdate(
+      { _id: existing._id, emailVerified: existing.emailVerified, "identities.provider": { $ne: name } },
+      update,
+      { new: true }
+    );
+    if (!user) {
+      throw oidcError("This account is already linked to another identity from this provider", 409);
+    }
+    if (takeover) {
+      await twoFactorService.reset(user._id, "unverified_account_linked");
+      await apiKeyService.revokeUserKeys(user._id);
+      // With the new token version
+      user = await User.findById(user._id);
+    }
+    logger.info("External identity linked", { userId: user._id, provider: name, takeover });
+    return { user, created: false };
+  }
+
+  try {
+    const user = await User.create({
+      name: claims.name || [claims.given_name, claims.family_name].filter(Boolean).join(" ") || fallbackName || email.split("@")[0],
+      email,
+      emailVerified,
+      emailVerifiedAt: emailVerified ? new Date() : undefined,
+      identities: [{ ...identity, email }],
+    });
+    logger.info("User created from external identity", { userId: user._id, provider: name });
+    return { user, created: true };
+  } catch (error) {
+    // A parallel callback for the same identity created it first
+    if (error.code === 11000) {
+      throw oidcError("Sign-in already in progress, please try again", 409);
+    }
+    throw error;
+  }
+};
+
+/**
+ * Finish a sign-in with the state and code from the provider's redirect.
+ * Returns the user, and whether they were just created.
+ *
+ * @param {{ state: string, code: string, name?: string }} params name is the
+ *   name Apple only posts on the first sign-in
+ */
+const completeLogin = async (name, { state, code, name: fallbackName }) => {
+  const provider = getProvider(name);
+
+  // A state can only be used once
+  const stored = await OAuthState.findOneAndDelete({
+    state,
+    provider: name,
+    expiresAt: { $gt: new Date() },
+  });
+  if (!stored) {
+    throw oidcError("Sign-in expired or was already completed, please start again");
+  }
+
+  const claims = await exchangeCode(provider, stored, code);
+  return findOrCreateUser(name, claims, { name: fallbackName });
+};
+
+// Profile fields a user still has to fill in
+const getMissingFields = (user) => (user.mobileNumber ? [] : ["mobileNumber"]);
+
+module.exports = {
+  getEnabledProviders,
+  startLogin,
+  completeLogin,
+  getMissingFields,
+};
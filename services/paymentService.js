@@ -1,29 +1,21 @@
 /**
  * Payment Service
- * 
- * Supports multiple currencies and payment gateways:
- * 
- * Wave Payment Gateway:
- * - Supports: GMD (Gambian Dalasi) only
- * - Other currencies are automatically converted to GMD
- * 
- * Stripe Payment Gateway:
- * - Supports: USD, EUR, GBP directly
- * - GMD and XOF are converted to USD for processing
- * - Real-time exchange rates from exchangerate-api.com
- * 
- * Currency Conversion:
- * - All conversions go through USD as base currency
- * - Exchange rates are cached and updated regularly
- * - Fallback rates provided if API is unavailable
+ *
+ * Gateway-independent payment lifecycle. Gateway specifics (checkout, status
+ * checks, refunds, webhooks) live in the adapters under ./gateways, see
+ * ./gateways/index.js for the adapter interface.
  */
 
 const Ticket = require("../Models/Ticket");
 const Payment = require("../Models/Payments");
-const axios = require("axios");
+const Event = require("../Models/EventModel");
+const ticketService = require("./ticketService");
+const reservationService = require("./reservationService");
+const notificationService = require("./notificationService");
+const guestCheckoutService = require("./guestCheckoutService");
+const paymentGateways = require("./gateways");
 const { createLogger, format, transports } = require("winston");
 const dotenv = require("dotenv");
-const events = require("node:events");
 
 // Configure logger
 const logger = createLogger({
@@ -49,429 +41,576 @@ const PAYMENT_STATUS = {
   PENDING: "pending",
   SUCCESS: "success",
   FAILED: "failed",
+  PARTIALLY_REFUNDED: "partially_refunded",
   REFUNDED: "refunded"
 };
 dotenv.config();
 
 
-// Initialize Stripe client
-const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+// Load a payment with the relations returned to clients
+const findPopulatedPayment = (query) =>
+  Payment.findOne(query)
+    .populate("tickets")
+    .populate("event")
+    .populate("user", "name email");
 
-// Wave configuration
-const waveConfig = {
-  apiKey: process.env.WAVE_API_KEY,
-  apiUrl: "https://api.wave.com/v1",
-  timeout: 10000,
+/**
+ * Find the payment a client asks to verify. Clients may send our reference or
+ * the id of the gateway's checkout session (e.g. Stripe's session_id).
+ */
+const findPaymentForVerification = async (reference, gateway) => {
+  const payment = await Payment.findOne({
+    paymentGateway: gateway.name,
+    $or: [{ reference }, { gatewaySessionId: reference }],
+  });
+  if (payment || !gateway.lookupReference) {
+    return payment;
+  }
+
+  // Sessions created before gatewaySessionId was stored
+  const paymentReference = await gateway.lookupReference(reference);
+  return paymentReference ? Payment.findOne({ reference: paymentReference }) : null;
 };
 
-// Validate payment amount
-const validatePaymentAmount = (amount, currency) => {
-  if (amount <= 0) {
-    throw new Error("Invalid payment amount");
-  }
-  if (!["XOF", "GMD", "USD", "EUR", "GBP"].includes(currency.toUpperCase())) {
-    throw new Error("Unsupported currency");
-  }
+// Failure reason of payments that were paid after their tickets sold out
+const SOLD_OUT_AFTER_HOLD_EXPIRED = "sold_out_after_hold_expired";
+
+/**
+ * Fail a paid payment whose tickets sold out after its hold expired, and give
+ * the buyer their money back. If the gateway refund can't be sent, the payment
+ * keeps refundDue and checkPendingRefunds tries again.
+ */
+const failSoldOutPayment = async (payment) => {
+  logger.error("Tickets sold out before the payment arrived", { reference: payment.reference });
+
+  await Payment.updateOne(
+    { _id: payment._id },
+    {
+      $set: {
+        status: PAYMENT_STATUS.FAILED,
+        failureReason: SOLD_OUT_AFTER_HOLD_EXPIRED,
+        refundDue: true,
+        updatedAt: new Date(),
+      },
+    }
+  );
+  await Ticket.updateMany(
+    { paymentReference: payment.reference, status: { $in: ["pending", "failed"] } },
+    { $set: { status: "failed" } }
+  );
+
+  await refundSoldOutPayment(payment._id);
+  return findPopulatedPayment({ _id: payment._id });
 };
 
-// Get exchange rates for currency conversion
-const getExchangeRates = async () => {
+// Send the refund of a payment failed by failSoldOutPayment
+const refundSoldOutPayment = async (paymentId) => {
+  const payment = await Payment.findOne({ _id: paymentId, refundDue: true });
+  if (!payment) {
+    return null;
+  }
+
+  let gatewayRefund;
   try {
-    const response = await axios.get('https://v6.exchangerate-api.com/v6/0c3c3f2278d7441022708f1d/latest/USD');
-    const rates = response.data.conversion_rates;
-    
-    return {
-      USD: 1,
-      EUR: rates.EUR || 0.85,
-      GBP: rates.GBP || 0.73,
-      GMD: rates.GMD || 58.5,
-      XOF: rates.XOF || 550
-    };
+    const gateway = paymentGateways.getGatewayForPayment(payment);
+    gatewayRefund = await gateway.refund(payment, payment.amount, {
+      idempotencyKey: `${payment.reference}-refund-sold-out`,
+    });
   } catch (error) {
-    logger.error("Failed to fetch exchange rates", { error: error.message });
-    // Fallback rates if API fails
-    return {
-      USD: 1,
-      EUR: 0.85,
-      GBP: 0.73,
-      GMD: 58.5,
-      XOF: 550
-    };
+    logger.error("Refund of a sold out payment failed", {
+      error: error.message,
+      reference: payment.reference,
+      response: error.response?.data,
+    });
+    return null;
   }
-};
 
-// Convert amount from one currency to another
-const convertCurrency = async (amount, fromCurrency, toCurrency) => {
-  if (fromCurrency === toCurrency) {
-    return { amount, rate: 1 };
+  const refundedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id, refundDue: true },
+    {
+      $set: { refundDue: false, updatedAt: new Date() },
+      $push: {
+        refunds: {
+          amount: payment.amount,
+          currency: payment.currency,
+          originalAmount: payment.originalAmount,
+          originalCurrency: payment.originalCurrency,
+          tickets: [],
+          reason: "The tickets sold out before the payment arrived",
+          gatewayRefundId: gatewayRefund.id,
+          status: REFUND_STATUS.PENDING,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!refundedPayment || gatewayRefund.status !== REFUND_STATUS.SUCCEEDED) {
+    return refundedPayment;
   }
 
-  const rates = await getExchangeRates();
-  
-  // Validate currencies exist in rates
-  if (!rates[fromCurrency] || !rates[toCurrency]) {
-    throw new Error(`Unsupported currency conversion: ${fromCurrency} to ${toCurrency}`);
-  }
-  
-  // Convert to USD first, then to target currency
-  const usdAmount = amount / rates[fromCurrency];
-  const convertedAmount = usdAmount * rates[toCurrency];
-  
-  return {
-    amount: Math.round(convertedAmount * 100) / 100, // Round to 2 decimal places
-    rate: rates[toCurrency] / rates[fromCurrency]
-  };
+  const refund = refundedPayment.refunds[refundedPayment.refunds.length - 1];
+  return (await completeRefund(payment._id, refund._id))?.payment;
 };
 
-// Create Wave payout
-const createWaveCheckout = async (amount, currency, reference, callbackUrl) => {
-  try {
-    logger.info("Creating Wave checkout session", { amount, currency, reference });
-    
-    validatePaymentAmount(amount, currency);
-
-    // Wave only supports GMD, so convert if needed
-    let waveAmount = amount;
-    let exchangeRate = 1;
-    
-    if (currency !== "GMD") {
-      const conversion = await convertCurrency(amount, currency, "GMD");
-      waveAmount = conversion.amount;
-      exchangeRate = conversion.rate;
-    }
+/**
+ * Fulfil a paid payment exactly once: move it from pending to success, mark its
+ * tickets as paid, generate QR codes, update the sold count of the ticket type
+ * and notify the buyer.
+ *
+ * Every verification path (verify route, webhooks, reconciliation) goes through
+ * here. Only the call that wins the pending -> success transition runs the side
+ * effects; repeat calls return the already fulfilled payment.
+ *
+ * Payments that arrive after their hold was released, when the tickets have
+ * sold out in the meantime, get no tickets: they are failed and refunded
+ * (soldOut is true).
+ *
+ * @returns {Promise<{ payment: Object, alreadyFulfilled: boolean, soldOut?: boolean }>}
+ */
+const fulfillPayment = async (reference, gatewayFields = {}) => {
+  logger.info("Fulfilling payment", { reference });
 
-    const response = await axios.post(
-      `${waveConfig.apiUrl}/checkout/sessions`,
-      {
-        amount: waveAmount.toString(),
-        currency: "GMD",
-        client_reference: reference,
-        success_url: callbackUrl,
-        error_url: `${process.env.FRONTEND_URL}/payment-error?reference=${reference}`,
+  const now = new Date();
+  const payment = await Payment.findOneAndUpdate(
+    {
+      reference,
+      $or: [
+        { status: PAYMENT_STATUS.PENDING },
+        // Buyers who paid just after their hold expired still get their tickets
+        { status: PAYMENT_STATUS.FAILED, failureReason: reservationService.RESERVATION_EXPIRED },
+      ],
+    },
+    {
+      $set: {
+        ...gatewayFields,
+        status: PAYMENT_STATUS.SUCCESS,
+        fulfilledAt: now,
+        updatedAt: now,
+        lastStatusCheck: now,
       },
-      {
-        headers: {
-          Authorization: `Bearer ${waveConfig.apiKey}`,
-          "Content-Type": "application/json",
-          "Idempotency-Key": reference,
-        },
-        timeout: waveConfig.timeout,
-      }
-    );
+    },
+    { new: true }
+  );
 
-    // Store the session ID and conversion info in the payment record
-    await Payment.findOneAndUpdate(
-      { reference },
-      { 
-        waveSessionId: response.data.id,
-        status: PAYMENT_STATUS.PENDING,
-        wavePaymentId: response.data.id,
-        amount: waveAmount,
-        currency: "GMD",
-        exchangeRate: exchangeRate
-      }
+  if (!payment) {
+    const existing = await findPopulatedPayment({ reference });
+    if (!existing) {
+      throw new Error("Payment not found");
+    }
+    if (existing.status === PAYMENT_STATUS.SUCCESS) {
+      logger.info("Payment already fulfilled", { reference });
+      return { payment: existing, alreadyFulfilled: true };
+    }
+    throw new Error(`Payment cannot be fulfilled from status "${existing.status}"`);
+  }
+
+  // Turn the checkout hold into sold tickets for the specific ticket type
+  const pendingTickets = await Ticket.find({ paymentReference: reference }).select("ticketType");
+  const ticketTypeName = pendingTickets[0]?.ticketType;
+  if (ticketTypeName) {
+    const converted = await reservationService.convertReservation(
+      reference,
+      payment.event,
+      ticketTypeName,
+      pendingTickets.length
     );
+    if (!converted) {
+      return {
+        payment: await failSoldOutPayment(payment),
+        alreadyFulfilled: false,
+        soldOut: true,
+      };
+    }
+  }
+
+  // Update tickets and generate QR codes
+  await Ticket.updateMany(
+    { paymentReference: reference, status: { $in: ["pending", "failed"] } },
+    { $set: { status: "success" } }
+  );
+  const tickets = await Ticket.find({ paymentReference: reference });
+  for (const ticket of tickets) {
+    if (!ticket.qrCode?.data) {
+      await ticketService.generateTicketQR(ticket._id);
+    }
+  }
+
+  const event = await Event.findById(payment.event);
+  const soldOut = event.ticketTypes.every(tt => tt.sold >= tt.quantity);
+  if (soldOut !== event.soldOut) {
+    await Event.updateOne({ _id: event._id }, { $set: { soldOut } });
+  }
 
-    logger.info("Wave checkout session created successfully", { reference });
-    logger.info("Wave response data", response.data);
-
-    return {
-      id: response.data.id,
-      payment_url: response.data.wave_launch_url,
-      url: response.data.wave_launch_url,
-      convertedAmount: waveAmount,
-      originalAmount: amount,
-      originalCurrency: currency,
-      exchangeRate: exchangeRate
+  // Notify the buyer of the successful ticket purchase
+  try {
+    const ticketData = {
+      eventTitle: event.title,
+      eventDate: event.date,
+      ticketType: ticketTypeName,
+      quantity: tickets.length,
+      amount: payment.amount,
+      currency: payment.currency
     };
-  } catch (error) {
-    logger.error("Wave checkout session creation failed", {
-      error: error.message,
+    if (payment.user) {
+      await notificationService.sendTicketPurchaseSMS(payment.user, ticketData);
+    } else if (payment.guestContact?.value) {
+      // Guests also get the link to claim the tickets into an account
+      await guestCheckoutService.sendPurchaseConfirmation(payment, ticketData);
+    }
+  } catch (smsError) {
+    // Don't fail the fulfilment if SMS fails
+    logger.error("Failed to send purchase SMS notification", {
+      error: smsError.message,
       reference,
-      response: error.response?.data,
     });
-    throw new Error("Failed to create Wave checkout session");
   }
+
+  logger.info("Payment fulfilled", { reference, tickets: tickets.length });
+
+  return {
+    payment: await findPopulatedPayment({ _id: payment._id }),
+    alreadyFulfilled: false,
+  };
 };
 
-// Create Stripe session
-const createStripeSession = async (event, ticketTypeName, quantity, mainReference, ticketReferences, metadata, currency = "USD") => {
-  try {
-    logger.info("Creating Stripe checkout session", {
-      eventId: event._id,
-      ticketTypeName,
-      quantity,
-      reference: mainReference,
-      currency,
-    });
+// Refund errors the caller can fix; status is the HTTP status to answer with
+const refundError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
 
-    // Find the ticket type from the event
-    const ticketType = event.getTicketTypeByName(ticketTypeName);
-    if (!ticketType) {
-      throw new Error(`Ticket type "${ticketTypeName}" not found`);
-    }
+const REFUND_STATUS = {
+  PENDING: "pending",
+  SUCCEEDED: "succeeded",
+  FAILED: "failed",
+};
 
-    let originalAmount = ticketType.price * quantity;
-    let stripeAmount = originalAmount;
-    let exchangeRate = 1;
-
-    // Convert to Stripe-supported currency if needed
-    if (currency === "GMD") {
-      // Convert GMD to USD for Stripe
-      const conversion = await convertCurrency(originalAmount, "GMD", "USD");
-      stripeAmount = conversion.amount;
-      exchangeRate = conversion.rate;
-    } else if (currency === "EUR") {
-      // Stripe supports EUR directly
-      stripeAmount = originalAmount;
-    } else if (currency === "GBP") {
-      // Stripe supports GBP directly
-      stripeAmount = originalAmount;
-    } else {
-      // Default to USD
-      if (currency !== "USD") {
-        const conversion = await convertCurrency(originalAmount, currency, "USD");
-        stripeAmount = conversion.amount;
-        exchangeRate = conversion.rate;
-      }
-    }
+/**
+ * Refund a paid payment, either fully or for some of its tickets.
+ *
+ * The tickets are claimed (moved to refund_pending) before the gateway is
+ * called so two concurrent refunds can't pay out the same ticket twice; they
+ * are put back if the gateway refund fails. Gateways that refund
+ * asynchronously (mobile money) leave the refund pending until
+ * checkPendingRefunds hears back from them. Once the refund went through, the
+ * tickets are refunded, lose their QR code and are removed from the sold count
+ * of their ticket type.
+ *
+ * @param {string} reference - Payment reference
+ * @param {Object} options
+ * @param {string[]} [options.ticketIds] - Tickets to refund, all remaining tickets when omitted
+ * @param {string} [options.reason] - Reason shown to the buyer and kept on the payment
+ * @param {string} options.refundedBy - Id of the admin issuing the refund
+ * @returns the payment, and the refund record (status pending or succeeded)
+ */
+const refundPayment = async (reference, { ticketIds, reason, refundedBy }) => {
+  logger.info("Refunding payment", { reference, ticketIds, refundedBy });
 
-    // Enhanced metadata with additional information
-    const stripeMetadata = {
-      eventId: event._id.toString(),
-      eventTitle: event.title,
-      ticketType: ticketTypeName,
-      quantity: quantity.toString(),
-      ticketReferences: JSON.stringify(ticketReferences),
-      originalAmount: originalAmount.toString(),
-      originalCurrency: currency,
-      exchangeRate: exchangeRate.toString(),
-      timestamp: new Date().toISOString(),
-      ...Object.fromEntries(
-        Object.entries(metadata || {}).map(([key, value]) => [key, String(value)])
-      ),
-    };
+  const payment = await Payment.findOne({ reference });
+  if (!payment) {
+    throw refundError("Payment not found", 404);
+  }
 
-    const session = await stripe.checkout.sessions.create({
-      payment_method_types: ["card"],
-      line_items: [
-        {
-          price_data: {
-            currency: currency === "GMD" ? "usd" : currency.toLowerCase(),
-            product_data: {
-              name: `${event.title} - ${ticketTypeName} Ticket`,
-              description: `Purchase of ${quantity} ${ticketTypeName} ticket(s) for ${event.title}`,
-              metadata: {
-                eventId: event._id.toString(),
-                ticketType: ticketTypeName,
-              },
-            },
-            unit_amount: Math.round(stripeAmount * 100),
-          },
-          quantity: 1,
-        },
-      ],
-      mode: "payment",
-      success_url: `${process.env.FRONTEND_URL}/payment-success?session_id={CHECKOUT_SESSION_ID}`,
-      cancel_url: `${process.env.FRONTEND_URL}/events/${event._id}`,
-      client_reference_id: mainReference,
-      metadata: stripeMetadata,
-      payment_intent_data: {
-        metadata: stripeMetadata,
-      },
-    });
+  if (![PAYMENT_STATUS.SUCCESS, PAYMENT_STATUS.PARTIALLY_REFUNDED].includes(payment.status)) {
+    throw refundError(`Payment with status "${payment.status}" cannot be refunded`, 409);
+  }
 
-    // Update payment record with conversion info
-    await Payment.findOneAndUpdate(
-      { reference: mainReference },
-      {
-        amount: stripeAmount,
-        currency: currency === "GMD" || currency === "XOF" ? "USD" : currency,
-        originalAmount: originalAmount,
-        originalCurrency: currency,
-        exchangeRate: exchangeRate
-      }
+  const paidTickets = await Ticket.find({ paymentReference: reference, status: "success" });
+  const ticketsToRefund = ticketIds?.length
+    ? paidTickets.filter(ticket => ticketIds.includes(ticket._id.toString()))
+    : paidTickets;
+
+  if (ticketsToRefund.length === 0) {
+    throw refundError("No refundable tickets found for this payment", 409);
+  }
+  if (ticketIds?.length && ticketsToRefund.length !== ticketIds.length) {
+    throw refundError("Some tickets don't belong to this payment or were already refunded");
+  }
+  if (ticketsToRefund.some(ticket => ticket.scanned)) {
+    throw refundError("Scanned tickets cannot be refunded", 409);
+  }
+
+  const gateway = paymentGateways.getGatewayForPayment(payment);
+  const pendingRefunds = payment.refunds.filter(refund => refund.status === REFUND_STATUS.PENDING);
+  const earlierRefunds = payment.refunds.filter(refund => refund.status !== REFUND_STATUS.FAILED);
+  const isFullRefund = ticketsToRefund.length === paidTickets.length && pendingRefunds.length === 0;
+  if (!gateway.supportsPartialRefunds && (!isFullRefund || earlierRefunds.length > 0)) {
+    throw refundError(`${gateway.displayName} payments can only be refunded in full`);
+  }
+
+  // Minor-unit amounts in the original ticket currency and in the currency charged by the gateway
+  const originalAmount = ticketsToRefund.reduce((total, ticket) => total + ticket.price, 0);
+  const pendingAmount = pendingRefunds.reduce((total, refund) => total + refund.amount, 0);
+  const refundable = payment.amount - payment.refundedAmount - pendingAmount;
+  const amount = ticketsToRefund.length === paidTickets.length
+    ? refundable
+    : Math.round((originalAmount / payment.originalAmount) * payment.amount);
+  if (amount <= 0 || amount > refundable) {
+    throw refundError("Refund amount is more than what is left to refund on this payment", 409);
+  }
+
+  // Claim the tickets so a concurrent refund can't include them
+  const claimedIds = [];
+  for (const ticket of ticketsToRefund) {
+    const claimed = await Ticket.findOneAndUpdate(
+      { _id: ticket._id, status: "success" },
+      { $set: { status: "refund_pending" } }
     );
+    if (!claimed) break;
+    claimedIds.push(ticket._id);
+  }
 
-    logger.info("Stripe checkout session created successfully", {
-      sessionId: session.id,
-      reference: mainReference,
-      originalAmount,
-      stripeAmount,
-      currency,
-    });
+  const releaseClaim = () => Ticket.updateMany(
+    { _id: { $in: claimedIds }, status: "refund_pending" },
+    { $set: { status: "success" } }
+  );
 
-    return {
-      ...session,
-      originalAmount,
-      convertedAmount: stripeAmount,
-      exchangeRate
-    };
+  if (claimedIds.length !== ticketsToRefund.length) {
+    await releaseClaim();
+    throw refundError("Tickets are already being refunded", 409);
+  }
+
+  let gatewayRefund;
+  try {
+    const idempotencyKey = `${reference}-refund-${claimedIds.map(String).sort().join("-")}`;
+    gatewayRefund = await gateway.refund(payment, amount, { idempotencyKey });
   } catch (error) {
-    logger.error("Stripe session creation failed", {
+    await releaseClaim();
+    logger.error("Gateway refund failed", {
       error: error.message,
-      reference: mainReference,
+      reference,
+      response: error.response?.data,
     });
-    throw new Error("Failed to create Stripe checkout session");
+    throw refundError(`Refund failed: ${error.message}`, 502);
   }
-};
 
-// Verify Stripe payment
-const verifyStripePayment = async (session) => {
-  try {
-    logger.info("Verifying Stripe payment", { sessionId: session.id });
+  // Anything but an immediate success waits for checkPendingRefunds
+  const pending = gatewayRefund.status !== REFUND_STATUS.SUCCEEDED;
+  const refundedPayment = await Payment.findOneAndUpdate(
+    { _id: payment._id },
+    {
+      $push: {
+        refunds: {
+          amount,
+          currency: payment.currency,
+          originalAmount,
+          originalCurrency: payment.originalCurrency,
+          tickets: claimedIds,
+          reason,
+          gatewayRefundId: gatewayRefund.id,
+          status: REFUND_STATUS.PENDING,
+          refundedBy,
+        },
+      },
+      $set: { updatedAt: new Date() },
+    },
+    { new: true }
+  );
+  const refund = refundedPayment.refunds[refundedPayment.refunds.length - 1];
+
+  if (pending) {
+    logger.info("Refund pending with the gateway", { reference, amount, refundId: refund._id });
+    return { payment: refundedPayment, refund };
+  }
 
-    const paymentReference = session.client_reference_id;
-    const payment = await Payment.findOne({ reference: paymentReference })
-      .populate("tickets")
-      .populate("event")
-      .populate("user", "name email");
+  return completeRefund(payment._id, refund._id);
+};
 
-    if (!payment) {
-      throw new Error("Payment not found");
+/**
+ * Finish a refund the gateway confirmed: the tickets are refunded and given
+ * back to the inventory, and the buyer is told. Returns the payment and the
+ * refund, or null if the refund wasn't pending anymore.
+ */
+const completeRefund = async (paymentId, refundId) => {
+  const current = await Payment.findById(paymentId);
+  const pendingRefund = current?.refunds.id(refundId);
+  if (!pendingRefund || pendingRefund.status !== REFUND_STATUS.PENDING) {
+    return null;
+  }
+
+  // Only one caller can complete it
+  const claimed = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: REFUND_STATUS.PENDING } } },
+    {
+      $set: { "refunds.$.status": REFUND_STATUS.SUCCEEDED, "refunds.$.completedAt": new Date() },
+      $inc: { refundedAmount: pendingRefund.amount },
     }
+  );
+  if (!claimed) {
+    return null;
+  }
 
-    // Verify session status
-    const sessionStatus = await stripe.checkout.sessions.retrieve(session.id);
+  const ticketIds = pendingRefund.tickets;
+  let payment;
+  let event;
+  if (ticketIds.length === 0) {
+    // Payments that never got their tickets (see failSoldOutPayment)
+    payment = await Payment.findOneAndUpdate(
+      { _id: paymentId },
+      { $set: { status: PAYMENT_STATUS.REFUNDED, updatedAt: new Date() } },
+      { new: true }
+    );
+    event = await Event.findById(payment.event);
+  } else {
+    // Refunded tickets lose their QR codes
+    await Ticket.updateMany(
+      { _id: { $in: ticketIds }, status: "refund_pending" },
+      { $set: { status: "refunded", refundedAt: new Date() }, $unset: { qrCode: "" }, $inc: { qrVersion: 1 } }
+    );
+
+    const remainingTickets = await Ticket.countDocuments({
+      paymentReference: current.reference,
+      status: { $in: ["success", "refund_pending"] },
+    });
+    payment = await Payment.findOneAndUpdate(
+      { _id: paymentId },
+      {
+        $set: {
+          status: remainingTickets === 0 ? PAYMENT_STATUS.REFUNDED : PAYMENT_STATUS.PARTIALLY_REFUNDED,
+          updatedAt: new Date(),
+        },
+      },
+      { new: true }
+    );
 
-    if (sessionStatus.payment_status !== "paid") {
-      await updatePaymentStatus(paymentReference, PAYMENT_STATUS.FAILED);
-      throw new Error("Payment failed");
+    // Give the refunded tickets back to the inventory
+    const tickets = await Ticket.find({ _id: { $in: ticketIds } }).select("ticketType");
+    const ticketTypeName = tickets[0]?.ticketType;
+    await Event.updateOne(
+      { _id: payment.event },
+      { $inc: { "ticketTypes.$[type].sold": -ticketIds.length } },
+      { arrayFilters: [{ "type.name": ticketTypeName }] }
+    );
+    event = await Event.findById(payment.event);
+    const soldOut = event.ticketTypes.every(tt => tt.sold >= tt.quantity);
+    if (soldOut !== event.soldOut) {
+      await Event.updateOne({ _id: event._id }, { $set: { soldOut } });
     }
+  }
 
-    // Update payment status
-    await updatePaymentStatus(paymentReference, PAYMENT_STATUS.SUCCESS);
+  try {
+    await notificationService.sendRefundNotification(payment, {
+      eventTitle: event.title,
+      quantity: ticketIds.length || payment.tickets.length,
+      amount: pendingRefund.amount,
+      currency: payment.currency,
+      reason: pendingRefund.reason,
+    });
+  } catch (smsError) {
+    // Don't fail the refund if the notification fails
+    logger.error("Failed to send refund notification", {
+      error: smsError.message,
+      reference: payment.reference,
+    });
+  }
 
+  logger.info("Payment refunded", {
+    reference: payment.reference,
+    amount: pendingRefund.amount,
+    tickets: ticketIds.length,
+    status: payment.status,
+  });
 
-    logger.info("Stripe payment verified successfully", {
-      sessionId: session.id,
-      reference: paymentReference,
-    });
+  return { payment, refund: payment.refunds.id(refundId) };
+};
 
-    return { payment, session: sessionStatus };
-  } catch (error) {
-    logger.error("Stripe payment verification failed", {
-      error: error.message,
-      sessionId: session.id,
-    });
-    throw new Error("Payment verification failed");
+// The gateway turned a pending refund down: the tickets are paid again
+const failRefund = async (paymentId, refundId, failureReason) => {
+  const payment = await Payment.findOneAndUpdate(
+    { _id: paymentId, refunds: { $elemMatch: { _id: refundId, status: REFUND_STATUS.PENDING } } },
+    {
+      $set: {
+        "refunds.$.status": REFUND_STATUS.FAILED,
+        "refunds.$.completedAt": new Date(),
+        "refunds.$.failureReason": failureReason,
+      },
+    },
+    { new: true }
+  );
+  if (!payment) {
+    return null;
   }
+
+  const refund = payment.refunds.id(refundId);
+  await Ticket.updateMany(
+    { _id: { $in: refund.tickets }, status: "refund_pending" },
+    { $set: { status: "success" } }
+  );
+  logger.error("Refund failed at the gateway", { reference: payment.reference, refundId, failureReason });
+  return { payment, refund };
 };
 
-// Verify Wave payment
-const verifyWavePayment = async (reference) => {
-  try {
-    logger.info("Verifying Wave payment", { reference });
+/**
+ * Send the refunds of sold out payments that failed before, then ask the
+ * gateways about refunds still pending and settle the ones they answered
+ * for. Returns { succeeded, failed, pending }.
+ */
+const checkPendingRefunds = async () => {
+  const counts = { succeeded: 0, failed: 0, pending: 0 };
 
-    const payment = await Payment.findOne({ reference })
-      .populate("tickets")
-      .populate("event")
-      .populate("user", "name email");
+  // Sold out payments whose refund couldn't be sent yet
+  const dueRefunds = await Payment.find({ refundDue: true }).select("_id");
+  for (const payment of dueRefunds) {
+    await refundSoldOutPayment(payment._id);
+  }
 
-    if (!payment) {
-      throw new Error("Payment not found");
-    }
+  const payments = await Payment.find({ "refunds.status": REFUND_STATUS.PENDING });
 
-    // If payment is already SUCCESS, return it
-    if (payment.status === PAYMENT_STATUS.SUCCESS) {
-      return { payment, waveData: { status: "succeeded" } };
+  for (const payment of payments) {
+    const gateway = paymentGateways.getGatewayForPayment(payment);
+    if (!gateway.getRefundStatus) {
+      continue;
     }
+    const pendingRefunds = payment.refunds.filter(refund => refund.status === REFUND_STATUS.PENDING);
 
-    // If payment is pending, check with Wave
-    if (payment.status === PAYMENT_STATUS.PENDING) {
+    for (const refund of pendingRefunds) {
       try {
-        const waveResponse = await axios.get(
-          `${waveConfig.apiUrl}/checkout/sessions/${payment.waveSessionId}`,
-          {
-            headers: {
-              Authorization: `Bearer ${waveConfig.apiKey}`,
-              "Content-Type": "application/json",
-            },
-            timeout: waveConfig.timeout,
-          }
-        );
-
-        const waveData = waveResponse.data;
-        logger.info("Wave payment status check", { waveData });
-
-        // Handle different payment statuses
-        if (waveData.payment_status === "succeeded" || waveData.checkout_status === "completed") {
-          await updatePaymentStatus(reference, PAYMENT_STATUS.SUCCESS);
-          // Fetch updated payment
-          const updatedPayment = await Payment.findOne({ reference })
-            .populate("tickets")
-            .populate("event")
-            .populate("user", "name email");
-          return {
-            payment: updatedPayment,
-            waveData: {
-              id: waveData.id,
-              status: "succeeded",
-              payment_status: waveData.payment_status,
-              checkout_status: waveData.checkout_status
-            }
-          };
-        } else if (["failed", "cancelled", "expired"].includes(waveData.payment_status)) {
-          await updatePaymentStatus(reference, PAYMENT_STATUS.FAILED);
-          throw new Error("Payment failed or was cancelled");
-        } else {
-          // Payment is still pending
-          return { 
-            payment, 
-            waveData: {
-              id: waveData.id,
-              status: "pending",
-              payment_status: waveData.payment_status,
-              checkout_status: waveData.checkout_status,
-              wave_launch_url: waveData.wave_launch_url
-            },
-            message: "Payment is still pending. Please complete the payment on Wave's platform."
-          };
+        const result = await gateway.getRefundStatus(refund.gatewayRefundId);
+        if (result.status === "succeeded") {
+          await completeRefund(payment._id, refund._id);
+        } else if (result.status === "failed") {
+          await failRefund(payment._id, refund._id, result.reason);
         }
+        counts[result.status]++;
       } catch (error) {
-        if (error.response?.status === 404) {
-          // Session not found or not yet created on Wave's side
-          return {
-            payment,
-            message: "Payment session not found. Please initiate the payment first."
-          };
-        }
-        throw error;
+        counts.pending++;
+        logger.error("Refund status check failed", {
+          error: error.message,
+          reference: payment.reference,
+          refundId: refund._id,
+        });
       }
     }
-
-    // If payment is failed
-    if (payment.status === PAYMENT_STATUS.FAILED) {
-      throw new Error("Payment has failed");
-    }
-
-    return { payment };
-  } catch (error) {
-    logger.error("Wave payment verification failed", {
-      error: error.message,
-      reference,
-    });
-    throw new Error("Payment verification failed");
   }
+
+  return counts;
 };
 
-// Helper function to update payment status
+// Helper function to move a pending payment to a final status.
+// Returns the updated payment, or null if it was no longer pending.
 const updatePaymentStatus = async (reference, status) => {
   try {
-    await Payment.findOneAndUpdate(
-      { reference },
+    const payment = await Payment.findOneAndUpdate(
+      { reference, status: PAYMENT_STATUS.PENDING },
       { 
         $set: { 
           status,
           updatedAt: new Date(),
           lastStatusCheck: new Date()
         }
-      }
+      },
+      { new: true }
     );
 
+    if (!payment) {
+      logger.info("Payment status unchanged, payment is not pending", { reference, status });
+      return null;
+    }
+
     if (status === PAYMENT_STATUS.FAILED) {
       await Ticket.updateMany(
-        { paymentReference: reference },
+        { paymentReference: reference, status: "pending" },
         { 
           $set: { 
             status: "failed",
@@ -479,9 +618,11 @@ const updatePaymentStatus = async (reference, status) => {
           }
         }
       );
+      await reservationService.releaseReservation(reference, "payment_failed");
     }
 
     logger.info("Payment status updated", { reference, status });
+    return payment;
   } catch (error) {
     logger.error("Failed to update payment status", {
       error: error.message,
@@ -495,11 +636,13 @@ const updatePaymentStatus = async (reference, status) => {
 
 
 module.exports = {
-  createWaveCheckout,
-  createStripeSession,
-  verifyStripePayment,
-  verifyWavePayment,
-  convertCurrency,
-  getExchangeRates,
+  findPaymentForVerification,
+  fulfillPayment,
+  refundPayment,
+  completeRefund,
+  checkPendingRefunds,
+  updatePaymentStatus,
   PAYMENT_STATUS,
+  REFUND_STATUS,
+  SOLD_OUT_AFTER_HOLD_EXPIRED,
 };
\ No newline at end of file
@@ -0,0 +1,151 @@
+/**
+ * Permission Service
+ *
+ * What a user may do with an event depends on their roles on it:
+ * - owner: whoever created the event, and owners of its organisation
+ * - the role they have in the event's organisation
+ * - the roles they were given on the event itself (its team)
+ *
+ * Roles map to permissions, so a door volunteer can be a scanner without
+ * seeing payments or being able to edit the event.
+ */
+
+const mongoose = require("mongoose");
+const Event = require("../Models/EventModel");
+const Organization = require("../Models/Organization");
+
+const PERMISSIONS = {
+  EVENTS_VIEW: "events:view",
+  EVENTS_CREATE: "events:create",
+  EVENTS_EDIT: "events:edit",
+  EVENTS_DELETE: "events:delete",
+  // Give and take roles on an event or organisation
+  TEAM_MANAGE: "team:manage",
+  // Only give and take the scanner role
+  SCANNERS_MANAGE: "team:manage_scanners",
+  TICKETS_VIEW: "tickets:view",
+  TICKETS_SCAN: "tickets:scan",
+  // Let tickets in outside the scan window
+  TICKETS_SCAN_OVERRIDE: "tickets:scan_override",
+  PAYMENTS_VIEW: "payments:view",
+  PAYMENTS_REFUND: "payments:refund",
+  ANALYTICS_VIEW: "analytics:view",
+};
+
+const ROLE_PERMISSIONS = {
+  owner: Object.values(PERMISSIONS),
+  manager: [
+    PERMISSIONS.EVENTS_VIEW,
+    PERMISSIONS.EVENTS_CREATE,
+    PERMISSIONS.EVENTS_EDIT,
+    PERMISSIONS.SCANNERS_MANAGE,
+    PERMISSIONS.TICKETS_VIEW,
+    PERMISSIONS.TICKETS_SCAN,
+    PERMISSIONS.TICKETS_SCAN_OVERRIDE,
+  ],
+  finance: [
+    PERMISSIONS.EVENTS_VIEW,
+    PERMISSIONS.TICKETS_VIEW,
+    PERMISSIONS.PAYMENTS_VIEW,
+    PERMISSIONS.PAYMENTS_REFUND,
+    PERMISSIONS.ANALYTICS_VIEW,
+  ],
+  scanner: [PERMISSIONS.TICKETS_SCAN],
+};
+
+const ORGANIZATION_ROLES = Object.keys(ROLE_PERMISSIONS);
+// Ownership of a single event only comes from creating it
+const EVENT_TEAM_ROLES = ["manager", "finance", "scanner"];
+
+const roleHasPermission = (role, permission) =>
+  (ROLE_PERMISSIONS[role] || []).includes(permission);
+
+const rolesWithPermission = (permission) =>
+  ORGANIZATION_ROLES.filter(role => roleHasPermission(role, permission));
+
+// The user's role in an organisation, or null
+const getOrganizationRole = async (userId, organizationId) => {
+  if (!organizationId) return null;
+
+  const organization = await Organization.findOne(
+    { _id: organizationId, "members.user": userId },
+    { "members.$": 1 }
+  );
+  return organization ? organization.members[0].role : null;
+};
+
+// All the user's roles on an event
+const getEventRoles = async (userId, event) => {
+  const roles = [];
+
+  if (String(event.createdBy) === String(userId)) {
+    roles.push("owner");
+  }
+
+  (event.team || [])
+    .filter(member => String(member.user) === String(userId))
+    .forEach(member => roles.push(member.role));
+
+  const organizationRole = await getOrganizationRole(userId, event.organization);
+  if (organizationRole) {
+    roles.push(organizationRole);
+  }
+
+  return [...new Set(roles)];
+};
+
+/**
+ * Whether the user has a permission on an event
+ *
+ * @param {string} userId
+ * @param {Object|string} event the event, or its ID
+ * @param {string} permission one of PERMISSIONS
+ */
+const hasEventPermission = async (userId, event, permission) => {
+  if (!event.createdBy) {
+    if (!mongoose.Types.ObjectId.isValid(event)) return false;
+    event = await Event.findById(event).select("createdBy organization team");
+    if (!event) return false;
+  }
+
+  const roles = await getEventRoles(userId, event);
+  return roles.some(role => roleHasPermission(role, permission));
+};
+
+const hasOrganizationPermission = async (userId, organizationId, permission) => {
+  const role = await getOrganizationRole(userId, organizationId);
+  return roleHasPermission(role, permission);
+};
+
+// IDs of all events the user has a permission on
+const getAccessibleEventIds = async (userId, permission) => {
+  const userObjectId = new mongoose.Types.ObjectId(userId);
+  const roles = rolesWithPermission(permission);
+
+  const organizations = await Organization.find({
+    members: { $elemMatch: { user: userObjectId, role: { $in: roles } } },
+  }).select("_id");
+
+  const conditions = [
+    { organization: { $in: organizations.map(organization => organization._id) } },
+    { team: { $elemMatch: { user: userObjectId, role: { $in: roles } } } },
+  ];
+  if (roles.includes("owner")) {
+    conditions.push({ createdBy: userObjectId });
+  }
+
+  return Event.distinct("_id", { $or: conditions });
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLE_PERMISSIONS,
+  ORGANIZATION_ROLES,
+  EVENT_TEAM_ROLES,
+  roleHasPermission,
+  getOrganizationRole,
+  getEventRoles,
+  hasEventPermission,
+  hasOrganizationPermission,
+  getAccessibleEventIds,
+};
@@ -1,34 +1,105 @@
 const QRCode = require('qrcode');
 const crypto = require('crypto');
+const Event = require('../Models/EventModel');
+const signingKeyService = require('./signingKeyService');
+const eventScheduleService = require('./eventScheduleService');
 
-// Generate QR code data for a ticket
-const generateTicketQRCode = async (ticket) => {
-  try {
-    // Create a unique payload for the QR code
-    const payload = {
-      ticketId: ticket._id.toString(),
-      reference: ticket.reference,
-      eventId: ticket.event.toString(),
-      timestamp: Date.now(),
-      // Add a hash to prevent tampering
-      hash: crypto
-        .createHash('sha256')
-        .update(`${ticket._id}${ticket.reference}${process.env.QR_SECRET_KEY}`)
-        .digest('hex')
-    };
+/**
+ * Ticket QR codes hold a compact signed token:
+ *
+ *   ETQ1.<kid>.<payload>.<signature>
+ *
+ * - ETQ1: token format version
+ * - kid: ID of the Ed25519 key that signed it (see signingKeyService)
+ * - payload: base64url JSON { t: ticketId, e: eventId, r: reference,
+ *   v: ticket QR version, iat: issued at, nbf/exp: validity (seconds),
+ *   rot: 1 for rotating codes }
+ * - signature: base64url Ed25519 signature of "ETQ1.<kid>.<payload>"
+ *
+ * Scanners can verify tokens offline with the published public keys. The QR
+ * version is bumped whenever a ticket's code is replaced (transfer, refund),
+ * so older codes for the same ticket are refused at the door.
+ *
+ * Codes are valid from QR_VALID_BEFORE_HOURS before doors open until
+ * QR_VALID_AFTER_HOURS after the event ends (see eventScheduleService); the
+ * scan window decides when they let anyone in. Rotating codes are only valid for
+ * QR_ROTATION_SECONDS, so a screenshot stops working; the ticket holder's app
+ * fetches a new one before it runs out.
+ */
+const TOKEN_VERSION = 'ETQ1';
+
+const VALID_BEFORE_HOURS = Number(process.env.QR_VALID_BEFORE_HOURS) || 6;
+const VALID_AFTER_HOURS = Number(process.env.QR_VALID_AFTER_HOURS) || 24;
+const ROTATION_SECONDS = Number(process.env.QR_ROTATION_SECONDS) || 30;
+// Allowed difference between the clocks of the server and the scanner
+const CLOCK_SKEW_SECONDS = 60;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const qrError = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * When a ticket's codes can be scanned: { validFrom, validUntil }
+ */
+const getValidityWindow = (event) => {
+  const { doorsOpenAt, endsAt } = eventScheduleService.getSchedule(event);
+  return {
+    validFrom: new Date(doorsOpenAt.getTime() - VALID_BEFORE_HOURS * HOUR_MS),
+    validUntil: new Date(endsAt.getTime() + VALID_AFTER_HOURS * HOUR_MS),
+  };
+};
 
-    // Convert payload to string
-    const qrData = JSON.stringify(payload);
+const getTicketEvent = async (ticket) =>
+  ticket.event.date ? ticket.event : Event.findById(ticket.event).select(eventScheduleService.SCHEDULE_FIELDS);
 
-    // Generate QR code as data URL
-    const qrCodeDataUrl = await QRCode.toDataURL(qrData, {
-      errorCorrectionLevel: 'H',
-      margin: 1,
-      width: 300
-    });
+const toSeconds = (date) => Math.floor(date.getTime() / 1000);
+
+// Signed token for a ticket at its current QR version
+const signTicketToken = async (ticket, { validFrom, validUntil, rotating }) => {
+  const { kid, privateKey } = await signingKeyService.getActiveKey();
+
+  const payload = Buffer.from(JSON.stringify({
+    t: ticket._id.toString(),
+    e: ticket.event._id ? ticket.event._id.toString() : ticket.event.toString(),
+    r: ticket.reference,
+    v: ticket.qrVersion || 1,
+    iat: Math.floor(Date.now() / 1000),
+    nbf: toSeconds(validFrom),
+    exp: toSeconds(validUntil),
+    ...(rotating && { rot: 1 }),
+  })).toString('base64url');
+
+  const signedPart = `${TOKEN_VERSION}.${kid}.${payload}`;
+  const signature = crypto.sign(null, Buffer.from(signedPart), privateKey).toString('base64url');
+
+  return { token: `${signedPart}.${signature}`, kid };
+};
+
+const toDataURL = (token) =>
+  QRCode.toDataURL(token, {
+    errorCorrectionLevel: 'M',
+    margin: 1,
+    width: 300
+  });
+
+// Generate QR code data for a ticket, valid for its event's window
+const generateTicketQRCode = async (ticket) => {
+  try {
+    const event = await getTicketEvent(ticket);
+    const { validFrom, validUntil } = getValidityWindow(event);
+    const { token, kid } = await signTicketToken(ticket, { validFrom, validUntil });
 
     return {
-      data: qrCodeDataUrl,
+      data: await toDataURL(token),
+      token,
+      keyId: kid,
+      version: ticket.qrVersion || 1,
+      validFrom,
+      validUntil,
       generatedAt: new Date()
     };
   } catch (error) {
@@ -37,34 +108,96 @@ const generateTicketQRCode = async (ticket) => {
   }
 };
 
-// Verify QR code data
-const verifyQRCode = (qrData) => {
+/**
+ * A rotating code for a ticket, valid for QR_ROTATION_SECONDS (within the
+ * event's window). Not stored.
+ */
+const generateRotatingQRCode = async (ticket) => {
+  const event = await getTicketEvent(ticket);
+  const window = getValidityWindow(event);
+
+  const now = new Date();
+  if (now > window.validUntil) {
+    throw qrError('QR code expired');
+  }
+
+  const validUntil = new Date(Math.min(now.getTime() + ROTATION_SECONDS * 1000, window.validUntil.getTime()));
+  const { token, kid } = await signTicketToken(ticket, { validFrom: window.validFrom, validUntil, rotating: true });
+
+  return {
+    data: await toDataURL(token),
+    token,
+    keyId: kid,
+    version: ticket.qrVersion || 1,
+    validFrom: window.validFrom,
+    validUntil,
+    rotating: true,
+    refreshAfterSeconds: Math.max(1, ROTATION_SECONDS - 5),
+    generatedAt: now
+  };
+};
+
+/**
+ * Verify a scanned token's signature and validity. Returns { ticketId,
+ * eventId, reference, version, keyId, issuedAt, validFrom, validUntil,
+ * rotating }; whether the version is still the ticket's current one is up to
+ * the caller. Validity is checked at { at } (default now), e.g. the time of an
+ * offline scan.
+ */
+const verifyQRCode = async (qrData, { at = new Date() } = {}) => {
+  const parts = typeof qrData === 'string' ? qrData.trim().split('.') : [];
+  if (parts.length !== 4 || parts[0] !== TOKEN_VERSION) {
+    throw qrError('Invalid QR code data');
+  }
+
+  const [version, kid, payload, signature] = parts;
+  const publicKey = await signingKeyService.getPublicKey(kid);
+  if (!publicKey) {
+    throw qrError('QR code was signed with an unknown or revoked key');
+  }
+
+  const valid = crypto.verify(
+    null,
+    Buffer.from(`${version}.${kid}.${payload}`),
+    publicKey,
+    Buffer.from(signature, 'base64url')
+  );
+  if (!valid) {
+    throw qrError('Invalid QR code signature');
+  }
+
+  let claims;
   try {
-    const payload = JSON.parse(qrData);
-    
-    // Verify the hash
-    const expectedHash = crypto
-      .createHash('sha256')
-      .update(`${payload.ticketId}${payload.reference}${process.env.QR_SECRET_KEY}`)
-      .digest('hex');
-
-    if (payload.hash !== expectedHash) {
-      throw new Error('Invalid QR code');
-    }
-
-    // Check if QR code is expired (24 hours)
-    const qrAge = Date.now() - payload.timestamp;
-    if (qrAge > 24 * 60 * 60 * 1000) {
-      throw new Error('QR code expired');
-    }
-
-    return payload;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
   } catch (error) {
-    throw new Error('Invalid QR code data');
+    throw qrError('Invalid QR code data');
+  }
+
+  // Only valid around the event (or for a few seconds, for rotating codes)
+  const now = new Date(at).getTime() / 1000;
+  if (now < claims.nbf - CLOCK_SKEW_SECONDS) {
+    throw qrError('QR code is not valid yet');
+  }
+  if (now > claims.exp + CLOCK_SKEW_SECONDS) {
+    throw qrError(claims.rot ? 'QR code expired, refresh it in the app' : 'QR code expired');
   }
+
+  return {
+    ticketId: claims.t,
+    eventId: claims.e,
+    reference: claims.r,
+    version: claims.v,
+    keyId: kid,
+    issuedAt: new Date(claims.iat * 1000),
+    validFrom: new Date(claims.nbf * 1000),
+    validUntil: new Date(claims.exp * 1000),
+    rotating: Boolean(claims.rot),
+  };
 };
 
 module.exports = {
+  getValidityWindow,
   generateTicketQRCode,
+  generateRotatingQRCode,
   verifyQRCode
-}; 
\ No newline at end of file
+};
@@ -0,0 +1,223 @@
+/**
+ * Reconciliation Service
+ *
+ * Buyers don't always come back from the gateway, and webhooks can be lost, so
+ * a background reconciler periodically re-checks payments with their gateway:
+ * - Pending payments older than RECONCILIATION_MIN_AGE_MINUTES
+ * - Payments failed because their ticket hold expired, for
+ *   RECONCILIATION_LOOKBACK_HOURS, since the buyer may still have paid late
+ *
+ * Each payment is fulfilled or failed according to the gateway, and its
+ * lastStatusCheck is updated so it isn't re-checked before
+ * RECONCILIATION_RECHECK_MINUTES. Refunds the gateway hasn't confirmed yet are
+ * checked on every run too. Every run is recorded for admins.
+ */
+
+const Payment = require("../Models/Payments");
+const ReconciliationRun = require("../Models/ReconciliationRun");
+const paymentService = require("./paymentService");
+const reservationService = require("./reservationService");
+const paymentGateways = require("./gateways");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/payment-error.log", level: "error" }),
+    new transports.File({ filename: "logs/payment.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const reconciliationConfig = {
+  intervalMs: Number(process.env.RECONCILIATION_INTERVAL_MS) || 10 * 60 * 1000,
+  minAgeMinutes: Number(process.env.RECONCILIATION_MIN_AGE_MINUTES) || 30,
+  recheckMinutes: Number(process.env.RECONCILIATION_RECHECK_MINUTES) || 30,
+  lookbackHours: Number(process.env.RECONCILIATION_LOOKBACK_HOURS) || 24,
+  batchSize: Number(process.env.RECONCILIATION_BATCH_SIZE) || 100,
+};
+
+let reconcilerTimer = null;
+// Only one run at a time per process; payments are settled idempotently anyway
+let runInProgress = null;
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60 * 1000);
+
+// Payments due for a status check, least recently checked first
+const findStalePayments = () =>
+  Payment.find({
+    $or: [
+      {
+        status: paymentService.PAYMENT_STATUS.PENDING,
+        createdAt: { $lte: minutesAgo(reconciliationConfig.minAgeMinutes) },
+      },
+      {
+        status: paymentService.PAYMENT_STATUS.FAILED,
+        failureReason: reservationService.RESERVATION_EXPIRED,
+        createdAt: { $gte: minutesAgo(reconciliationConfig.lookbackHours * 60) },
+      },
+    ],
+    lastStatusCheck: { $lte: minutesAgo(reconciliationConfig.recheckMinutes) },
+  })
+    .sort({ lastStatusCheck: 1 })
+    .limit(reconciliationConfig.batchSize);
+
+// Check one payment with its gateway and settle it. Returns the outcome.
+const reconcilePayment = async (payment) => {
+  const gateway = paymentGateways.getGatewayForPayment(payment);
+
+  try {
+    const result = await gateway.verify(payment);
+
+    if (result.status === "succeeded") {
+      const { soldOut } = await paymentService.fulfillPayment(payment.reference, result.gatewayFields);
+      return soldOut ? "failed" : "fulfilled";
+    }
+
+    if (result.status === "failed") {
+      // Payments whose hold expired are already failed
+      if (payment.status === paymentService.PAYMENT_STATUS.PENDING) {
+        await paymentService.updatePaymentStatus(payment.reference, paymentService.PAYMENT_STATUS.FAILED);
+      }
+      return "failed";
+    }
+
+    return "pending";
+  } finally {
+    await Payment.updateOne(
+      { _id: payment._id },
+      { $set: { lastStatusCheck: new Date() } }
+    );
+  }
+};
+
+const executeRun = async (run) => {
+  try {
+    const payments = await findStalePayments();
+
+    for (const payment of payments) {
+      const result = {
+        reference: payment.reference,
+        paymentGateway: payment.paymentGateway,
+        previousStatus: payment.status,
+      };
+
+      try {
+        result.outcome = await reconcilePayment(payment);
+      } catch (error) {
+        result.outcome = "error";
+        result.error = error.message;
+        logger.error("Payment reconciliation failed", {
+          error: error.message,
+          reference: payment.reference,
+        });
+      }
+
+      run.results.push(result);
+      run.checked++;
+      if (result.outcome === "fulfilled") run.fulfilled++;
+      if (result.outcome === "failed") run.failed++;
+      if (result.outcome === "pending") run.stillPending++;
+      if (result.outcome === "error") run.errored++;
+    }
+
+    run.refunds = await paymentService.checkPendingRefunds();
+    run.status = "completed";
+  } catch (error) {
+    run.status = "failed";
+    run.error = error.message;
+    logger.error("Reconciliation run failed", { error: error.message, runId: run._id });
+  }
+
+  run.finishedAt = new Date();
+  await run.save();
+
+  logger.info("Reconciliation run finished", {
+    runId: run._id,
+    trigger: run.trigger,
+    checked: run.checked,
+    fulfilled: run.fulfilled,
+    failed: run.failed,
+    errored: run.errored,
+    refunds: run.refunds,
+  });
+  return run;
+};
+
+/**
+ * Reconcile stale payments now. Returns null if a run is already in progress.
+ *
+ * @param {{ trigger: "schedule" | "manual", triggeredBy?: string }} options
+ */
+const runReconciliation = async ({ trigger, triggeredBy } = {}) => {
+  if (runInProgress) return null;
+
+  runInProgress = (async () => {
+    const run = await ReconciliationRun.create({ trigger, triggeredBy });
+    return executeRun(run);
+  })();
+
+  try {
+    return await runInProgress;
+  } finally {
+    runInProgress = null;
+  }
+};
+
+const isRunInProgress = () => Boolean(runInProgress);
+
+const getRunHistory = (limit = 20) =>
+  ReconciliationRun.find()
+    .select("-results")
+    .populate("triggeredBy", "name email")
+    .sort({ startedAt: -1 })
+    .limit(limit);
+
+const getRun = (runId) =>
+  ReconciliationRun.findById(runId).populate("triggeredBy", "name email");
+
+// Start the background reconciler
+const startReconciler = () => {
+  if (reconcilerTimer) return reconcilerTimer;
+
+  reconcilerTimer = setInterval(async () => {
+    try {
+      await runReconciliation({ trigger: "schedule" });
+    } catch (error) {
+      logger.error("Scheduled reconciliation failed", { error: error.message });
+    }
+  }, reconciliationConfig.intervalMs);
+  reconcilerTimer.unref();
+
+  logger.info("Payment reconciler started", { intervalMs: reconciliationConfig.intervalMs });
+  return reconcilerTimer;
+};
+
+const stopReconciler = () => {
+  if (reconcilerTimer) {
+    clearInterval(reconcilerTimer);
+    reconcilerTimer = null;
+  }
+};
+
+module.exports = {
+  runReconciliation,
+  isRunInProgress,
+  getRunHistory,
+  getRun,
+  startReconciler,
+  stopReconciler,
+};
@@ -0,0 +1,151 @@
+/**
+ * Reporting Service
+ *
+ * Revenue reports for admin dashboards:
+ * - Broken down per ticket currency (gross, refunded, net) and per currency
+ *   charged by the gateways (the gateway-converted amounts)
+ * - Totalled in a reporting currency. Each payment is converted with the rates
+ *   it was taken with: the gateway amount (which already applies the payment's
+ *   exchangeRate) is converted with the payment's exchange-rate snapshot.
+ *   Payments from before snapshots were recorded use the latest snapshot and
+ *   are counted as estimated.
+ */
+
+const Payment = require("../Models/Payments");
+const ExchangeRateSnapshot = require("../Models/ExchangeRateSnapshot");
+const exchangeRateService = require("./exchangeRateService");
+const money = require("./money");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+const DEFAULT_REPORTING_CURRENCY = (process.env.REPORTING_CURRENCY || "USD").toUpperCase();
+
+// Payments that took money, including ones refunded since
+const REVENUE_PAYMENT_STATUSES = ["success", "partially_refunded", "refunded"];
+
+const isReportingCurrency = (currency) =>
+  Object.keys(money.CURRENCY_EXPONENTS).includes(String(currency).toUpperCase());
+
+const emptyTotals = () => ({ gross: 0, refunded: 0, payments: 0 });
+
+const presentTotals = (totals, currency) => ({
+  currency,
+  gross: money.presentAmount(totals.gross, currency),
+  refunded: money.presentAmount(totals.refunded, currency),
+  net: money.presentAmount(totals.gross - totals.refunded, currency),
+  payments: totals.payments,
+});
+
+const addTo = (totals, gross, refunded, payments) => {
+  totals.gross += gross;
+  totals.refunded += refunded;
+  totals.payments += payments;
+};
+
+const totalsFor = (byCurrency, currency) =>
+  byCurrency[currency] || (byCurrency[currency] = emptyTotals());
+
+/**
+ * Revenue of the payments matched by the given pipeline stages.
+ *
+ * @param {Array} matchStages aggregation stages selecting the payments (e.g. an admin's events)
+ * @param {string} reportingCurrency currency of the converted total
+ */
+const getRevenueReport = async (matchStages, reportingCurrency = DEFAULT_REPORTING_CURRENCY) => {
+  // One group per currency pair and snapshot, so each group converts with a single rate
+  const groups = await Payment.aggregate([
+    ...matchStages,
+    { $match: { status: { $in: REVENUE_PAYMENT_STATUSES } } },
+    {
+      $group: {
+        _id: {
+          originalCurrency: "$originalCurrency",
+          currency: "$currency",
+          snapshot: "$exchangeRateSnapshot",
+        },
+        originalGross: { $sum: "$originalAmount" },
+        // Only refunds that went through, like refundedAmount. Refunds recorded
+        // before they had a status all went through.
+        originalRefunded: {
+          $sum: {
+            $sum: {
+              $map: {
+                input: {
+                  $filter: {
+                    input: { $ifNull: ["$refunds", []] },
+                    cond: { $eq: [{ $ifNull: ["$$this.status", "succeeded"] }, "succeeded"] },
+                  },
+                },
+                in: "$$this.originalAmount",
+              },
+            },
+          },
+        },
+        gatewayGross: { $sum: "$amount" },
+        gatewayRefunded: { $sum: { $ifNull: ["$refundedAmount", 0] } },
+        payments: { $sum: 1 },
+      },
+    },
+  ]);
+
+  const snapshotIds = groups.map(group => group._id.snapshot).filter(Boolean);
+  const snapshots = new Map(
+    (await ExchangeRateSnapshot.find({ _id: { $in: snapshotIds } }))
+      .map(snapshot => [snapshot._id.toString(), snapshot])
+  );
+  let latestSnapshot;
+
+  const byCurrency = {};
+  const byGatewayCurrency = {};
+  const total = emptyTotals();
+  let estimatedPayments = 0;
+
+  for (const group of groups) {
+    const { originalCurrency, currency } = group._id;
+
+    addTo(totalsFor(byCurrency, originalCurrency), group.originalGross, group.originalRefunded, group.payments);
+    addTo(totalsFor(byGatewayCurrency, currency), group.gatewayGross, group.gatewayRefunded, group.payments);
+
+    if (reportingCurrency === originalCurrency) {
+      addTo(total, group.originalGross, group.originalRefunded, group.payments);
+      continue;
+    }
+    if (reportingCurrency === currency) {
+      addTo(total, group.gatewayGross, group.gatewayRefunded, group.payments);
+      continue;
+    }
+
+    let snapshot = group._id.snapshot && snapshots.get(group._id.snapshot.toString());
+    if (!snapshot) {
+      latestSnapshot = latestSnapshot || await exchangeRateService.getLatestSnapshot();
+      snapshot = latestSnapshot;
+      estimatedPayments += group.payments;
+    }
+
+    const rate = exchangeRateService.getSnapshotRate(snapshot, currency, reportingCurrency);
+    addTo(
+      total,
+      money.convertMinorUnits(group.gatewayGross, currency, reportingCurrency, rate),
+      money.convertMinorUnits(group.gatewayRefunded, currency, reportingCurrency, rate),
+      group.payments
+    );
+  }
+
+  return {
+    reportingCurrency,
+    total: presentTotals(total, reportingCurrency),
+    // Payments converted with today's rates because no snapshot was recorded for them
+    estimatedPayments,
+    byCurrency: Object.keys(byCurrency).sort()
+      .map(currency => presentTotals(byCurrency[currency], currency)),
+    byGatewayCurrency: Object.keys(byGatewayCurrency).sort()
+      .map(currency => presentTotals(byGatewayCurrency[currency], currency)),
+  };
+};
+
+module.exports = {
+  getRevenueReport,
+  isReportingCurrency,
+  DEFAULT_REPORTING_CURRENCY,
+};
@@ -0,0 +1,278 @@
+/**
+ * Reservation Service
+ *
+ * Initiating a payment holds the requested tickets for a limited time so two
+ * buyers can't pay for the same last ticket:
+ * - The hold is taken atomically on the event document, by incrementing
+ *   `ticketTypes.reserved` only while sold + reserved + quantity <= quantity
+ * - Fulfilment converts the hold into sold tickets. Payments that arrive after
+ *   their hold was released only get tickets if there is still room
+ * - Failed payments release their hold, and a background sweeper releases
+ *   expired holds and marks their payment and tickets as failed
+ */
+
+const mongoose = require("mongoose");
+const Event = require("../Models/EventModel");
+const Reservation = require("../Models/Reservation");
+const Payment = require("../Models/Payments");
+const Ticket = require("../Models/Ticket");
+const { createLogger, format, transports } = require("winston");
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/reservation-error.log", level: "error" }),
+    new transports.File({ filename: "logs/reservation.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const RESERVATION_TTL_MINUTES = Number(process.env.RESERVATION_TTL_MINUTES) || 15;
+const SWEEP_INTERVAL_MS = Number(process.env.RESERVATION_SWEEP_INTERVAL_MS) || 60 * 1000;
+
+// Failure reason recorded on payments whose hold ran out before they were paid
+const RESERVATION_EXPIRED = "reservation_expired";
+
+let sweeperTimer = null;
+let sweepInProgress = false;
+
+// Matches an event only while the ticket type has room for quantity more tickets
+const hasRoomFor = (ticketTypeName, quantity) => ({
+  $expr: {
+    $let: {
+      vars: {
+        type: {
+          $arrayElemAt: [
+            { $filter: { input: "$ticketTypes", cond: { $eq: ["$$this.name", ticketTypeName] } } },
+            0,
+          ],
+        },
+      },
+      in: {
+        $lte: [
+          { $add: ["$$type.sold", { $ifNull: ["$$type.reserved", 0] }, quantity] },
+          "$$type.quantity",
+        ],
+      },
+    },
+  },
+});
+
+/**
+ * Hold tickets of a type for a payment. Returns null if not enough are available.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.minTtlMinutes] - Hold at least this long, for gateways
+ *   whose checkout can't expire sooner
+ */
+const holdTickets = async (eventId, ticketTypeName, quantity, paymentReference, { minTtlMinutes = 0 } = {}) => {
+  const objectEventId = new mongoose.Types.ObjectId(eventId);
+  const ttlMinutes = Math.max(RESERVATION_TTL_MINUTES, minTtlMinutes);
+
+  // Only match the event while the ticket type still has room for this hold
+  const result = await Event.updateOne(
+    { _id: objectEventId, ...hasRoomFor(ticketTypeName, quantity) },
+    { $inc: { "ticketTypes.$[type].reserved": quantity } },
+    { arrayFilters: [{ "type.name": ticketTypeName }] }
+  );
+
+  if (result.modifiedCount === 0) {
+    return null;
+  }
+
+  try {
+    const reservation = await Reservation.create({
+      event: objectEventId,
+      ticketType: ticketTypeName,
+      quantity,
+      paymentReference,
+      expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    });
+
+    logger.info("Tickets held", { eventId, ticketTypeName, quantity, paymentReference });
+    return reservation;
+  } catch (error) {
+    // Give the inventory back if the reservation can't be recorded
+    await Event.updateOne(
+      { _id: objectEventId },
+      { $inc: { "ticketTypes.$[type].reserved": -quantity } },
+      { arrayFilters: [{ "type.name": ticketTypeName }] }
+    );
+    throw error;
+  }
+};
+
+// Release an active hold. Returns the released reservation, or null if there was none.
+const releaseReservation = async (paymentReference, reason) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { paymentReference, status: "active" },
+    { $set: { status: "released", releasedAt: new Date(), releaseReason: reason } },
+    { new: true }
+  );
+
+  if (!reservation) {
+    return null;
+  }
+
+  await Event.updateOne(
+    { _id: reservation.event },
+    { $inc: { "ticketTypes.$[type].reserved": -reservation.quantity } },
+    { arrayFilters: [{ "type.name": reservation.ticketType }] }
+  );
+
+  logger.info("Reservation released", { paymentReference, reason });
+  return reservation;
+};
+
+// Turn the hold of a paid payment into sold tickets. Payments without an active
+// hold (expired, or created before holds existed) are counted as sold only if
+// the ticket type still has room for them. Returns false if it hasn't.
+const convertReservation = async (paymentReference, eventId, ticketTypeName, quantity) => {
+  const reservation = await Reservation.findOneAndUpdate(
+    { paymentReference, status: "active" },
+    { $set: { status: "converted", convertedAt: new Date() } },
+    { new: true }
+  );
+
+  if (reservation) {
+    await Event.updateOne(
+      { _id: eventId },
+      {
+        $inc: {
+          "ticketTypes.$[type].sold": quantity,
+          "ticketTypes.$[type].reserved": -reservation.quantity,
+        },
+      },
+      { arrayFilters: [{ "type.name": ticketTypeName }] }
+    );
+    return true;
+  }
+
+  // Someone else may have bought the tickets since the hold was released
+  const result = await Event.updateOne(
+    { _id: eventId, ...hasRoomFor(ticketTypeName, quantity) },
+    { $inc: { "ticketTypes.$[type].sold": quantity } },
+    { arrayFilters: [{ "type.name": ticketTypeName }] }
+  );
+  if (result.modifiedCount === 0) {
+    logger.warn("No tickets left for a payment without an active reservation", { paymentReference });
+    return false;
+  }
+
+  logger.warn("Payment fulfilled without an active reservation", { paymentReference });
+  return true;
+};
+
+// Tickets currently held per ticket type name for an event
+const getActiveHolds = async (eventId) => {
+  const holds = await Reservation.aggregate([
+    {
+      $match: {
+        event: new mongoose.Types.ObjectId(eventId),
+        status: "active",
+        expiresAt: { $gt: new Date() },
+      },
+    },
+    { $group: { _id: "$ticketType", quantity: { $sum: "$quantity" } } },
+  ]);
+
+  return holds.reduce((acc, hold) => {
+    acc[hold._id] = hold.quantity;
+    return acc;
+  }, {});
+};
+
+// Release every expired hold and fail the payments that were still pending
+const releaseExpiredReservations = async () => {
+  const expired = await Reservation.find({
+    status: "active",
+    expiresAt: { $lte: new Date() },
+  });
+
+  let released = 0;
+  for (const reservation of expired) {
+    try {
+      const result = await releaseReservation(reservation.paymentReference, "expired");
+      if (!result) continue;
+      released++;
+
+      const payment = await Payment.findOneAndUpdate(
+        { reference: reservation.paymentReference, status: "pending" },
+        {
+          $set: {
+            status: "failed",
+            failureReason: RESERVATION_EXPIRED,
+            updatedAt: new Date(),
+          },
+        }
+      );
+
+      if (payment) {
+        await Ticket.updateMany(
+          { paymentReference: reservation.paymentReference, status: "pending" },
+          { $set: { status: "failed" } }
+        );
+      }
+    } catch (error) {
+      logger.error("Failed to release expired reservation", {
+        error: error.message,
+        paymentReference: reservation.paymentReference,
+      });
+    }
+  }
+
+  if (released > 0) {
+    logger.info("Expired reservations released", { released });
+  }
+  return released;
+};
+
+// Start the background sweeper for expired holds
+const startReservationSweeper = () => {
+  if (sweeperTimer) return sweeperTimer;
+
+  sweeperTimer = setInterval(async () => {
+    if (sweepInProgress) return;
+    sweepInProgress = true;
+    try {
+      await releaseExpiredReservations();
+    } catch (error) {
+      logger.error("Reservation sweep failed", { error: error.message });
+    } finally {
+      sweepInProgress = false;
+    }
+  }, SWEEP_INTERVAL_MS);
+  sweeperTimer.unref();
+
+  logger.info("Reservation sweeper started", { intervalMs: SWEEP_INTERVAL_MS });
+  return sweeperTimer;
+};
+
+const stopReservationSweeper = () => {
+  if (sweeperTimer) {
+    clearInterval(sweeperTimer);
+    sweeperTimer = null;
+  }
+};
+
+module.exports = {
+  holdTickets,
+  releaseReservation,
+  convertReservation,
+  getActiveHolds,
+  releaseExpiredReservations,
+  startReservationSweeper,
+  stopReservationSweeper,
+  RESERVATION_EXPIRED,
+  RESERVATION_TTL_MINUTES,
+};
@@ -0,0 +1,282 @@
+/**
+ * Scan Sync Service
+ *
+ * Offline door scanning. Gate devices download a manifest of an event's paid
+ * tickets with the QR signing keys, check tickets locally, and upload their
+ * scan logs when they are back online.
+ *
+ * Uploaded scans are resolved in scan time order and added to the scan log.
+ * For single-entry tickets the earliest scan wins, whichever device made it
+ * and whenever it was uploaded; later scans of the same ticket are reported
+ * as duplicates, and an accepted scan an earlier one replaces is marked as
+ * superseded by it. Other tickets follow their entry policy at the time of
+ * each scan, and later scans that no longer fit are superseded the same way
+ * (see entryService).
+ * Uploading the same log again is harmless.
+ */
+
+const mongoose = require("mongoose");
+const Ticket = require("../Models/Ticket");
+const ScanEvent = require("../Models/ScanEvent");
+const qrCodeService = require("./qrCodeService");
+const signingKeyService = require("./signingKeyService");
+const entryService = require("./entryService");
+const eventScheduleService = require("./eventScheduleService");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/tickets-error.log", level: "error" }),
+    new transports.File({ filename: "logs/tickets.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+// Scan times this far ahead of the server's clock are refused
+const MAX_CLOCK_AHEAD_MS = 5 * 60 * 1000;
+const DUPLICATE_REASON = "Ticket already scanned";
+
+/**
+ * Everything a gate device needs to scan an event offline
+ */
+const getManifest = async (event) => {
+  const [keys, tickets] = await Promise.all([
+    signingKeyService.getPublicKeys(),
+    Ticket.find({ event: event._id, status: "success" })
+      .select("reference ticketType qrVersion scanned scannedAt scannedDevice")
+      .lean(),
+  ]);
+
+  return {
+    event: {
+      id: event._id,
+      title: event.title,
+      date: event.date,
+      ...eventScheduleService.getSchedule(event),
+      rotatingQrCodes: Boolean(event.rotatingQrCodes),
+      ...qrCodeService.getValidityWindow(event),
+      // Devices should only let tickets in inside it
+      scanWindow: eventScheduleService.getScanWindow(event),
+    },
+    keys,
+    tickets: tickets.map(ticket => ({
+      id: ticket._id,
+      reference: ticket.reference,
+      ticketType: ticket.ticketType,
+      qrVersion: ticket.qrVersion || 1,
+      scanned: Boolean(ticket.scanned),
+      scannedAt: ticket.scannedAt,
+      scannedDevice: ticket.scannedDevice,
+    })),
+    generatedAt: new Date(),
+  };
+};
+
+const rejected = (scan, reason) => ({ ...scan, status: "rejected", reason });
+
+// The ticket a scan is for, or why it can't be accepted
+const resolveTicket = async (event, scan) => {
+  let ticketId = scan.ticketId;
+  let verified = null;
+
+  if (scan.qrData) {
+    try {
+      verified = await qrCodeService.verifyQRCode(scan.qrData, { at: scan.scannedAt });
+    } catch (error) {
+      return { reason: error.message };
+    }
+    if (verified.eventId !== event._id.toString()) {
+      return { reason: "Ticket is for another event" };
+    }
+    ticketId = verified.ticketId;
+  }
+
+  if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+    return { reason: "Invalid ticket ID" };
+  }
+
+  const ticket = await Ticket.findOne({ _id: ticketId, event: event._id });
+  if (!ticket) {
+    return { reason: "Ticket not found for this event" };
+  }
+  if (ticket.status !== "success") {
+    return { ticket, reason: `Ticket is ${ticket.status}` };
+  }
+  if (verified && verified.version !== ticket.qrVersion) {
+    return { ticket, reason: "This QR code has been replaced by a newer one" };
+  }
+  if (verified && event.rotatingQrCodes && !verified.rotating) {
+    return { ticket, reason: "This event needs the live QR code from the app" };
+  }
+
+  return { ticket };
+};
+
+const applyScan = async (event, scan, { deviceId, operatorId }) => {
+  const scannedAt = new Date(scan.scannedAt);
+  const result = { index: scan.index, ticketId: scan.ticketId, scannedAt };
+
+  if (scannedAt.getTime() > Date.now() + MAX_CLOCK_AHEAD_MS) {
+    return rejected(result, "Scan time is in the future");
+  }
+
+  const { ticket, reason } = await resolveTicket(event, { ...scan, scannedAt });
+  if (ticket) {
+    result.ticketId = ticket._id;
+  }
+  if (reason) {
+    return rejected(result, reason);
+  }
+
+  const direction = scan.direction || "in";
+  const { policy } = entryService.getEntryPolicy(event, ticket);
+
+  // Organisers can't override the scan window offline
+  const outsideWindow = direction === "in" ? eventScheduleService.checkScanWindow(event, scannedAt) : null;
+  if (outsideWindow) {
+    return { ...rejected(result, outsideWindow.message), rule: "scan_window", code: outsideWindow.code };
+  }
+
+  // Already uploaded
+  const synced = await ScanEvent.findOne({
+    ticket: ticket._id,
+    deviceId,
+    scannedAt,
+    direction,
+    source: "offline",
+  });
+  if (synced) {
+    return synced.accepted
+      ? { ...result, status: "accepted", alreadySynced: true }
+      : { ...result, status: synced.reason === DUPLICATE_REASON ? "duplicate" : "rejected", reason: synced.reason, alreadySynced: true };
+  }
+
+  const logScan = (accepted, reason, supersedes) =>
+    ScanEvent.create({
+      ticket: ticket._id,
+      event: event._id,
+      direction,
+      gate: scan.gate,
+      deviceId,
+      operator: operatorId,
+      scannedAt,
+      source: "offline",
+      accepted,
+      reason,
+      supersedes,
+    });
+
+  // Tickets with several entries (or scans out) follow their entry policy in scan time order
+  if (policy !== "single" || direction === "out") {
+    const entry = await entryService.recordScan(ticket, event, {
+      direction,
+      gate: scan.gate,
+      deviceId,
+      operatorId,
+      scannedAt,
+      source: "offline",
+    });
+    if (!entry.accepted) {
+      return rejected(result, entry.reason.message);
+    }
+    // Later scans of the ticket that no longer count now that this one is in the log
+    if (entry.superseded.length) {
+      result.supersededScans = entry.superseded.map(scan => ({
+        scannedAt: scan.scannedAt,
+        direction: scan.direction,
+        deviceId: scan.deviceId,
+      }));
+    }
+    return { ...result, status: "accepted", entries: entry.state.entries };
+  }
+
+  // Single entry: the first scan wins, taking the ticket unless it was scanned earlier
+  const previous = await Ticket.findOneAndUpdate(
+    {
+      _id: ticket._id,
+      status: "success",
+      $or: [{ scanned: { $ne: true } }, { scannedAt: { $gt: scannedAt } }],
+    },
+    {
+      $set: { scanned: true, scannedAt, scannedBy: operatorId, scannedDevice: deviceId },
+      $inc: { scanCount: 1 },
+    }
+  );
+
+  if (previous) {
+    // A later scan was recorded first (e.g. online); it is the duplicate now
+    let supersededScan = null;
+    if (previous.scanned) {
+      supersededScan = await ScanEvent.findOne({
+        ticket: ticket._id,
+        direction: "in",
+        accepted: true,
+        scannedAt: previous.scannedAt,
+      }).select("_id");
+      result.superseded = { scannedAt: previous.scannedAt, scannedDevice: previous.scannedDevice };
+    }
+    await logScan(true, undefined, supersededScan ? [supersededScan._id] : undefined);
+    return { ...result, status: "accepted" };
+  }
+
+  await logScan(false, DUPLICATE_REASON);
+  const current = await Ticket.findById(ticket._id).select("scannedAt scannedBy scannedDevice");
+  return {
+    ...result,
+    status: "duplicate",
+    firstScan: {
+      scannedAt: current.scannedAt,
+      scannedBy: current.scannedBy,
+      scannedDevice: current.scannedDevice,
+    },
+  };
+};
+
+/**
+ * Apply a device's offline scan log to an event's tickets. Returns a result
+ * per scan, in upload order.
+ *
+ * @param {Object} event
+ * @param {{ deviceId: string, scans: { ticketId?, qrData?, scannedAt, direction?, gate? }[] }} log
+ * @param {string} operatorId the user the scans are recorded for
+ */
+const syncScans = async (event, { deviceId, scans }, operatorId) => {
+  const ordered = scans
+    .map((scan, index) => ({ ...scan, index }))
+    .sort((a, b) => new Date(a.scannedAt) - new Date(b.scannedAt) || a.index - b.index);
+
+  const results = [];
+  for (const scan of ordered) {
+    results.push(await applyScan(event, scan, { deviceId, operatorId }));
+  }
+  results.sort((a, b) => a.index - b.index);
+
+  const count = (status) => results.filter(result => result.status === status).length;
+  const summary = {
+    accepted: count("accepted"),
+    duplicates: count("duplicate"),
+    rejected: count("rejected"),
+  };
+
+  logger.info("Offline scans synced", { eventId: event._id, deviceId, operatorId, ...summary });
+  return { deviceId, ...summary, results };
+};
+
+module.exports = {
+  getManifest,
+  syncScans,
+};
@@ -0,0 +1,30 @@
+/**
+ * Secret Box
+ *
+ * AES-256-GCM encryption for secrets stored in the database (TOTP secrets,
+ * signing keys). The key is derived from a configured secret, and the result
+ * is "iv:authTag:ciphertext" in hex.
+ */
+
+const crypto = require("crypto");
+
+const deriveKey = (keyMaterial) => crypto.createHash("sha256").update(keyMaterial).digest();
+
+const seal = (plaintext, keyMaterial) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", deriveKey(keyMaterial), iv);
+  const encrypted = Buffer.concat([cipher.update(plaintext, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map(part => part.toString("hex")).join(":");
+};
+
+const open = (stored, keyMaterial) => {
+  const [iv, tag, encrypted] = stored.split(":").map(part => Buffer.from(part, "hex"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", deriveKey(keyMaterial), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+module.exports = {
+  seal,
+  open,
+};
@@ -0,0 +1,193 @@
+/**
+ * Signing Key Service
+ *
+ * Ed25519 keys for ticket QR codes. One key is active and signs new codes;
+ * rotating creates a new active key and retires the old one, whose codes keep
+ * verifying. Revoking a key makes its codes invalid.
+ *
+ * Private keys are stored encrypted (SIGNING_KEY_ENCRYPTION_KEY, or
+ * JWT_SECRET). Public keys are published for scanners that verify offline.
+ */
+
+const crypto = require("crypto");
+const SigningKey = require("../Models/SigningKey");
+const secretBox = require("./secretBox");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/tickets-error.log", level: "error" }),
+    new transports.File({ filename: "logs/tickets.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+// Keys are reloaded after this, so rotations on other instances are picked up
+const CACHE_TTL_MS = 5 * 60 * 1000;
+
+let activeKeyCache = null;
+const publicKeyCache = new Map();
+
+const signingKeyError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const encryptionKey = () => process.env.SIGNING_KEY_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const clearCache = () => {
+  activeKeyCache = null;
+  publicKeyCache.clear();
+};
+
+const generateKey = async (userId) => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync("ed25519");
+
+  return SigningKey.create({
+    kid: crypto.randomBytes(6).toString("base64url"),
+    publicKey: publicKey.export({ type: "spki", format: "pem" }),
+    privateKey: secretBox.seal(privateKey.export({ type: "pkcs8", format: "pem" }), encryptionKey()),
+    createdBy: userId,
+  });
+};
+
+/**
+ * The key to sign with: { kid, privateKey }. Creates the first key if there
+ * is none yet.
+ */
+const getActiveKey = async () => {
+  if (activeKeyCache && activeKeyCache.expiresAt > Date.now()) {
+    return activeKeyCache.key;
+  }
+
+  let record = await SigningKey.findOne({ status: "active" }).select("+privateKey");
+  if (!record) {
+    try {
+      record = await generateKey();
+      logger.info("First QR signing key created", { kid: record.kid });
+    } catch (error) {
+      // Another instance created it first
+      if (error.code !== 11000) throw error;
+      record = await SigningKey.findOne({ status: "active" }).select("+privateKey");
+    }
+  }
+
+  const key = {
+    kid: record.kid,
+    privateKey: crypto.createPrivateKey(secretBox.open(record.privateKey, encryptionKey())),
+  };
+  activeKeyCache = { key, expiresAt: Date.now() + CACHE_TTL_MS };
+  return key;
+};
+
+// The public key for a key ID, or null if it is unknown or revoked
+const getPublicKey = async (kid) => {
+  const cached = publicKeyCache.get(kid);
+  if (cached && cached.expiresAt > Date.now()) {
+    return cached.key;
+  }
+
+  const record = await SigningKey.findOne({ kid, status: { $ne: "revoked" } });
+  const key = record ? crypto.createPublicKey(record.publicKey) : null;
+  publicKeyCache.set(kid, { key, expiresAt: Date.now() + CACHE_TTL_MS });
+  return key;
+};
+
+/**
+ * Keys scanners should accept, newest first
+ */
+const getPublicKeys = async () => {
+  const records = await SigningKey.find({ status: { $ne: "revoked" } }).sort({ createdAt: -1 });
+  return records.map(record => ({
+    kid: record.kid,
+    algorithm: record.algorithm,
+    status: record.status,
+    publicKey: record.publicKey,
+    createdAt: record.createdAt,
+  }));
+};
+
+// Every key, for admins
+const listKeys = () =>
+  SigningKey.find()
+    .populate("createdBy", "name email")
+    .sort({ createdAt: -1 });
+
+/**
+ * Make a new key active. The previous one is retired and still verifies.
+ */
+const rotateKey = async (userId) => {
+  const previous = await SigningKey.findOneAndUpdate(
+    { status: "active" },
+    { $set: { status: "retired", retiredAt: new Date() } }
+  );
+
+  let key;
+  try {
+    key = await generateKey(userId);
+  } catch (error) {
+    // Another rotation created the new active key first
+    if (error.code === 11000) {
+      throw signingKeyError("A key rotation is already in progress", 409);
+    }
+    throw error;
+  }
+
+  clearCache();
+  logger.info("QR signing key rotated", { kid: key.kid, previousKid: previous?.kid, userId });
+  return { key, previous };
+};
+
+/**
+ * Revoke a retired key. Its codes no longer verify, so they have to be
+ * reissued (see ticketService.reissueQRCodesForKey).
+ */
+const revokeKey = async (kid) => {
+  const record = await SigningKey.findOne({ kid });
+  if (!record) {
+    throw signingKeyError("Signing key not found", 404);
+  }
+  if (record.status === "active") {
+    throw signingKeyError("Rotate to a new key before revoking the active one", 409);
+  }
+  if (record.status === "revoked") {
+    throw signingKeyError("Signing key is already revoked", 409);
+  }
+
+  const revoked = await SigningKey.findOneAndUpdate(
+    { _id: record._id, status: "retired" },
+    { $set: { status: "revoked", revokedAt: new Date() } },
+    { new: true }
+  );
+  if (!revoked) {
+    throw signingKeyError("Signing key is already revoked", 409);
+  }
+
+  clearCache();
+  logger.info("QR signing key revoked", { kid });
+  return revoked;
+};
+
+module.exports = {
+  getActiveKey,
+  getPublicKey,
+  getPublicKeys,
+  listKeys,
+  rotateKey,
+  revokeKey,
+};
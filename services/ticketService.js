@@ -2,8 +2,11 @@ const Ticket = require("../Models/Ticket");
 const User = require("../Models/Users");
 const mongoose = require("mongoose");
 const qrCodeService = require("./qrCodeService");
+const eventScheduleService = require("./eventScheduleService");
+const money = require("./money");
 
-const createTickets = async (eventId, userId, quantity, ticketType, price, mainReference, recipientInfo, recipientType) => {
+// price is in minor units of currency
+const createTickets = async (eventId, userId, quantity, ticketType, price, currency, mainReference, recipientInfo, recipientType) => {
   const tickets = [];
   const ticketReferences = [];
 
@@ -21,9 +24,11 @@ const createTickets = async (eventId, userId, quantity, ticketType, price, mainR
       },
       ticketType,
       price,
+      currency,
       reference: ticketReference,
       paymentReference: mainReference,
       status: "pending",
+      moneyVersion: money.MONEY_VERSION,
     });
     await ticket.save();
     tickets.push(ticket._id);
@@ -32,6 +37,12 @@ const createTickets = async (eventId, userId, quantity, ticketType, price, mainR
   return { tickets, ticketReferences };
 };
 
+// Give a ticket a new QR code, invalidating the previous ones (not saved)
+const replaceQRCode = async (ticket) => {
+  ticket.qrVersion = (ticket.qrVersion || 1) + 1;
+  ticket.qrCode = await qrCodeService.generateTicketQRCode(ticket);
+};
+
 const transferTicket = async (ticketId, fromUserId, recipientInfo) => {
   const { recipientType, recipientValue, recipientName } = recipientInfo;
 
@@ -100,6 +111,8 @@ const transferTicket = async (ticketId, fromUserId, recipientInfo) => {
       name: recipientName
     };
     ticket.transferred = true;
+    // The sender's QR code stops working
+    await replaceQRCode(ticket);
     await ticket.save({ session });
 
     await session.commitTransaction();
@@ -161,6 +174,7 @@ const cancelTransfer = async (ticketId, userId) => {
     ticket.user = userId;
     ticket.transferred = false;
     ticket.recipientInfo = null;
+    await replaceQRCode(ticket);
     await ticket.save({ session });
 
     await session.commitTransaction();
@@ -212,6 +226,84 @@ const generateTicketQR = async (ticketId) => {
   return qrCode;
 };
 
+const ticketError = (message, status) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+/**
+ * The QR code of a user's ticket, regenerated if the stored one is missing or
+ * outdated (e.g. the event moved). Events with rotatingQrCodes, or
+ * { rotating: true }, get a short-lived code instead.
+ */
+const getTicketQR = async (ticketId, userId, { rotating = false } = {}) => {
+  if (!mongoose.Types.ObjectId.isValid(ticketId)) {
+    throw ticketError("Invalid ticket ID", 400);
+  }
+
+  const ticket = await Ticket.findById(ticketId).populate("event", `${eventScheduleService.SCHEDULE_FIELDS} rotatingQrCodes`);
+  if (!ticket) {
+    throw ticketError("Ticket not found", 404);
+  }
+  if (ticket.user?.toString() !== userId) {
+    throw ticketError("You don't own this ticket", 403);
+  }
+  if (ticket.status !== "success") {
+    throw ticketError("QR code can only be generated for paid tickets", 400);
+  }
+  if (!ticket.event) {
+    throw ticketError("The event of this ticket no longer exists", 404);
+  }
+
+  if (rotating || ticket.event.rotatingQrCodes) {
+    const { data, token, validFrom, validUntil, refreshAfterSeconds } = await qrCodeService.generateRotatingQRCode(ticket);
+    return { data, token, validFrom, validUntil, rotating: true, refreshAfterSeconds };
+  }
+
+  const { validUntil } = qrCodeService.getValidityWindow(ticket.event);
+  const stored = ticket.qrCode;
+  const outdated = !stored?.token
+    || stored.version !== ticket.qrVersion
+    || stored.validUntil?.getTime() !== validUntil.getTime();
+
+  if (outdated) {
+    ticket.qrCode = await qrCodeService.generateTicketQRCode(ticket);
+    await ticket.save();
+  }
+
+  return {
+    data: ticket.qrCode.data,
+    token: ticket.qrCode.token,
+    validFrom: ticket.qrCode.validFrom,
+    validUntil: ticket.qrCode.validUntil,
+    rotating: false,
+  };
+};
+
+// New QR codes for an event's tickets, after its date changed
+const refreshEventQRCodes = async (eventId) => {
+  const tickets = await Ticket.find({ event: eventId, status: "success" });
+  for (const ticket of tickets) {
+    ticket.qrCode = await qrCodeService.generateTicketQRCode(ticket);
+    await ticket.save();
+  }
+  return tickets.length;
+};
+
+/**
+ * Replace the QR codes signed with a key, e.g. after it was revoked.
+ * Returns how many tickets got a new code.
+ */
+const reissueQRCodesForKey = async (keyId) => {
+  const tickets = await Ticket.find({ "qrCode.keyId": keyId, status: "success" });
+  for (const ticket of tickets) {
+    await replaceQRCode(ticket);
+    await ticket.save();
+  }
+  return tickets.length;
+};
+
 const getEventTickets = async (eventId) => {
   if (!eventId){
     throw new Error("Event id is required");
@@ -232,5 +324,8 @@ module.exports = {
   getUserTickets,
   getTransferHistory,
   generateTicketQR,
+  getTicketQR,
+  refreshEventQRCodes,
+  reissueQRCodesForKey,
   getEventTickets
 }; 
\ No newline at end of file
@@ -0,0 +1,226 @@
+/**
+ * Token Service
+ *
+ * - Access tokens are short-lived JWTs (ACCESS_TOKEN_TTL, default 15m) that
+ *   carry the user's tokenVersion; bumping the version revokes them all
+ * - Refresh tokens are random strings stored server-side as hashes, valid for
+ *   REFRESH_TOKEN_TTL_DAYS. Each one can be used once: refreshing rotates it
+ *   into a new token of the same family
+ * - Presenting a refresh token that was already rotated or revoked means it
+ *   was stolen (or replayed), so its whole family is revoked
+ * - Sessions started with a second factor are marked (the "mfa" claim), and
+ *   stay marked across refreshes
+ * - Login challenge tokens (password right, second factor still to come) are
+ *   signed with their own key and audience, so they never pass as access tokens
+ */
+
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../Models/RefreshToken");
+const User = require("../Models/Users");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || "15m";
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+// Time to enter the second factor after the password
+const TWO_FACTOR_CHALLENGE_TTL = "5m";
+const TWO_FACTOR_CHALLENGE_PURPOSE = "two_factor_login";
+
+// Errors thrown for refresh (and login challenge) tokens that can't be used
+const invalidRefreshToken = (message = "Invalid refresh token") => {
+  const error = new Error(message);
+  error.status = 401;
+  return error;
+};
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// Key for login challenge tokens, derived from JWT_SECRET unless set
+const challengeSecret = () =>
+  process.env.TWO_FACTOR_CHALLENGE_SECRET
+  || crypto.createHmac("sha256", process.env.JWT_SECRET).update(TWO_FACTOR_CHALLENGE_PURPOSE).digest("hex");
+
+const signAccessToken = (user, { twoFactorVerified = false } = {}) =>
+  jwt.sign(
+    {
+      id: user._id,
+      email: user.email,
+      role: user.role,
+      mobileNumber: user.mobileNumber,
+      tokenVersion: user.tokenVersion || 0,
+      ...(twoFactorVerified && { mfa: true }),
+    },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+
+const createRefreshToken = async (user, { family, ip, userAgent, twoFactorVerified = false } = {}) => {
+  const token = crypto.randomBytes(48).toString("base64url");
+  const record = await RefreshToken.create({
+    user: user._id,
+    tokenHash: hashToken(token),
+    family: family || crypto.randomUUID(),
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    createdByIp: ip,
+    userAgent,
+    twoFactorVerified,
+  });
+  return { token, record };
+};
+
+const buildTokenResponse = (user, refreshToken, refreshRecord) => ({
+  token: signAccessToken(user, { twoFactorVerified: refreshRecord.twoFactorVerified }),
+  tokenExpiresIn: ACCESS_TOKEN_TTL,
+  refreshToken,
+  refreshTokenExpiresAt: refreshRecord.expiresAt,
+});
+
+/**
+ * Access and refresh tokens for a new session (login, registration)
+ *
+ * @param {Object} context { ip, userAgent } of the request, and twoFactorVerified
+ *   if the user passed a second factor
+ */
+const issueTokens = async (user, context = {}) => {
+  const { token, record } = await createRefreshToken(user, context);
+  return buildTokenResponse(user, token, record);
+};
+
+const revokeFamily = (family, reason) =>
+  RefreshToken.updateMany(
+    { family, status: { $ne: "revoked" } },
+    { $set: { status: "revoked", revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * Exchange a refresh token for new tokens. The presented token is rotated
+ * and can't be used again.
+ */
+const rotateRefreshToken = async (refreshToken, context = {}) => {
+  if (!refreshToken) {
+    throw invalidRefreshToken("Refresh token is required");
+  }
+
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!existing || existing.expiresAt <= new Date()) {
+    throw invalidRefreshToken();
+  }
+  if (existing.status === "revoked") {
+    throw invalidRefreshToken("Refresh token has been revoked");
+  }
+
+  // Only one caller can rotate an active token; anyone else is replaying it
+  const current = await RefreshToken.findOneAndUpdate(
+    { _id: existing._id, status: "active" },
+    { $set: { status: "rotated", rotatedAt: new Date() } },
+    { new: true }
+  );
+  if (!current) {
+    await revokeFamily(existing.family, "reuse_detected");
+    logger.warn("Refresh token reuse detected, token family revoked", {
+      userId: existing.user,
+      family: existing.family,
+      ip: context.ip,
+    });
+    throw invalidRefreshToken("Refresh token has already been used");
+  }
+
+  const user = await User.findById(current.user);
+  if (!user) {
+    await revokeFamily(current.family, "user_deleted");
+    throw invalidRefreshToken();
+  }
+
+  const { token, record } = await createRefreshToken(user, {
+    ...context,
+    family: current.family,
+    twoFactorVerified: current.twoFactorVerified,
+  });
+  current.replacedBy = record._id;
+  await current.save();
+
+  return buildTokenResponse(user, token, record);
+};
+
+// Revoke the session a refresh token belongs to (logout). Returns the token record, or null.
+const revokeRefreshToken = async (refreshToken, reason = "logout") => {
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(refreshToken) });
+  if (!existing) return null;
+
+  await revokeFamily(existing.family, reason);
+  return existing;
+};
+
+/**
+ * Revoke every session of a user: bumps the token version, so all access
+ * tokens stop working, and revokes all refresh tokens
+ */
+const revokeAllUserTokens = async (userId, reason = "logout_all") => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await RefreshToken.updateMany(
+    { user: userId, status: { $ne: "revoked" } },
+    { $set: { status: "revoked", revokedAt: new Date(), revokedReason: reason } }
+  );
+  logger.info("All tokens revoked for user", { userId, reason });
+};
+
+// Proof that the password was right, to be exchanged for tokens with a second factor
+const signTwoFactorChallenge = (user) =>
+  jwt.sign(
+    { id: user._id, purpose: TWO_FACTOR_CHALLENGE_PURPOSE, tokenVersion: user.tokenVersion || 0 },
+    challengeSecret(),
+    { expiresIn: TWO_FACTOR_CHALLENGE_TTL, audience: TWO_FACTOR_CHALLENGE_PURPOSE }
+  );
+
+// The user a challenge token was issued to. Throws (401) if it isn't valid anymore.
+const verifyTwoFactorChallenge = async (challengeToken) => {
+  let decoded;
+  try {
+    decoded = jwt.verify(challengeToken, challengeSecret(), { audience: TWO_FACTOR_CHALLENGE_PURPOSE });
+  } catch (error) {
+    throw invalidRefreshToken("Login challenge expired, please log in again");
+  }
+  if (decoded.purpose !== TWO_FACTOR_CHALLENGE_PURPOSE) {
+    throw invalidRefreshToken("Invalid login challenge");
+  }
+
+  const user = await User.findById(decoded.id);
+  if (!user || (decoded.tokenVersion || 0) !== user.tokenVersion) {
+    throw invalidRefreshToken("Login challenge expired, please log in again");
+  }
+  return user;
+};
+
+module.exports = {
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeAllUserTokens,
+  signTwoFactorChallenge,
+  verifyTwoFactorChallenge,
+  ACCESS_TOKEN_TTL,
+  TWO_FACTOR_CHALLENGE_TTL,
+};
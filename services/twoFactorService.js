@@ -0,0 +1,332 @@
+/**
+ * Two-Factor Service
+ *
+ * TOTP (RFC 6238: SHA-1, 6 digits, 30 second steps) as used by authenticator
+ * apps, plus single-use recovery codes for when the device is lost.
+ *
+ * - Enrolment: a new secret is kept pending until the user proves their app
+ *   produces codes for it, then 2FA is enabled and recovery codes are issued
+ * - Login: after the password, a short-lived challenge token is exchanged for
+ *   real tokens with a TOTP or recovery code
+ *
+ * Secrets are stored encrypted (TWO_FACTOR_ENCRYPTION_KEY, or JWT_SECRET) and
+ * recovery codes only as HMACs. A TOTP code can't be used twice.
+ */
+
+const crypto = require("crypto");
+const QRCode = require("qrcode");
+const User = require("../Models/Users");
+const tokenService = require("./tokenService");
+const secretBox = require("./secretBox");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const ISSUER = process.env.TWO_FACTOR_ISSUER || "Event App";
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+// Accept the previous and next code too, for clock drift
+const ALLOWED_DRIFT_STEPS = 1;
+const RECOVERY_CODE_COUNT = 10;
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const SECRET_FIELDS = "+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes";
+
+const twoFactorError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const base32Encode = (buffer) => {
+  let bits = "";
+  for (const byte of buffer) {
+    bits += byte.toString(2).padStart(8, "0");
+  }
+
+  let output = "";
+  for (let i = 0; i < bits.length; i += 5) {
+    output += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, "0"), 2)];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  let bits = "";
+  for (const char of input.replace(/=+$/, "").toUpperCase()) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error("Invalid base32 character");
+    }
+    bits += index.toString(2).padStart(5, "0");
+  }
+
+  const bytes = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    bytes.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(bytes);
+};
+
+// HOTP (RFC 4226) for a time step
+const generateCode = (secret, step) => {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+
+  return String(binary % 10 ** DIGITS).padStart(DIGITS, "0");
+};
+
+const currentStep = () => Math.floor(Date.now() / 1000 / STEP_SECONDS);
+
+// The time step a code belongs to, or null if it doesn't match
+const findMatchingStep = (secret, code) => {
+  if (!new RegExp(`^\\d{${DIGITS}}$`).test(String(code))) return null;
+
+  const now = currentStep();
+  for (let step = now - ALLOWED_DRIFT_STEPS; step <= now + ALLOWED_DRIFT_STEPS; step++) {
+    if (crypto.timingSafeEqual(Buffer.from(generateCode(secret, step)), Buffer.from(String(code)))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+const encryptionKey = () => process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET;
+
+const encryptSecret = (secret) => secretBox.seal(secret, encryptionKey());
+
+const decryptSecret = (stored) => secretBox.open(stored, encryptionKey());
+
+// Recovery codes are compared without dashes or case
+const normalizeRecoveryCode = (code) => String(code).replace(/[\s-]/g, "").toLowerCase();
+
+const hashRecoveryCode = (code) =>
+  crypto
+    .createHmac("sha256", process.env.JWT_SECRET)
+    .update(normalizeRecoveryCode(code))
+    .digest("hex");
+
+// New recovery codes: the plain codes for the user, and what to store
+const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const hex = crypto.randomBytes(5).toString("hex");
+    return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+  });
+  return {
+    codes,
+    stored: codes.map(code => ({ codeHash: hashRecoveryCode(code) })),
+  };
+};
+
+const loadUser = async (userId) => {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user) {
+    throw twoFactorError("User not found", 404);
+  }
+  return user;
+};
+
+// Accept a TOTP code once: its time step must be newer than the last one used
+const useTotpCode = async (user, code) => {
+  const step = findMatchingStep(decryptSecret(user.twoFactor.secret), code);
+  if (step === null) return false;
+
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, "twoFactor.lastUsedStep": { $not: { $gte: step } } },
+    { $set: { "twoFactor.lastUsedStep": step } }
+  );
+  return Boolean(updated);
+};
+
+const useRecoveryCode = async (user, recoveryCode) => {
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: user._id,
+      "twoFactor.recoveryCodes": {
+        $elemMatch: { codeHash: hashRecoveryCode(recoveryCode), usedAt: null },
+      },
+    },
+    { $set: { "twoFactor.recoveryCodes.$.usedAt": new Date() } }
+  );
+  if (updated) {
+    logger.info("Recovery code used", { userId: user._id });
+  }
+  return Boolean(updated);
+};
+
+/**
+ * Check a second factor for a user with 2FA enabled
+ *
+ * @param {Object} user
+ * @param {{ code?: string, recoveryCode?: string }} factor
+ */
+const verifySecondFactor = async (user, { code, recoveryCode } = {}) => {
+  if (!user.twoFactor?.enabled) return false;
+  if (!user.twoFactor.secret) {
+    user = await loadUser(user._id);
+  }
+
+  if (code) return useTotpCode(user, code);
+  if (recoveryCode) return useRecoveryCode(user, recoveryCode);
+  return false;
+};
+
+/**
+ * Start enrolment: a new secret, as an otpauth URI and QR code for the
+ * authenticator app. Nothing changes until it is confirmed.
+ */
+const startEnrolment = async (userId) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("Two-factor authentication is already enabled");
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { "twoFactor.pendingSecret": encryptSecret(secret) } }
+  );
+
+  const label = encodeURIComponent(`${ISSUER}:${user.email}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: "SHA1",
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  const otpauthUrl = `otpauth://totp/${label}?${params}`;
+  const qrCode = await QRCode.toDataURL(otpauthUrl, { margin: 1, width: 300 });
+
+  return { secret, otpauthUrl, qrCode };
+};
+
+// Finish enrolment with a code from the app. Returns the recovery codes, shown once.
+const confirmEnrolment = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (user.twoFactor?.enabled) {
+    throw twoFactorError("Two-factor authentication is already enabled");
+  }
+  if (!user.twoFactor?.pendingSecret) {
+    throw twoFactorError("Start two-factor setup first");
+  }
+
+  const secret = decryptSecret(user.twoFactor.pendingSecret);
+  const step = findMatchingStep(secret, code);
+  if (step === null) {
+    throw twoFactorError("Invalid two-factor code");
+  }
+
+  const { codes, stored } = generateRecoveryCodes();
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, "twoFactor.enabled": { $ne: true }, "twoFactor.pendingSecret": user.twoFactor.pendingSecret },
+    {
+      $set: {
+        "twoFactor.enabled": true,
+        "twoFactor.enabledAt": new Date(),
+        "twoFactor.secret": encryptSecret(secret),
+        "twoFactor.lastUsedStep": step,
+        "twoFactor.recoveryCodes": stored,
+      },
+      $unset: { "twoFactor.pendingSecret": "" },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw twoFactorError("Two-factor setup changed, please start again", 409);
+  }
+
+  logger.info("Two-factor authentication enabled", { userId: user._id });
+  return { user: updated, recoveryCodes: codes };
+};
+
+// Replace the recovery codes, e.g. after using some. Needs a current TOTP code.
+const regenerateRecoveryCodes = async (userId, code) => {
+  const user = await loadUser(userId);
+  if (!(await verifySecondFactor(user, { code }))) {
+    throw twoFactorError("Invalid two-factor code");
+  }
+
+  const { codes, stored } = generateRecoveryCodes();
+  await User.updateOne({ _id: user._id }, { $set: { "twoFactor.recoveryCodes": stored } });
+
+  logger.info("Recovery codes regenerated", { userId: user._id });
+  return codes;
+};
+
+/**
+ * Turn 2FA off. Needs the password and a second factor; admins must keep it.
+ */
+const disable = async (userId, { password, code, recoveryCode }) => {
+  const user = await loadUser(userId);
+  if (!user.twoFactor?.enabled) {
+    throw twoFactorError("Two-factor authentication is not enabled");
+  }
+  if (user.role === "admin") {
+    throw twoFactorError("Admin accounts must keep two-factor authentication enabled", 403);
+  }
+  if (!(await user.comparePassword(password)) || !(await verifySecondFactor(user, { code, recoveryCode }))) {
+    throw twoFactorError("Invalid password or two-factor code");
+  }
+
+  await reset(user._id, "two_factor_disabled");
+};
+
+// Remove a user's 2FA, e.g. by an admin when the device and recovery codes
+// are lost. Signs the user out everywhere.
+const reset = async (userId, reason = "two_factor_reset") => {
+  await User.updateOne(
+    { _id: userId },
+    {
+      $set: { "twoFactor.enabled": false },
+      $unset: {
+        "twoFactor.secret": "",
+        "twoFactor.pendingSecret": "",
+        "twoFactor.enabledAt": "",
+        "twoFactor.lastUsedStep": "",
+        "twoFactor.recoveryCodes": "",
+      },
+    }
+  );
+  await tokenService.revokeAllUserTokens(userId, reason);
+  logger.info("Two-factor authentication removed", { userId, reason });
+};
+
+const getRemainingRecoveryCodes = (user) =>
+  (user.twoFactor?.recoveryCodes || []).filter(recoveryCode => !recoveryCode.usedAt).length;
+
+module.exports = {
+  startEnrolment,
+  confirmEnrolment,
+  verifySecondFactor,
+  regenerateRecoveryCodes,
+  disable,
+  reset,
+  getRemainingRecoveryCodes,
+  SECRET_FIELDS,
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const paymentGateways = require('./gateways');
+const eventScheduleService = require('./eventScheduleService');
 
 const isValidEmail = (email) => {
   const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
@@ -17,7 +19,13 @@ const validateEventInput = (data) => {
     currency: Joi.string().valid('USD', 'XOF', 'GMD', 'EUR', 'GBP').default('GMD'),
     quantity: Joi.number().required().min(1),
     description: Joi.string().optional().max(200),
-    benefits: Joi.array().items(Joi.string()).optional()
+    benefits: Joi.array().items(Joi.string()).optional(),
+    entryPolicy: Joi.string().valid('single', 'reentry', 'limited', 'per_day').default('single'),
+    maxEntries: Joi.number().integer().min(1).when('entryPolicy', {
+      is: 'limited',
+      then: Joi.required(),
+      otherwise: Joi.forbidden(),
+    }),
   });
 
   const schema = Joi.object({
@@ -26,9 +34,22 @@ const validateEventInput = (data) => {
     country: Joi.string().required(),
     city: Joi.string().required(),
     ticketTypes: Joi.array().items(ticketTypeSchema).required().min(1),
-    date: Joi.date().required().min('now'),
+    // The start; startsAt can be sent instead
+    date: Joi.date().min('now'),
+    startsAt: Joi.date().min('now'),
+    doorsOpenAt: Joi.date().optional(),
+    endsAt: Joi.date().optional(),
+    timezone: Joi.string().custom((value, helpers) =>
+      eventScheduleService.isValidTimeZone(value) ? value : helpers.message('timezone must be an IANA timezone, e.g. "Africa/Banjul"')
+    ).optional(),
+    scanWindow: Joi.object({
+      opensBeforeDoorsMinutes: Joi.number().integer().min(0).max(24 * 60),
+      closesAfterEndMinutes: Joi.number().integer().min(0).max(24 * 60),
+    }).optional(),
     category: Joi.string().required(),
-  });
+    organization: Joi.string().hex().length(24).optional(),
+    rotatingQrCodes: Joi.boolean().optional(),
+  }).or('date', 'startsAt');
 
   return schema.validate(data);
 };
@@ -36,7 +57,7 @@ const validateEventInput = (data) => {
 const validatePaymentInput = (data) => {
   const schema = Joi.object({
     ticketTypeName: Joi.string().required(),
-    quantity: Joi.number().required().min(1),
+    quantity: Joi.number().integer().required().min(1),
     recipientType: Joi.string().valid('email', 'mobile').required(),
     recipientInfo: Joi.array().items(
       Joi.object({
@@ -45,7 +66,8 @@ const validatePaymentInput = (data) => {
         name: Joi.string()
       })
     ).required(),
-    paymentGateway: Joi.string().valid('stripe', 'wave').default('stripe'),
+    paymentGateway: Joi.string().valid(...paymentGateways.getEnabledGatewayNames()).default('stripe'),
+    payerPhone: Joi.string().pattern(/^\+?[\d\s-]{8,}$/).optional(),
     metadata: Joi.object({
       eventId: Joi.string().required(),
       eventTitle: Joi.string(),
@@ -57,6 +79,39 @@ const validatePaymentInput = (data) => {
   return schema.validate(data);
 };
 
+// A guest's contact, e.g. { channel: "mobile", value: "+2207000000" }
+const guestContactKeys = {
+  channel: Joi.string().valid('email', 'mobile').required(),
+  value: Joi.alternatives().conditional('channel', {
+    is: 'email',
+    then: Joi.string().email().required(),
+    otherwise: Joi.string().pattern(/^\+?[\d\s-]{8,}$/).required(),
+  }),
+};
+
+const validateGuestContactInput = (data) => {
+  const schema = Joi.object(guestContactKeys);
+
+  return schema.validate(data);
+};
+
+const validateGuestCodeInput = (data) => {
+  const schema = Joi.object({
+    ...guestContactKeys,
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateClaimTicketsInput = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+  });
+
+  return schema.validate(data);
+};
+
 const validateTransferInput = (data) => {
   const schema = Joi.object({
     recipientType: Joi.string().valid('mobile', 'email').required(),
@@ -67,6 +122,213 @@ const validateTransferInput = (data) => {
   return schema.validate(data);
 };
 
+const validateRefundInput = (data) => {
+  const schema = Joi.object({
+    ticketIds: Joi.array().items(Joi.string().hex().length(24)).min(1).unique().optional(),
+    reason: Joi.string().max(500).optional(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateExchangeRateOverrideInput = (data) => {
+  const currency = Joi.string().uppercase().valid('USD', 'XOF', 'GMD', 'EUR', 'GBP').required();
+  const schema = Joi.object({
+    fromCurrency: currency,
+    toCurrency: currency,
+    rate: Joi.number().positive().required(),
+    note: Joi.string().max(500).optional(),
+  }).custom((value, helpers) => {
+    if (value.fromCurrency === value.toCurrency) {
+      return helpers.message('"toCurrency" must be different from "fromCurrency"');
+    }
+    return value;
+  });
+
+  return schema.validate(data);
+};
+
+const validateUserUpdateInput = (data) => {
+  const schema = Joi.object({
+    role: Joi.string().valid('user', 'admin').required(),
+    reason: Joi.string().max(500).optional(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateOrganizationInput = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().required().min(2).max(100),
+  });
+
+  return schema.validate(data);
+};
+
+const validateOrganizationMemberInput = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('owner', 'manager', 'finance', 'scanner').required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateEventTeamMemberInput = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+    role: Joi.string().valid('manager', 'finance', 'scanner').required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateApiKeyInput = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().required().min(2).max(100),
+    scopes: Joi.array().items(Joi.string().valid('events:read', 'sales:read', 'tickets:scan')).min(1).required(),
+    expiresAt: Joi.date().min('now').optional(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateOidcCallbackInput = (data) => {
+  const schema = Joi.object({
+    state: Joi.string().required().max(200),
+    code: Joi.string().required().max(2000),
+    name: Joi.string().trim().max(100).optional(),
+  }).unknown();
+
+  return schema.validate(data);
+};
+
+const validateScanSyncInput = (data) => {
+  const scanSchema = Joi.object({
+    ticketId: Joi.string().max(100),
+    qrData: Joi.string().max(2000),
+    scannedAt: Joi.date().required(),
+    direction: Joi.string().valid('in', 'out').default('in'),
+    gate: Joi.string().max(100),
+  }).or('ticketId', 'qrData');
+
+  const schema = Joi.object({
+    deviceId: Joi.string().trim().required().max(100),
+    scans: Joi.array().items(scanSchema).required().min(1).max(500),
+  });
+
+  return schema.validate(data);
+};
+
+const validateScanTicketInput = (data) => {
+  const schema = Joi.object({
+    ticketId: Joi.string().max(100),
+    qrData: Joi.string().max(2000),
+    direction: Joi.string().valid('in', 'out').default('in'),
+    gate: Joi.string().max(100),
+    deviceId: Joi.string().trim().max(100),
+    // Organisers can let a ticket in outside the scan window
+    overrideReason: Joi.string().trim().min(3).max(500),
+  });
+
+  return schema.validate(data);
+};
+
+const validateForgotPasswordInput = (data) => {
+  const schema = Joi.object({
+    email: Joi.string().email().required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateResetPasswordInput = (data) => {
+  const schema = Joi.object({
+    token: Joi.string().hex().length(64).required(),
+    password: Joi.string().min(8).max(128).required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateVerificationRequestInput = (data) => {
+  const schema = Joi.object({
+    channel: Joi.string().valid('email', 'mobile').required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateVerificationCodeInput = (data) => {
+  const schema = Joi.object({
+    channel: Joi.string().valid('email', 'mobile').required(),
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateTwoFactorLoginInput = (data) => {
+  const schema = Joi.object({
+    challengeToken: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+const validateTwoFactorCodeInput = (data) => {
+  const schema = Joi.object({
+    code: Joi.string().pattern(/^\d{6}$/).required(),
+  });
+
+  return schema.validate(data);
+};
+
+const validateTwoFactorDisableInput = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).xor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+const validateProfileUpdateInput = (data) => {
+  const schema = Joi.object({
+    name: Joi.string().trim().min(1).max(100),
+    email: Joi.string().email(),
+    mobileNumber: Joi.string().pattern(/^\+?[\d\s-]{8,}$/),
+    // Needed to change the email address
+    currentPassword: Joi.string().when('email', { is: Joi.exist(), then: Joi.required() }),
+  }).or('name', 'email', 'mobileNumber');
+
+  return schema.validate(data);
+};
+
+const validatePasswordChangeInput = (data) => {
+  const schema = Joi.object({
+    currentPassword: Joi.string().required(),
+    newPassword: Joi.string().min(8).max(128).required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).oxor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
+const validateAccountDeletionInput = (data) => {
+  const schema = Joi.object({
+    password: Joi.string().required(),
+    code: Joi.string().pattern(/^\d{6}$/),
+    recoveryCode: Joi.string().max(20),
+  }).oxor('code', 'recoveryCode');
+
+  return schema.validate(data);
+};
+
 const validateEnvironmentVariables = () => {
   const schema = Joi.object({
     PORT: Joi.number().default(4000),
@@ -75,6 +337,63 @@ const validateEnvironmentVariables = () => {
     FRONTEND_URL: Joi.string().required(),
     STRIPE_SECRET_KEY: Joi.string().required(),
     WAVE_API_KEY: Joi.string().required(),
+    JWT_SECRET: Joi.string().required(),
+    ACCESS_TOKEN_TTL: Joi.string().optional(),
+    REFRESH_TOKEN_TTL_DAYS: Joi.number().min(1).optional(),
+    PASSWORD_RESET_TTL_MINUTES: Joi.number().min(1).optional(),
+    VERIFICATION_CODE_TTL_MINUTES: Joi.number().min(1).optional(),
+    TRUST_PROXY: Joi.number().integer().min(0).optional(),
+    API_RATE_LIMIT_MAX: Joi.number().integer().min(1).optional(),
+    AUTH_RATE_LIMIT_WINDOW_MINUTES: Joi.number().min(1).optional(),
+    LOGIN_RATE_LIMIT_MAX: Joi.number().integer().min(1).optional(),
+    LOGIN_ACCOUNT_RATE_LIMIT_MAX: Joi.number().integer().min(1).optional(),
+    PASSWORD_RESET_RATE_LIMIT_MAX: Joi.number().integer().min(1).optional(),
+    LOGIN_MAX_FAILED_ATTEMPTS: Joi.number().integer().min(1).optional(),
+    LOGIN_LOCKOUT_MINUTES: Joi.number().min(1).optional(),
+    LOGIN_MAX_LOCKOUT_MINUTES: Joi.number().min(1).optional(),
+    GUEST_CLAIM_LINK_TTL_DAYS: Joi.number().min(1).optional(),
+    GUEST_CODE_RATE_LIMIT_MAX: Joi.number().integer().min(1).optional(),
+    OIDC_REDIRECT_URI: Joi.string().optional(),
+    GOOGLE_CLIENT_ID: Joi.string().optional(),
+    GOOGLE_CLIENT_SECRET: Joi.string().optional(),
+    APPLE_CLIENT_ID: Joi.string().optional(),
+    APPLE_CLIENT_SECRET: Joi.string().optional(),
+    OIDC_MOCK_ISSUER: Joi.string().uri().optional(),
+    OIDC_MOCK_CLIENT_ID: Joi.string().optional(),
+    OIDC_MOCK_CLIENT_SECRET: Joi.string().optional(),
+    QR_VALID_BEFORE_HOURS: Joi.number().min(0).optional(),
+    QR_VALID_AFTER_HOURS: Joi.number().min(1).optional(),
+    QR_ROTATION_SECONDS: Joi.number().integer().min(10).optional(),
+    EVENT_DEFAULT_DURATION_HOURS: Joi.number().min(1).optional(),
+    SCAN_OPENS_BEFORE_DOORS_MINUTES: Joi.number().min(0).optional(),
+    SCAN_CLOSES_AFTER_END_MINUTES: Joi.number().min(0).optional(),
+    SIGNING_KEY_ENCRYPTION_KEY: Joi.string().min(32).optional(),
+    TWO_FACTOR_CHALLENGE_SECRET: Joi.string().min(32).optional(),
+    SMTP_HOST: Joi.string().optional(),
+    SMTP_PORT: Joi.number().integer().optional(),
+    SMTP_SECURE: Joi.boolean().optional(),
+    SMTP_USER: Joi.string().optional(),
+    SMTP_PASS: Joi.string().optional(),
+    EMAIL_FROM: Joi.string().optional(),
+    TWO_FACTOR_ISSUER: Joi.string().optional(),
+    TWO_FACTOR_ENCRYPTION_KEY: Joi.string().min(32).optional(),
+    PAYMENT_GATEWAYS: Joi.string().optional(),
+    STRIPE_WEBHOOK_SECRET: Joi.string().optional(),
+    MOMO_MODE: Joi.string().valid("live", "mock").optional(),
+    MOMO_API_URL: Joi.string().uri().optional(),
+    MOMO_CALLBACK_URL: Joi.string().uri().optional(),
+    WAVE_WEBHOOK_SECRET: Joi.string().optional(),
+    RESERVATION_TTL_MINUTES: Joi.number().min(1).optional(),
+    RESERVATION_SWEEP_INTERVAL_MS: Joi.number().min(1000).optional(),
+    EXCHANGE_RATE_API_KEY: Joi.string().optional(),
+    EXCHANGE_RATE_API_URL: Joi.string().uri().optional(),
+    EXCHANGE_RATE_TTL_MINUTES: Joi.number().min(1).optional(),
+    RECONCILIATION_INTERVAL_MS: Joi.number().min(1000).optional(),
+    RECONCILIATION_MIN_AGE_MINUTES: Joi.number().min(1).optional(),
+    RECONCILIATION_RECHECK_MINUTES: Joi.number().min(1).optional(),
+    RECONCILIATION_LOOKBACK_HOURS: Joi.number().min(1).optional(),
+    RECONCILIATION_BATCH_SIZE: Joi.number().integer().min(1).optional(),
+    REPORTING_CURRENCY: Joi.string().uppercase().valid('USD', 'XOF', 'GMD', 'EUR', 'GBP').optional(),
   }).unknown();
 
   return schema.validate(process.env);
@@ -85,6 +404,29 @@ module.exports = {
   isValidMobile,
   validateEventInput,
   validatePaymentInput,
+  validateGuestContactInput,
+  validateGuestCodeInput,
+  validateClaimTicketsInput,
   validateTransferInput,
+  validateRefundInput,
+  validateExchangeRateOverrideInput,
+  validateUserUpdateInput,
+  validateOrganizationInput,
+  validateOrganizationMemberInput,
+  validateEventTeamMemberInput,
+  validateApiKeyInput,
+  validateOidcCallbackInput,
+  validateScanSyncInput,
+  validateScanTicketInput,
+  validateForgotPasswordInput,
+  validateResetPasswordInput,
+  validateVerificationRequestInput,
+  validateVerificationCodeInput,
+  validateTwoFactorLoginInput,
+  validateTwoFactorCodeInput,
+  validateTwoFactorDisableInput,
+  validateProfileUpdateInput,
+  validatePasswordChangeInput,
+  validateAccountDeletionInput,
   validateEnvironmentVariables,
 }; 
\ No newline at end of file
@@ -0,0 +1,284 @@
+/**
+ * Verification Service
+ *
+ * - Password reset: a random single-use token, sent by email as a link to the
+ *   frontend, valid for PASSWORD_RESET_TTL_MINUTES. Resetting the password
+ *   signs the user out everywhere
+ * - Email / mobile verification: a 6-digit single-use code sent through
+ *   notificationService, valid for VERIFICATION_CODE_TTL_MINUTES, with a
+ *   limited number of attempts
+ *
+ * Secrets are only stored as HMACs, and issuing a new one invalidates the
+ * previous ones for the same purpose.
+ */
+
+const crypto = require("crypto");
+const User = require("../Models/Users");
+const VerificationCode = require("../Models/VerificationCode");
+const notificationService = require("./notificationService");
+const tokenService = require("./tokenService");
+const accountLockoutService = require("./accountLockoutService");
+const { createLogger, format, transports } = require("winston");
+const dotenv = require("dotenv");
+
+dotenv.config();
+
+// Configure logger
+const logger = createLogger({
+  level: "info",
+  format: format.combine(
+    format.timestamp(),
+    format.json()
+  ),
+  transports: [
+    new transports.File({ filename: "logs/auth-error.log", level: "error" }),
+    new transports.File({ filename: "logs/auth.log" }),
+    new transports.Console({
+      format: format.combine(
+        format.colorize(),
+        format.simple()
+      )
+    })
+  ]
+});
+
+const PASSWORD_RESET_TTL_MINUTES = Number(process.env.PASSWORD_RESET_TTL_MINUTES) || 30;
+const VERIFICATION_CODE_TTL_MINUTES = Number(process.env.VERIFICATION_CODE_TTL_MINUTES) || 10;
+const MAX_CODE_ATTEMPTS = 5;
+// Minimum time between two codes for the same purpose
+const RESEND_INTERVAL_MS = 60 * 1000;
+
+const CHANNELS = {
+  email: { purpose: "verify_email", field: "email", flag: "emailVerified" },
+  mobile: { purpose: "verify_mobile", field: "mobileNumber", flag: "mobileVerified" },
+};
+
+const verificationError = (message, status = 400) => {
+  const error = new Error(message);
+  error.status = status;
+  return error;
+};
+
+const hashSecret = (secret) =>
+  crypto.createHmac("sha256", process.env.JWT_SECRET).update(String(secret)).digest("hex");
+
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+// A random 6-digit code
+const generateCode = () => crypto.randomInt(0, 1000000).toString().padStart(6, "0");
+
+// Secrets of a user are scoped to the user, those of guests to their contact
+const ownerFilter = ({ user, purpose, target }) =>
+  (user ? { user, purpose } : { purpose, target });
+
+/**
+ * Issue a new secret for a purpose, invalidating the earlier ones of the same
+ * user (or, for guests, of the same target)
+ *
+ * @param {{ user?: string, purpose: string, target: string }} owner
+ */
+const storeSecret = async (owner, secret, ttlMinutes) => {
+  await VerificationCode.updateMany(
+    { ...ownerFilter(owner), usedAt: null },
+    { $set: { expiresAt: new Date() } }
+  );
+
+  return VerificationCode.create({
+    ...owner,
+    codeHash: hashSecret(secret),
+    expiresAt: minutesFromNow(ttlMinutes),
+  });
+};
+
+// Refuse a new code if the last one was sent less than RESEND_INTERVAL_MS ago
+const assertCanResend = async (owner) => {
+  const lastCode = await VerificationCode.findOne(ownerFilter(owner)).sort({ createdAt: -1 });
+  if (lastCode && Date.now() - lastCode.createdAt.getTime() < RESEND_INTERVAL_MS) {
+    throw verificationError("Please wait a minute before requesting a new code", 429);
+  }
+};
+
+/**
+ * Check a code against the latest one sent to the owner's target and use it
+ * up. Wrong guesses count against MAX_CODE_ATTEMPTS. Returns the code record.
+ */
+const consumeCode = async (owner, code) => {
+  const record = await VerificationCode.findOne({
+    ...ownerFilter(owner),
+    target: owner.target,
+    usedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!record || record.attempts >= MAX_CODE_ATTEMPTS) {
+    throw verificationError("Invalid or expired verification code");
+  }
+
+  const matches = crypto.timingSafeEqual(
+    Buffer.from(record.codeHash, "hex"),
+    Buffer.from(hashSecret(code), "hex")
+  );
+  if (!matches) {
+    await VerificationCode.updateOne({ _id: record._id }, { $inc: { attempts: 1 } });
+    throw verificationError("Invalid or expired verification code");
+  }
+
+  // Single use, even if two confirmations race
+  const used = await VerificationCode.findOneAndUpdate(
+    { _id: record._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+  if (!used) {
+    throw verificationError("Invalid or expired verification code");
+  }
+  return record;
+};
+
+// Use up a single-use token (reset or claim link). Returns its record, or null.
+const consumeToken = (purpose, token, extraFields = {}) =>
+  VerificationCode.findOneAndUpdate(
+    {
+      codeHash: hashSecret(token),
+      purpose,
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date(), ...extraFields } }
+  );
+
+/**
+ * Email a password reset link, or text it to the user's verified mobile number
+ * if the email can't be sent. Unknown addresses (and delivery failures) are
+ * only logged so the endpoint can't be used to find out who has an account.
+ */
+const requestPasswordReset = async (email) => {
+  const user = await User.findOne({ email });
+  if (!user) {
+    logger.info("Password reset requested for unknown email");
+    return;
+  }
+
+  const token = crypto.randomBytes(32).toString("hex");
+  await storeSecret(
+    { user: user._id, purpose: "password_reset", target: user.email },
+    token,
+    PASSWORD_RESET_TTL_MINUTES
+  );
+
+  const resetData = {
+    resetUrl: `${process.env.FRONTEND_URL}/reset-password?token=${token}`,
+    expiresInMinutes: PASSWORD_RESET_TTL_MINUTES,
+  };
+  try {
+    await notificationService.sendPasswordResetEmail(user, resetData);
+    logger.info("Password reset requested", { userId: user._id, channel: "email" });
+    return;
+  } catch (error) {
+    logger.error("Password reset email failed", { userId: user._id, error: error.message });
+  }
+
+  if (!user.mobileVerified) {
+    return;
+  }
+  try {
+    await notificationService.sendPasswordResetSMS(user, resetData);
+    logger.info("Password reset requested", { userId: user._id, channel: "mobile" });
+  } catch (error) {
+    logger.error("Password reset SMS failed", { userId: user._id, error: error.message });
+  }
+};
+
+// Set a new password with a reset token. The token can only be used once.
+const resetPassword = async (token, newPassword) => {
+  const record = await consumeToken("password_reset", token);
+  if (!record) {
+    throw verificationError("Invalid or expired reset token");
+  }
+
+  const user = await User.findById(record.user);
+  if (!user) {
+    throw verificationError("Invalid or expired reset token");
+  }
+
+  user.password = newPassword;
+  // The reset link proves the user controls this address
+  if (record.target === user.email && !user.emailVerified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+  }
+  await user.save();
+
+  // Whoever knew the old password is signed out, and the owner can log in again
+  await tokenService.revokeAllUserTokens(user._id, "password_reset");
+  await accountLockoutService.unlockAccount(user._id);
+  logger.info("Password reset", { userId: user._id });
+};
+
+// Send a verification code to the user's email address or mobile number
+const sendVerificationCode = async (userId, channel) => {
+  const config = CHANNELS[channel];
+  if (!config) {
+    throw verificationError("Channel must be email or mobile");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw verificationError("User not found", 404);
+  }
+  if (user[config.flag]) {
+    throw verificationError(`Your ${channel === "email" ? "email address" : "mobile number"} is already verified`);
+  }
+
+  const target = user[config.field];
+  const owner = { user: user._id, purpose: config.purpose, target };
+  await assertCanResend(owner);
+
+  const code = generateCode();
+  await storeSecret(owner, code, VERIFICATION_CODE_TTL_MINUTES);
+
+  await notificationService.sendVerificationCode(channel, target, {
+    code,
+    expiresInMinutes: VERIFICATION_CODE_TTL_MINUTES,
+  });
+
+  return { channel, target, expiresInMinutes: VERIFICATION_CODE_TTL_MINUTES };
+};
+
+// Check a verification code and mark the email address or mobile number as verified
+const confirmVerificationCode = async (userId, channel, code) => {
+  const config = CHANNELS[channel];
+  if (!config) {
+    throw verificationError("Channel must be email or mobile");
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw verificationError("User not found", 404);
+  }
+
+  // Codes sent to an address the user has since changed don't count
+  const record = await consumeCode(
+    { user: user._id, purpose: config.purpose, target: user[config.field] },
+    code
+  );
+
+  await User.updateOne(
+    { _id: user._id, [config.field]: record.target },
+    { $set: { [config.flag]: true, [`${config.flag}At`]: new Date() } }
+  );
+  logger.info("Contact verified", { userId: user._id, channel });
+};
+
+module.exports = {
+  requestPasswordReset,
+  resetPassword,
+  sendVerificationCode,
+  confirmVerificationCode,
+  // One-time secrets, shared with guest checkout
+  generateCode,
+  storeSecret,
+  assertCanResend,
+  consumeCode,
+  consumeToken,
+  VERIFICATION_CODE_TTL_MINUTES,
+};